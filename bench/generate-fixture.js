@@ -0,0 +1,54 @@
+import fs from 'fs';
+import { once } from 'events';
+
+const PARAGRAPH = 'Lorem ipsum dolor sit amet, consectetur adipiscing elit. '.repeat(8);
+
+export function createConversation(index, messagesPerConversation) {
+    const start = Date.UTC(2023, 0, 1) + index * 3600 * 1000;
+    const mapping = { root: { id: 'root', parent: null, children: ['1'], message: null } };
+
+    for (let i = 1; i <= messagesPerConversation; i++) {
+        const isRequest = i % 2 === 1;
+        mapping[i] = {
+            id: String(i),
+            parent: i === 1 ? 'root' : String(i - 1),
+            children: i < messagesPerConversation ? [String(i + 1)] : [],
+            message: {
+                files: [],
+                model: 'deepseek-chat',
+                inserted_at: new Date(start + i * 1000).toISOString(),
+                fragments: [{
+                    type: isRequest ? 'REQUEST' : 'RESPONSE',
+                    content: isRequest
+                        ? `Question ${i} about conversation ${index}?`
+                        : `${PARAGRAPH}\n\n\`\`\`js\nconsole.log(${i});\n\`\`\`\n\n${PARAGRAPH}`
+                }]
+            }
+        };
+    }
+
+    return {
+        id: `bench-${index}`,
+        title: `Benchmark conversation ${index}`,
+        inserted_at: new Date(start).toISOString(),
+        updated_at: new Date(start + messagesPerConversation * 1000).toISOString(),
+        mapping
+    };
+}
+
+// Writes the export one conversation at a time so generating it stays cheap too
+export async function writeFixture(file, { conversations = 1000, messagesPerConversation = 40 } = {}) {
+    const out = fs.createWriteStream(file);
+    const write = async (chunk) => {
+        if (!out.write(chunk)) await once(out, 'drain');
+    };
+
+    await write('[');
+    for (let i = 0; i < conversations; i++) {
+        await write((i > 0 ? ',\n' : '\n') + JSON.stringify(createConversation(i, messagesPerConversation)));
+    }
+    await write('\n]\n');
+
+    out.end();
+    await once(out, 'finish');
+}
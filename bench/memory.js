@@ -0,0 +1,113 @@
+#!/usr/bin/env node
+
+// Compares peak memory of loading the whole export with JSON.parse against
+// streaming it with readConversations, then measures the whole formatAll
+// pipeline (both passes, summaries, writers and manifest) on the export and on
+// one twice its size, whose peak should be about the same.
+// Run with: npm run bench -- --conversations 2000
+
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { execFileSync } from 'child_process';
+import { fileURLToPath } from 'url';
+import yargs from 'yargs';
+import { hideBin } from 'yargs/helpers';
+import chalk from 'chalk';
+import { writeFixture } from './generate-fixture.js';
+import { readConversations } from '../src/reader.js';
+import DeepSeekFormatter from '../src/formatter.js';
+import { ignoreLog } from '../src/logger.js';
+
+const argv = yargs(hideBin(process.argv))
+    .option('conversations', { type: 'number', default: 1000 })
+    .option('messages', { type: 'number', default: 40 })
+    .option('formats', { type: 'string', default: 'html,md', description: 'Writers used by the format runs' })
+    .option('mode', { type: 'string', choices: ['parse', 'stream', 'format'], hidden: true })
+    .option('file', { type: 'string', hidden: true })
+    .option('output', { type: 'string', hidden: true })
+    .argv;
+
+function countMessages(conversation) {
+    return Object.values(conversation.mapping || {}).filter(node => node && node.message).length;
+}
+
+async function measure(mode, file) {
+    let conversations = 0;
+    let messages = 0;
+
+    if (mode === 'format') {
+        const formatter = new DeepSeekFormatter({
+            inputFile: file,
+            outputDir: argv.output,
+            formats: argv.formats.split(','),
+            onLog: ignoreLog
+        });
+        const result = await formatter.formatAll();
+        conversations = result.stats.totalConversations;
+        messages = result.stats.totalMessages;
+    } else if (mode === 'parse') {
+        const data = JSON.parse(await fs.readFile(file, 'utf8'));
+        for (const conversation of data) {
+            conversations++;
+            messages += countMessages(conversation);
+        }
+    } else {
+        for await (const { conversation } of readConversations(file)) {
+            conversations++;
+            messages += countMessages(conversation);
+        }
+    }
+
+    // maxRSS is reported in kilobytes
+    console.log(JSON.stringify({ conversations, messages, maxRSS: process.resourceUsage().maxRSS * 1024 }));
+}
+
+async function createFixture(file, conversations) {
+    console.log(chalk.blue(`Generating ${conversations} conversations x ${argv.messages} messages...`));
+    await writeFixture(file, { conversations, messagesPerConversation: argv.messages });
+
+    const { size } = await fs.stat(file);
+    console.log(chalk.gray(`Fixture: ${(size / 1024 / 1024).toFixed(1)} MB`));
+}
+
+function run(mode, file, extraArgs = []) {
+    // Each run is a fresh process so peak memory is measured in isolation
+    const started = Date.now();
+    const output = execFileSync(process.execPath, [fileURLToPath(import.meta.url), '--mode', mode, '--file', file, ...extraArgs], { encoding: 'utf8' });
+    const result = JSON.parse(output);
+    const seconds = ((Date.now() - started) / 1000).toFixed(1);
+
+    console.log(`${mode.padEnd(7)} peak RSS ${(result.maxRSS / 1024 / 1024).toFixed(1).padStart(7)} MB  ${seconds}s  (${result.conversations} conversations, ${result.messages} messages)`);
+    return result;
+}
+
+async function main() {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'deepseek-bench-'));
+    const file = path.join(dir, 'conversations.json');
+    const largerFile = path.join(dir, 'conversations-x2.json');
+
+    try {
+        await createFixture(file, argv.conversations);
+        for (const mode of ['parse', 'stream']) {
+            run(mode, file);
+        }
+
+        const formatArgs = ['--formats', argv.formats];
+        const single = run('format', file, [...formatArgs, '--output', path.join(dir, 'formatted')]);
+
+        await createFixture(largerFile, argv.conversations * 2);
+        const double = run('format', largerFile, [...formatArgs, '--output', path.join(dir, 'formatted-x2')]);
+
+        const growth = (double.maxRSS - single.maxRSS) / single.maxRSS * 100;
+        console.log(chalk.gray(`formatAll (${argv.formats}) peak RSS grew ${growth.toFixed(0)}% for twice the input`));
+    } finally {
+        await fs.rm(dir, { recursive: true, force: true });
+    }
+}
+
+if (argv.mode) {
+    measure(argv.mode, argv.file);
+} else {
+    main();
+}
@@ -0,0 +1,29 @@
+#!/usr/bin/env node
+
+// Builds the bookmarklet version of export.js: a javascript: URL to paste as the
+// address of a new bookmark. Run with: npm run build:bookmarklet
+
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const scriptDir = path.dirname(fileURLToPath(import.meta.url));
+export const SOURCE_FILE = path.join(scriptDir, 'export.js');
+export const BOOKMARKLET_FILE = path.join(scriptDir, 'bookmarklet.txt');
+
+export function buildBookmarklet(source) {
+    // The userscript header and usage notes are only comments; the script itself
+    // is the function expression after them. Newlines are kept (encoded), so the
+    // line comments inside it still end where they should.
+    const start = source.indexOf('(function () {');
+    if (start === -1) {
+        throw new Error('export.js does not start its script with "(function () {"');
+    }
+    return `javascript:${encodeURIComponent(source.slice(start).trim())}`;
+}
+
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+    const bookmarklet = buildBookmarklet(await fs.readFile(SOURCE_FILE, 'utf8'));
+    await fs.writeFile(BOOKMARKLET_FILE, `${bookmarklet}\n`);
+    console.log(`Wrote ${path.relative(process.cwd(), BOOKMARKLET_FILE)} (${bookmarklet.length} characters)`);
+}
@@ -1,71 +1,267 @@
-function extractConversationFromDOM() {
-  // Try to find message containers - these are common CSS classes in chat apps
-  const selectors = [
-    '[data-testid*="message"]',
-    '[class*="message"]',
-    '[class*="Message"]',
-    '.message',
-    '.chat-message',
-    '.conversation-item',
-    '.msg',
-    'div[class*="group"]'
-  ];
-
-  let messages = [];
-
-  for (const selector of selectors) {
-    const elements = document.querySelectorAll(selector);
-    if (elements.length > 2) {
-      console.log(`Found ${elements.length} elements with selector: ${selector}`);
-
-      elements.forEach((el, index) => {
-        const text = el.innerText.trim();
-        if (text.length > 10 && !text.includes('Viacheslav Eremin')) {
-          const isLikelyUser = text.includes('?') ||
-                               text.length < 150 ||
-                               text.startsWith('I ') ||
-                               text.startsWith('get me') ||
-                               text.startsWith('is this');
-
-          const isLikelyAI = text.includes('Excellent') ||
-                            text.includes('Key Points') ||
-                            text.includes('Example:') ||
-                            text.includes('✅') ||
-                            text.length > 300;
-
-          const role = isLikelyUser && !isLikelyAI ? 'USER' :
-                      isLikelyAI && !isLikelyUser ? 'AI' : 'UNKNOWN';
-
-          messages.push({ role, text, index });
-        }
-      });
-
-      if (messages.length > 5) break;
+// ==UserScript==
+// @name         DeepSeek conversation export
+// @description  Download the open DeepSeek chat as conversations.json for DeepSeek Formatter
+// @match        https://chat.deepseek.com/*
+// @grant        none
+// ==/UserScript==
+//
+// Paste into the devtools console, save as a bookmarklet (`npm run
+// build:bookmarklet` writes one to bookmarklet.txt), or install as a
+// userscript (which adds an "Export JSON" button). The download is an array with
+// one conversation in the same mapping/fragments shape as the account export, so
+// it can be passed straight to `npm start -- -i <file>`.
+
+(function () {
+  // The chat page's own message structure. Keep all selectors here so they are
+  // easy to update when the site markup changes.
+  const SELECTORS = {
+    message: '.ds-message',
+    markdown: '.ds-markdown',
+    thinking: '[class*="think"]',
+    codeBlock: '.md-code-block',
+    codeLanguage: '.md-code-block-infostring, [class*="code-block-banner"] span',
+    mathSource: 'annotation[encoding="application/x-tex"]'
+  };
+
+  const BLOCK_TAGS = new Set(['P', 'DIV', 'UL', 'OL', 'PRE', 'BLOCKQUOTE', 'TABLE', 'HR',
+    'H1', 'H2', 'H3', 'H4', 'H5', 'H6', 'SECTION']);
+
+  function escapeInline(text) {
+    return text.replace(/([\\`*_[\]])/g, '\\$1');
+  }
+
+  function codeFence(code) {
+    // The fence must be longer than any run of backticks inside the code
+    const longest = Math.max(2, ...(code.match(/`+/g) || []).map(run => run.length));
+    return '`'.repeat(longest + 1);
+  }
+
+  function convertCodeBlock(element) {
+    const pre = element.tagName === 'PRE' ? element : element.querySelector('pre');
+    const code = (pre ? pre.textContent : element.textContent).replace(/\n$/, '');
+
+    let language = '';
+    const label = element.querySelector(SELECTORS.codeLanguage);
+    const codeElement = pre && pre.querySelector('code');
+    if (label) {
+      language = label.textContent.trim();
+    } else if (codeElement) {
+      const match = /language-([\w+#-]+)/.exec(codeElement.className);
+      language = match ? match[1] : '';
+    }
+
+    const fence = codeFence(code);
+    return `${fence}${language.toLowerCase()}\n${code}\n${fence}`;
+  }
+
+  function convertMath(element) {
+    const source = element.querySelector(SELECTORS.mathSource);
+    const tex = source ? source.textContent.trim() : element.textContent.trim();
+    return element.classList.contains('katex-display') || element.closest('.katex-display')
+      ? `$$\n${tex}\n$$`
+      : `$${tex}$`;
+  }
+
+  function convertList(list) {
+    const ordered = list.tagName === 'OL';
+    let number = Number(list.getAttribute('start')) || 1;
+
+    return Array.from(list.children)
+      .filter(item => item.tagName === 'LI')
+      .map(item => {
+        const marker = ordered ? `${number++}.` : '-';
+        // Continuation lines (and nested lists) are indented under the marker;
+        // blank lines, also those left by whitespace between tags, would make the list loose
+        const body = convertChildren(item).trim().replace(/\n\s*\n/g, '\n').replace(/\n/g, '\n   ');
+        return `${marker} ${body}`;
+      })
+      .join('\n');
+  }
+
+  function convertTable(table) {
+    const rows = Array.from(table.querySelectorAll('tr')).map(row =>
+      Array.from(row.children).map(cell => convertChildren(cell).trim().replace(/\|/g, '\\|').replace(/\n+/g, ' '))
+    );
+    if (rows.length === 0) return '';
+
+    const header = `| ${rows[0].join(' | ')} |`;
+    const divider = `| ${rows[0].map(() => '---').join(' | ')} |`;
+    return [header, divider, ...rows.slice(1).map(cells => `| ${cells.join(' | ')} |`)].join('\n');
+  }
+
+  function convertNode(node) {
+    if (node.nodeType === 3) {
+      return escapeInline(node.textContent.replace(/\s+/g, ' '));
+    }
+    if (node.nodeType !== 1) return '';
+
+    const element = node;
+    if (element.matches(SELECTORS.codeBlock)) return `\n\n${convertCodeBlock(element)}\n\n`;
+    if (element.classList.contains('katex-display')) return `\n\n${convertMath(element)}\n\n`;
+    if (element.classList.contains('katex')) return convertMath(element);
+
+    const inner = () => convertChildren(element);
+
+    switch (element.tagName) {
+      case 'H1': case 'H2': case 'H3': case 'H4': case 'H5': case 'H6':
+        return `\n\n${'#'.repeat(Number(element.tagName[1]))} ${inner().trim()}\n\n`;
+      case 'P':
+        return `\n\n${inner().trim()}\n\n`;
+      case 'BR':
+        return '\n';
+      case 'HR':
+        return '\n\n---\n\n';
+      case 'STRONG': case 'B':
+        return `**${inner()}**`;
+      case 'EM': case 'I':
+        return `*${inner()}*`;
+      case 'DEL': case 'S':
+        return `~~${inner()}~~`;
+      case 'CODE': {
+        const text = element.textContent;
+        const ticks = text.includes('`') ? '``' : '`';
+        return `${ticks}${text}${ticks}`;
+      }
+      case 'PRE':
+        return `\n\n${convertCodeBlock(element)}\n\n`;
+      case 'A': {
+        const href = element.getAttribute('href');
+        return href ? `[${inner()}](${href})` : inner();
+      }
+      case 'IMG':
+        return `![${element.getAttribute('alt') || ''}](${element.getAttribute('src') || ''})`;
+      case 'UL': case 'OL':
+        return `\n\n${convertList(element)}\n\n`;
+      case 'BLOCKQUOTE':
+        return `\n\n${inner().trim().split('\n').map(line => `> ${line}`).join('\n')}\n\n`;
+      case 'TABLE':
+        return `\n\n${convertTable(element)}\n\n`;
+      case 'INPUT':
+        return element.type === 'checkbox' ? (element.checked ? '[x] ' : '[ ] ') : '';
+      case 'BUTTON': case 'SVG': case 'svg': case 'STYLE': case 'SCRIPT':
+        // Copy/download buttons and icons are UI chrome, not content
+        return '';
+      default:
+        return BLOCK_TAGS.has(element.tagName) ? `\n\n${inner()}\n\n` : inner();
     }
   }
 
-  if (messages.length < 3) {
-    console.log('DOM approach failed');
-    return null;
+  function convertChildren(element) {
+    return Array.from(element.childNodes).map(convertNode).join('');
   }
 
-  let output = 'CONVERSATION EXTRACTED FROM DOM\n' + '='.repeat(50) + '\n\n';
+  // Rendered markdown back to markdown source, keeping code blocks, math, lists and tables
+  function htmlToMarkdown(element) {
+    return convertChildren(element)
+      .replace(/[ \t]+\n/g, '\n')
+      .replace(/\n{3,}/g, '\n\n')
+      .trim();
+  }
+
+  function extractFragments(messageElement) {
+    const fragments = [];
+    const markdownBlocks = Array.from(messageElement.querySelectorAll(SELECTORS.markdown))
+      // Nested .ds-markdown blocks are part of their parent
+      .filter(block => !block.parentElement.closest(SELECTORS.markdown));
+
+    // Only responses are rendered as markdown; the user's own text is shown as typed
+    if (markdownBlocks.length === 0) {
+      const content = messageElement.innerText !== undefined ? messageElement.innerText : messageElement.textContent;
+      return [{ type: 'REQUEST', content: content.trim() }];
+    }
+
+    for (const block of markdownBlocks) {
+      // Reasoning is rendered as markdown too, inside its own collapsible panel
+      const panel = block.parentElement.closest(SELECTORS.thinking);
+      const isThinking = Boolean(panel) && panel !== messageElement && messageElement.contains(panel);
+      fragments.push({ type: isThinking ? 'THINK' : 'RESPONSE', content: htmlToMarkdown(block) });
+    }
+    return fragments;
+  }
+
+  function getConversationId(location) {
+    // Chat URLs look like https://chat.deepseek.com/a/chat/s/<id>
+    const match = /\/s\/([\w-]+)/.exec(location.pathname);
+    return match ? match[1] : `dom-${Date.now()}`;
+  }
+
+  function getTitle(document) {
+    return document.title.replace(/\s*[-|]\s*DeepSeek.*$/i, '').trim() || 'Untitled conversation';
+  }
+
+  function extractConversation(document, location) {
+    const elements = Array.from(document.querySelectorAll(SELECTORS.message))
+      // Skip wrappers that contain further message elements
+      .filter(element => !element.querySelector(SELECTORS.message));
 
-  messages.forEach(msg => {
-    const header = msg.role === 'USER' ? '❓ YOU:' : '📘 AI:';
-    output += `${header}\n${msg.text}\n\n${'─'.repeat(30)}\n\n`;
-  });
+    if (elements.length === 0) {
+      throw new Error(`No messages found (selector ${SELECTORS.message}). Open a conversation first.`);
+    }
+
+    const now = new Date().toISOString();
+    const mapping = { root: { id: 'root', parent: null, children: [], message: null } };
+    let parent = mapping.root;
+
+    elements.forEach((element, index) => {
+      const fragments = extractFragments(element).filter(fragment => fragment.content);
+      if (fragments.length === 0) return;
+
+      // Only the visible branch is on the page, so the mapping is a single chain
+      const id = String(index + 1);
+      mapping[id] = {
+        id,
+        parent: parent.id,
+        children: [],
+        message: { files: [], model: null, inserted_at: null, fragments }
+      };
+      parent.children.push(id);
+      parent = mapping[id];
+    });
+
+    return {
+      id: getConversationId(location),
+      title: getTitle(document),
+      inserted_at: now,
+      updated_at: now,
+      mapping
+    };
+  }
 
-  return output;
-}
+  function download(conversation) {
+    const blob = new Blob([JSON.stringify([conversation], null, 2)], { type: 'application/json' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = `deepseek-${conversation.id}.json`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+  }
+
+  function run() {
+    try {
+      const conversation = extractConversation(document, window.location);
+      const count = Object.keys(conversation.mapping).length - 1;
+      download(conversation);
+      console.log(`✅ Exported ${count} messages from "${conversation.title}"`);
+    } catch (error) {
+      console.error(`❌ Export failed: ${error.message}`);
+      alert(`Export failed: ${error.message}`);
+    }
+  }
+
+  // Reusable from a test harness (e.g. jsdom) without touching the page
+  window.DeepSeekDomExport = { SELECTORS, htmlToMarkdown, extractFragments, extractConversation };
 
-// Usage:
-const result = extractConversationFromDOM();
-if (result) {
-  const blob = new Blob([result], {type: 'text/plain'});
-  const link = document.createElement('a');
-  link.href = URL.createObjectURL(blob);
-  link.download = 'Chat_Extract_' + new Date().toISOString().slice(0,10) + '.txt';
-  link.click();
-  console.log('✅ Extraction successful!');
-}
+  if (typeof GM_info !== 'undefined') {
+    // Userscript: add a button instead of exporting on every page load
+    const button = document.createElement('button');
+    button.textContent = 'Export JSON';
+    button.style.cssText = 'position:fixed;right:16px;bottom:16px;z-index:9999;padding:6px 12px;'
+      + 'border:none;border-radius:6px;background:#4d6bfe;color:#fff;cursor:pointer;';
+    button.addEventListener('click', run);
+    document.body.appendChild(button);
+  } else if (!window.DEEPSEEK_EXPORT_NO_RUN) {
+    run();
+  }
+})();
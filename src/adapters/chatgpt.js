@@ -0,0 +1,88 @@
+import { safeString } from '../utils.js';
+import { createMapping, addNode, preferBranch, createMessage } from './mapping.js';
+
+function toIsoDate(seconds) {
+    return typeof seconds === 'number' ? new Date(seconds * 1000).toISOString() : '';
+}
+
+function contentText(content) {
+    const parts = Array.isArray(content.parts) ? content.parts : [];
+
+    switch (content.content_type) {
+        case 'code': {
+            const language = content.language && content.language !== 'unknown' ? content.language : '';
+            return content.text ? `\`\`\`${language}\n${content.text}\n\`\`\`` : '';
+        }
+        case 'thoughts':
+            return (content.thoughts || [])
+                .map(thought => [thought.summary && `**${thought.summary}**`, thought.content].filter(Boolean).join('\n\n'))
+                .join('\n\n');
+        case 'reasoning_recap':
+            // "Thought for 12 seconds" adds nothing the reasoning itself does not show
+            return '';
+        default:
+            // Images and other uploads appear as objects among the text parts
+            return parts
+                .map(part => typeof part === 'string' ? part : part && part.asset_pointer ? '[image]' : '')
+                .filter(Boolean)
+                .join('\n\n') || safeString(content.text);
+    }
+}
+
+function convertMessage(message) {
+    if (!message || !message.content) return null;
+
+    const role = message.author?.role;
+    const metadata = message.metadata || {};
+    // System prompts, tool calls and hidden context are not part of the visible chat
+    if ((role !== 'user' && role !== 'assistant') || metadata.is_visually_hidden_from_conversation) {
+        return null;
+    }
+
+    const type = role === 'user' ? 'REQUEST' : message.content.content_type === 'thoughts' ? 'THINK' : 'RESPONSE';
+    return createMessage([{ type, content: contentText(message.content) }], {
+        insertedAt: toIsoDate(message.create_time) || null,
+        model: metadata.model_slug || null
+    });
+}
+
+// ChatGPT conversations.json: the same kind of mapping tree as DeepSeek, but
+// with author roles and content parts instead of fragments
+export default {
+    name: 'chatgpt',
+    label: 'ChatGPT',
+
+    detect(conversation) {
+        const nodes = Object.values(conversation.mapping || {});
+        return nodes.some(node => node && node.message && node.message.author);
+    },
+
+    normalize(conversation) {
+        const source = conversation.mapping || {};
+        const mapping = createMapping();
+
+        // Parents are added before their children so every node finds its parent
+        const queue = Object.values(source).filter(node => node && (!node.parent || !source[node.parent]));
+        const seen = new Set();
+        while (queue.length > 0) {
+            const node = queue.shift();
+            if (!node || seen.has(node.id)) continue;
+            seen.add(node.id);
+
+            addNode(mapping, node.id, node.parent || 'root', convertMessage(node.message));
+            queue.push(...(node.children || []).map(id => source[id]));
+        }
+
+        if (conversation.current_node) {
+            preferBranch(mapping, conversation.current_node);
+        }
+
+        return {
+            id: safeString(conversation.conversation_id || conversation.id),
+            title: safeString(conversation.title),
+            inserted_at: toIsoDate(conversation.create_time),
+            updated_at: toIsoDate(conversation.update_time),
+            mapping
+        };
+    }
+};
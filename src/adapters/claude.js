@@ -0,0 +1,70 @@
+import { safeString } from '../utils.js';
+import { createMapping, addNode, preferBranch, createMessage } from './mapping.js';
+
+// Parent id Claude uses for the first message of a conversation
+const ROOT_MESSAGE_ID = '00000000-0000-4000-8000-000000000000';
+
+function convertMessage(message) {
+    const isRequest = message.sender === 'human';
+    const fragments = [];
+
+    if (Array.isArray(message.content) && message.content.length > 0) {
+        for (const block of message.content) {
+            if (block.type === 'thinking') {
+                fragments.push({ type: 'THINK', content: safeString(block.thinking) });
+            } else if (block.type === 'text') {
+                fragments.push({ type: isRequest ? 'REQUEST' : 'RESPONSE', content: safeString(block.text) });
+            }
+            // Tool calls and their results are not shown
+        }
+    } else {
+        fragments.push({ type: isRequest ? 'REQUEST' : 'RESPONSE', content: safeString(message.text) });
+    }
+
+    const files = [...(message.attachments || []), ...(message.files || [])]
+        .filter(file => file && file.file_name)
+        .map(file => ({ file_name: file.file_name }));
+
+    return createMessage(fragments, { insertedAt: message.created_at || null, files });
+}
+
+// Anthropic Claude conversations.json: one object per conversation with a flat
+// chat_messages list, linked through parent_message_uuid when it was branched
+export default {
+    name: 'claude',
+    label: 'Claude',
+
+    detect(conversation) {
+        return Array.isArray(conversation.chat_messages);
+    },
+
+    normalize(conversation) {
+        const mapping = createMapping();
+        let previous = 'root';
+
+        conversation.chat_messages.forEach((message, index) => {
+            const id = safeString(message.uuid) || `message-${index + 1}`;
+            let parent = previous;
+            if (message.parent_message_uuid === ROOT_MESSAGE_ID) {
+                parent = 'root';
+            } else if (mapping[message.parent_message_uuid]) {
+                parent = message.parent_message_uuid;
+            }
+
+            addNode(mapping, id, parent, convertMessage(message));
+            previous = id;
+        });
+
+        if (conversation.current_leaf_message_uuid) {
+            preferBranch(mapping, conversation.current_leaf_message_uuid);
+        }
+
+        return {
+            id: safeString(conversation.uuid),
+            title: safeString(conversation.name),
+            inserted_at: safeString(conversation.created_at),
+            updated_at: safeString(conversation.updated_at),
+            mapping
+        };
+    }
+};
@@ -0,0 +1,14 @@
+// Native DeepSeek export: already in the internal model, passed through untouched
+export default {
+    name: 'deepseek',
+    label: 'DeepSeek',
+
+    detect(conversation) {
+        const nodes = Object.values(conversation.mapping || {});
+        return nodes.some(node => node && node.message && Array.isArray(node.message.fragments));
+    },
+
+    normalize(conversation) {
+        return conversation;
+    }
+};
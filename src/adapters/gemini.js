@@ -0,0 +1,72 @@
+import crypto from 'crypto';
+import { safeString } from '../utils.js';
+import { createMapping, addNode, createMessage } from './mapping.js';
+
+const PRODUCT = 'Gemini Apps';
+const PROMPT_PREFIX = 'Prompted ';
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+function decodeEntities(text) {
+    return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, code) => {
+        if (code[0] === '#') {
+            const value = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+            return Number.isNaN(value) ? entity : String.fromCodePoint(value);
+        }
+        return ENTITIES[code.toLowerCase()] ?? entity;
+    });
+}
+
+function htmlToMarkdown(html) {
+    // Takeout stores responses as simple rendered HTML; turn the common tags
+    // back into markdown and drop the rest
+    const text = html
+        .replace(/<pre[^>]*>\s*(?:<code[^>]*>)?([\s\S]*?)(?:<\/code>)?\s*<\/pre>/gi, (match, code) => `\n\n\`\`\`\n${code.replace(/<[^>]+>/g, '')}\n\`\`\`\n\n`)
+        .replace(/<h([1-6])[^>]*>/gi, (match, level) => `\n\n${'#'.repeat(Number(level))} `)
+        .replace(/<br\s*\/?>/gi, '\n')
+        .replace(/<\/(p|div|h[1-6]|ul|ol|table|blockquote)>/gi, '\n\n')
+        .replace(/<li[^>]*>/gi, '\n- ')
+        .replace(/<\/?(strong|b)>/gi, '**')
+        .replace(/<\/?(em|i)>/gi, '*')
+        .replace(/<\/?code[^>]*>/gi, '`')
+        .replace(/<a [^>]*href="([^"]*)"[^>]*>([\s\S]*?)<\/a>/gi, '[$2]($1)')
+        .replace(/<[^>]+>/g, '');
+
+    return decodeEntities(text).replace(/[ \t]+\n/g, '\n').replace(/\n{3,}/g, '\n\n').trim();
+}
+
+// Google Takeout "My Activity/Gemini Apps/MyActivity.json". Takeout records single
+// prompts rather than chats, so every prompt becomes its own conversation.
+export default {
+    name: 'gemini',
+    label: 'Gemini',
+
+    detect(conversation) {
+        return conversation.header === PRODUCT
+            || (Array.isArray(conversation.products) && conversation.products.includes(PRODUCT));
+    },
+
+    normalize(activity) {
+        const title = safeString(activity.title);
+        // Other activity ("Used Gemini Apps", feedback, settings) has no prompt
+        if (!title.startsWith(PROMPT_PREFIX)) return null;
+
+        const prompt = title.slice(PROMPT_PREFIX.length).trim();
+        const time = safeString(activity.time);
+        const response = (activity.safeHtmlItem || []).map(item => htmlToMarkdown(safeString(item.html))).join('\n\n');
+        const files = (activity.attachedFiles || []).map(name => ({ file_name: safeString(name) }));
+
+        const mapping = createMapping();
+        addNode(mapping, 'request', 'root', createMessage([{ type: 'REQUEST', content: prompt }], { insertedAt: time, files }));
+        addNode(mapping, 'response', 'request', createMessage([{ type: 'RESPONSE', content: response }], { insertedAt: time }));
+
+        return {
+            // Takeout has no ids; the time and prompt identify an activity across exports
+            id: `gemini-${crypto.createHash('sha1').update(`${time}\n${prompt}`).digest('hex').slice(0, 16)}`,
+            title: prompt.length > 80 ? `${prompt.slice(0, 77)}...` : prompt,
+            inserted_at: time,
+            updated_at: time,
+            mapping
+        };
+    }
+};
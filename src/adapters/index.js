@@ -0,0 +1,27 @@
+import deepseek from './deepseek.js';
+import chatgpt from './chatgpt.js';
+import claude from './claude.js';
+import gemini from './gemini.js';
+
+// Input adapters turn other assistants' exports into the internal (DeepSeek)
+// conversation model. Detection runs per conversation, most specific first;
+// anything unrecognised is treated as a DeepSeek conversation.
+const adapters = [claude, gemini, chatgpt, deepseek];
+
+export function listProviders() {
+    return adapters.map(adapter => adapter.name);
+}
+
+export function getProviderLabel(name) {
+    return adapters.find(adapter => adapter.name === name)?.label || name || 'Unknown';
+}
+
+export function adaptConversation(record) {
+    if (!record || typeof record !== 'object') {
+        return { provider: deepseek.name, conversation: record };
+    }
+
+    const adapter = adapters.find(candidate => candidate.detect(record)) || deepseek;
+    // normalize() returns null for records that hold no conversation
+    return { provider: adapter.name, conversation: adapter.normalize(record) };
+}
@@ -0,0 +1,39 @@
+// Helpers for building the DeepSeek-style mapping tree that every adapter emits:
+// a "root" node whose descendants each hold one message (or null) and a list of
+// child ids.
+
+export function createMapping() {
+    return { root: { id: 'root', parent: null, children: [], message: null } };
+}
+
+export function addNode(mapping, id, parentId, message) {
+    const parent = mapping[parentId] ? parentId : 'root';
+    mapping[id] = { id, parent, children: [], message };
+    mapping[parent].children.push(id);
+    return mapping[id];
+}
+
+export function preferBranch(mapping, leafId) {
+    // The formatter shows the last child at every fork (see pickDefaultChild), so
+    // move each node on the path to the exporter's current message to the end
+    const seen = new Set();
+    let node = mapping[leafId];
+    while (node && node.parent && !seen.has(node.id)) {
+        seen.add(node.id);
+        const siblings = mapping[node.parent]?.children;
+        if (!siblings) break;
+        const position = siblings.indexOf(node.id);
+        if (position !== -1 && position !== siblings.length - 1) {
+            siblings.splice(position, 1);
+            siblings.push(node.id);
+        }
+        node = mapping[node.parent];
+    }
+    return mapping;
+}
+
+export function createMessage(fragments, { insertedAt = null, model = null, files = [] } = {}) {
+    const kept = fragments.filter(fragment => fragment.content);
+    if (kept.length === 0) return null;
+    return { files, model, inserted_at: insertedAt, fragments: kept };
+}
@@ -0,0 +1,70 @@
+import DeepSeekFormatter from './formatter.js';
+import { toConversationModel } from './model.js';
+import { ignoreLog } from './logger.js';
+
+// Library entry point (package "main"). Nothing here writes files, prints or
+// exits the process unless asked to: formatExport is the only function that
+// writes, and output goes to the onLog / onProgress callbacks if given.
+// src/index.js is the command line interface built on the same classes.
+
+function createFormatter(input, options = {}) {
+    return new DeepSeekFormatter({
+        inputFile: input,
+        includeReasoning: options.includeReasoning,
+        filters: options.filters,
+        redaction: options.redaction,
+        onLog: options.onLog || ignoreLog,
+        onProgress: options.onProgress
+    });
+}
+
+function toModel(formatter, { summary, conversation }) {
+    return toConversationModel(formatter.normalizeConversation(conversation, summary), {
+        includeReasoning: formatter.includeReasoning
+    });
+}
+
+// Yields conversations one at a time in file order, without numbers, so large
+// exports never have to be held in memory
+export async function* readExport(input, options = {}) {
+    const formatter = createFormatter(input, options);
+    try {
+        await formatter.prepareInput();
+        for await (const entry of formatter.readSelected()) {
+            yield toModel(formatter, entry);
+        }
+    } finally {
+        formatter.closeInput();
+    }
+}
+
+// Every selected conversation, newest first and numbered like the generated index
+export async function loadExport(input, options = {}) {
+    const formatter = createFormatter(input, options);
+    const entries = await formatter.loadAll();
+    return entries.map(entry => toModel(formatter, entry));
+}
+
+export async function validateExport(input, options = {}) {
+    return createFormatter(input, options).validateAll({ strict: options.strict });
+}
+
+// What changed from one export to a later one (see the diff command); nothing is written
+export async function compareExports(before, after, options = {}) {
+    return createFormatter(after, options).compareWith(before);
+}
+
+// Runs the whole conversion like the CLI does, and returns what it did
+export async function formatExport(input, options = {}) {
+    const formatter = new DeepSeekFormatter({
+        ...options,
+        inputFile: input,
+        onLog: options.onLog || ignoreLog
+    });
+    return formatter.formatAll();
+}
+
+export { DeepSeekFormatter };
+export { EXPORT_SCHEMA } from './schema.js';
+export { listProviders, getProviderLabel } from './adapters/index.js';
+export { logToConsole } from './logger.js';
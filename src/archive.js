@@ -0,0 +1,144 @@
+import fs from 'fs/promises';
+import { createWriteStream } from 'fs';
+import path from 'path';
+import { pipeline } from 'stream/promises';
+import yauzl from 'yauzl';
+
+export const CONVERSATIONS_FILE = 'conversations.json';
+// Output folder for uploads, next to the pages that link them
+export const ATTACHMENTS_DIR = 'attachments';
+const PROFILE_FILE = 'user.json';
+// Google Takeout keeps Gemini prompts with the rest of the account activity
+const GEMINI_ACTIVITY = /(^|\/)Gemini Apps\/MyActivity\.json$/i;
+
+// Read access to the official DeepSeek data export ZIP (and the ChatGPT, Claude
+// and Google Takeout archives, see adapters/). Entries are streamed straight out
+// of the archive, so nothing is unpacked to disk first.
+export default class ExportArchive {
+    constructor(file, zipfile, entries) {
+        this.file = file;
+        this.zipfile = zipfile;
+        this.entries = entries;
+        this.attachmentEntries = null;
+    }
+
+    static isArchive(file) {
+        return path.extname(file).toLowerCase() === '.zip';
+    }
+
+    static open(file) {
+        return new Promise((resolve, reject) => {
+            yauzl.open(file, { lazyEntries: true, autoClose: false }, (error, zipfile) => {
+                if (error) {
+                    reject(new Error(`Could not open ZIP archive ${file}: ${error.message}`));
+                    return;
+                }
+
+                const entries = [];
+                zipfile.on('entry', (entry) => {
+                    // Directories end with a slash and have no content of their own
+                    if (!entry.fileName.endsWith('/')) {
+                        entries.push(entry);
+                    }
+                    zipfile.readEntry();
+                });
+                zipfile.on('end', () => resolve(new ExportArchive(file, zipfile, entries)));
+                zipfile.on('error', reject);
+                zipfile.readEntry();
+            });
+        });
+    }
+
+    findEntry(name) {
+        // The export may be wrapped in a top-level folder; prefer the shallowest match
+        return this.entries
+            .filter(entry => path.posix.basename(entry.fileName) === name)
+            .sort((a, b) => a.fileName.split('/').length - b.fileName.split('/').length)[0];
+    }
+
+    getConversationsEntry() {
+        const entry = this.findEntry(CONVERSATIONS_FILE)
+            || this.entries.find(candidate => GEMINI_ACTIVITY.test(candidate.fileName));
+        if (!entry) {
+            throw new Error(`No ${CONVERSATIONS_FILE} found in ${this.file}`);
+        }
+        return entry;
+    }
+
+    openReadStream(entry) {
+        return new Promise((resolve, reject) => {
+            this.zipfile.openReadStream(entry, (error, stream) => {
+                if (error) reject(error);
+                else resolve(stream);
+            });
+        });
+    }
+
+    async readJson(entry) {
+        const chunks = [];
+        for await (const chunk of await this.openReadStream(entry)) {
+            chunks.push(chunk);
+        }
+        return JSON.parse(Buffer.concat(chunks).toString('utf8'));
+    }
+
+    async readProfile() {
+        const entry = this.findEntry(PROFILE_FILE);
+        if (!entry) return null;
+
+        const data = await this.readJson(entry);
+        const user = data && typeof data === 'object' ? (data.user || data) : {};
+        const name = user.name || user.nickname || user.display_name || user.username || '';
+        const email = user.email || '';
+
+        return name || email ? { name: String(name), email: String(email) } : null;
+    }
+
+    getAttachmentEntries() {
+        // Everything below conversations.json except the JSON (and HTML) metadata next to it is an upload
+        if (this.attachmentEntries) return this.attachmentEntries;
+
+        const dataDir = path.posix.dirname(this.getConversationsEntry().fileName);
+        const prefix = dataDir === '.' ? '' : `${dataDir}/`;
+        this.attachmentEntries = this.entries.filter(entry => {
+            const isMetadata = path.posix.dirname(entry.fileName) === dataDir
+                && ['.json', '.html'].includes(path.posix.extname(entry.fileName).toLowerCase());
+            return entry.fileName.startsWith(prefix) && !isMetadata;
+        });
+        return this.attachmentEntries;
+    }
+
+    findAttachment(file) {
+        // A message's files entry names the upload; its id, when there is one, is
+        // part of the stored path and tells apart uploads with the same name
+        const name = typeof file.file_name === 'string' ? file.file_name : '';
+        const id = typeof file.id === 'string' ? file.id : '';
+        if (!name) return null;
+
+        const matches = this.getAttachmentEntries().filter(entry => path.posix.basename(entry.fileName) === name);
+        return matches.find(entry => id && entry.fileName.split('/').some(part => part.includes(id))) || matches[0] || null;
+    }
+
+    async extractAttachment(entry, destDir) {
+        const dataDir = path.posix.dirname(this.getConversationsEntry().fileName);
+        const relative = path.posix.relative(dataDir === '.' ? '' : dataDir, entry.fileName);
+        const target = path.resolve(destDir, relative);
+
+        // Refuse entries that would escape the output directory ("zip slip")
+        if (!target.startsWith(path.resolve(destDir) + path.sep)) {
+            throw new Error(`Refusing to extract unsafe archive path: ${entry.fileName}`);
+        }
+
+        // Attachments never change once uploaded, so an existing copy of the same size is kept
+        const existing = await fs.stat(target).catch(() => null);
+        if (!existing || existing.size !== entry.uncompressedSize) {
+            await fs.mkdir(path.dirname(target), { recursive: true });
+            await pipeline(await this.openReadStream(entry), createWriteStream(target));
+        }
+        return relative;
+    }
+
+    close() {
+        this.zipfile.close();
+    }
+}
@@ -0,0 +1,204 @@
+import { safeString } from './utils.js';
+import { getConversationKey } from './merge.js';
+
+export const DIFF_REPORT_FILE = 'diff.html';
+
+// Word-level diffs compare every word of one text with every word of the
+// other; beyond this many pairs the changed middle is shown replaced as a whole
+const MAX_DIFF_CELLS = 4000000;
+
+// Whitespace runs, single CJK characters (which have no spaces between words),
+// other words, and any single remaining character
+const TOKEN_PATTERN = /\s+|[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}]|(?:(?![\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}])[\p{L}\p{N}_])+|[^]/gu;
+
+// Splits two texts into runs of { type: 'same' | 'removed' | 'added', text }
+export function diffWords(before, after) {
+    const a = safeString(before).match(TOKEN_PATTERN) || [];
+    const b = safeString(after).match(TOKEN_PATTERN) || [];
+    const parts = [];
+    const push = (type, tokens) => {
+        const text = tokens.join('');
+        if (!text) return;
+        const last = parts[parts.length - 1];
+        if (last && last.type === type) {
+            last.text += text;
+        } else {
+            parts.push({ type, text });
+        }
+    };
+
+    // Continued or lightly edited messages share most of their start and end
+    let start = 0;
+    while (start < a.length && start < b.length && a[start] === b[start]) start++;
+    let end = 0;
+    while (end < a.length - start && end < b.length - start && a[a.length - 1 - end] === b[b.length - 1 - end]) end++;
+
+    const x = a.slice(start, a.length - end);
+    const y = b.slice(start, b.length - end);
+    push('same', a.slice(0, start));
+
+    if (x.length * y.length > MAX_DIFF_CELLS) {
+        push('removed', x);
+        push('added', y);
+    } else {
+        // Longest common subsequence, filled in from the end so it can be walked forwards
+        const width = y.length + 1;
+        const lengths = new Uint32Array((x.length + 1) * width);
+        for (let i = x.length - 1; i >= 0; i--) {
+            for (let j = y.length - 1; j >= 0; j--) {
+                lengths[i * width + j] = x[i] === y[j]
+                    ? lengths[(i + 1) * width + j + 1] + 1
+                    : Math.max(lengths[(i + 1) * width + j], lengths[i * width + j + 1]);
+            }
+        }
+
+        let i = 0;
+        let j = 0;
+        while (i < x.length && j < y.length) {
+            if (x[i] === y[j]) {
+                push('same', [x[i++]]);
+                j++;
+            } else if (lengths[(i + 1) * width + j] >= lengths[i * width + j + 1]) {
+                push('removed', [x[i++]]);
+            } else {
+                push('added', [y[j++]]);
+            }
+        }
+        push('removed', x.slice(i));
+        push('added', y.slice(j));
+    }
+
+    push('same', a.slice(a.length - end));
+    return parts;
+}
+
+function getFragments(message, includeReasoning) {
+    // What is compared of each fragment: its text, plus the sources of web searches
+    const fragments = Array.isArray(message.fragments) ? message.fragments : [];
+    return fragments
+        .filter(fragment => fragment && fragment.type)
+        .filter(fragment => includeReasoning || fragment.type !== 'THINK')
+        .map(fragment => {
+            const results = Array.isArray(fragment.results) ? fragment.results : [];
+            const sources = results
+                .filter(result => result && (result.url || result.title))
+                .map(result => safeString(result.url || result.title));
+            return {
+                type: safeString(fragment.type),
+                content: [safeString(fragment.content), ...sources].filter(Boolean).join('\n')
+            };
+        });
+}
+
+function collectMessages(nodes, includeReasoning) {
+    // Every message of the tree by node id, numbered like the conversation page numbers them.
+    // Children are pushed in reverse so they come off the stack in tree order.
+    const messages = new Map();
+    const stack = [...nodes].reverse().map(node => ({ node, messageNumber: 1 }));
+
+    while (stack.length > 0) {
+        const { node, messageNumber } = stack.pop();
+        let next = messageNumber;
+        if (node.message) {
+            const fragments = getFragments(node.message, includeReasoning);
+            messages.set(node.id, {
+                nodeId: node.id,
+                messageNumber,
+                time: safeString(node.message.inserted_at),
+                fragments
+            });
+            next += fragments.filter(fragment => fragment.type === 'REQUEST').length;
+        }
+        for (let i = node.children.length - 1; i >= 0; i--) {
+            stack.push({ node: node.children[i], messageNumber: next });
+        }
+    }
+    return messages;
+}
+
+function diffFragments(before, after) {
+    // Fragments are paired by position; a message keeps its fragment types when edited
+    const fragments = [];
+    for (let i = 0; i < Math.max(before.length, after.length); i++) {
+        const a = before[i];
+        const b = after[i];
+        if (!b) {
+            fragments.push({ type: a.type, status: 'removed', content: a.content });
+        } else if (!a || a.type !== b.type) {
+            if (a) fragments.push({ type: a.type, status: 'removed', content: a.content });
+            fragments.push({ type: b.type, status: 'added', content: b.content });
+        } else if (a.content === b.content) {
+            fragments.push({ type: b.type, status: 'same', content: b.content });
+        } else {
+            fragments.push({ type: b.type, status: 'changed', parts: diffWords(a.content, b.content) });
+        }
+    }
+    return fragments;
+}
+
+function diffConversation(before, after, includeReasoning) {
+    const beforeMessages = collectMessages(before.tree, includeReasoning);
+    const afterMessages = collectMessages(after.tree, includeReasoning);
+    const messages = [];
+    let unchanged = 0;
+
+    // New and edited messages in the order of the newer tree, then the ones it no longer has
+    for (const message of afterMessages.values()) {
+        const previous = beforeMessages.get(message.nodeId);
+        if (!previous) {
+            messages.push({ ...message, status: 'added', fragments: message.fragments.map(fragment => ({ ...fragment, status: 'added' })) });
+            continue;
+        }
+
+        const fragments = diffFragments(previous.fragments, message.fragments);
+        if (fragments.every(fragment => fragment.status === 'same')) {
+            unchanged++;
+        } else {
+            messages.push({ ...message, status: 'changed', fragments });
+        }
+    }
+    for (const message of beforeMessages.values()) {
+        if (afterMessages.has(message.nodeId)) continue;
+        messages.push({ ...message, status: 'removed', fragments: message.fragments.map(fragment => ({ ...fragment, status: 'removed' })) });
+    }
+
+    const count = status => messages.filter(message => message.status === status).length;
+    return {
+        before,
+        after,
+        renamed: before.title !== after.title,
+        messages,
+        counts: { added: count('added'), changed: count('changed'), removed: count('removed'), unchanged }
+    };
+}
+
+// Compares two exports, given as normalized conversations (see
+// DeepSeekFormatter.normalizeConversation). Conversations are matched by id.
+export function diffExports(before, after, { includeReasoning = true } = {}) {
+    const previous = new Map(before.map(conversation => [getConversationKey(conversation.raw), conversation]));
+    const result = { added: [], removed: [], renamed: [], changed: [], unchanged: 0 };
+    const seen = new Set();
+
+    for (const conversation of after) {
+        const key = getConversationKey(conversation.raw);
+        const match = previous.get(key);
+        seen.add(key);
+        if (!match) {
+            result.added.push(conversation);
+            continue;
+        }
+
+        const diff = diffConversation(match, conversation, includeReasoning);
+        if (diff.renamed) {
+            result.renamed.push({ before: match, after: conversation });
+        }
+        if (diff.messages.length > 0) {
+            result.changed.push(diff);
+        } else if (!diff.renamed) {
+            result.unchanged++;
+        }
+    }
+
+    result.removed = before.filter(conversation => !seen.has(getConversationKey(conversation.raw)));
+    return result;
+}
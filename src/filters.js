@@ -0,0 +1,103 @@
+import { safeString } from './utils.js';
+import { listProviders } from './adapters/index.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function parseDate(value, name, endOfDay = false) {
+    const time = Date.parse(value);
+    if (Number.isNaN(time)) {
+        throw new Error(`Invalid --${name} date: ${value}`);
+    }
+    // A bare date like 2024-05-01 covers that whole day when used as an upper bound
+    return endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(value) ? time + DAY_MS - 1 : time;
+}
+
+function parsePattern(value, name) {
+    try {
+        return new RegExp(value, 'i');
+    } catch (error) {
+        throw new Error(`Invalid --${name} pattern: ${error.message}`);
+    }
+}
+
+function conversationContains(mapping, pattern) {
+    // Every node is searched, so text that only exists on another branch still matches
+    for (const node of Object.values(mapping || {})) {
+        const fragments = node && node.message && Array.isArray(node.message.fragments) ? node.message.fragments : [];
+        if (fragments.some(fragment => pattern.test(safeString(fragment && fragment.content)))) {
+            return true;
+        }
+    }
+    return false;
+}
+
+// Builds a predicate over (raw conversation, summary) from the CLI filter options,
+// or returns null when no filter is set. All given filters must match. Text
+// filters look at the raw conversation, before any redaction.
+export function createConversationFilter(options = {}) {
+    const checks = [];
+    const descriptions = [];
+
+    if (options.since) {
+        const since = parseDate(options.since, 'since');
+        descriptions.push(`since ${options.since}`);
+        // Anything still active on or after the date, judged by its last update
+        checks.push((conversation, summary) => {
+            const time = Date.parse(summary.updated || summary.created);
+            return !Number.isNaN(time) && time >= since;
+        });
+    }
+
+    if (options.until) {
+        const until = parseDate(options.until, 'until', true);
+        descriptions.push(`until ${options.until}`);
+        // Anything started on or before the date
+        checks.push((conversation, summary) => {
+            const time = Date.parse(summary.created || summary.updated);
+            return !Number.isNaN(time) && time <= until;
+        });
+    }
+
+    if (options.title) {
+        const pattern = parsePattern(options.title, 'title');
+        descriptions.push(`title matches /${options.title}/i`);
+        checks.push((conversation) => pattern.test(safeString(conversation.title)));
+    }
+
+    if (options.match) {
+        const pattern = parsePattern(options.match, 'match');
+        descriptions.push(`content matches /${options.match}/i`);
+        checks.push((conversation) => conversationContains(conversation.mapping, pattern));
+    }
+
+    if (options.ids && options.ids.length > 0) {
+        const ids = new Set(options.ids);
+        descriptions.push(`id in ${options.ids.join(', ')}`);
+        checks.push((conversation, summary) => ids.has(summary.id));
+    }
+
+    if (options.providers && options.providers.length > 0) {
+        const unknown = options.providers.filter(name => !listProviders().includes(name));
+        if (unknown.length > 0) {
+            throw new Error(`Unknown --provider: ${unknown.join(', ')} (expected ${listProviders().join(', ')})`);
+        }
+        const providers = new Set(options.providers);
+        descriptions.push(`provider is ${options.providers.join(' or ')}`);
+        checks.push((conversation, summary) => providers.has(summary.provider));
+    }
+
+    if (options.minMessages) {
+        const minMessages = Number(options.minMessages);
+        if (!Number.isFinite(minMessages)) {
+            throw new Error(`Invalid --min-messages value: ${options.minMessages}`);
+        }
+        descriptions.push(`at least ${minMessages} messages`);
+        checks.push((conversation, summary) => summary.messageCount >= minMessages);
+    }
+
+    if (checks.length === 0) return null;
+
+    const filter = (conversation, summary) => checks.every(check => check(conversation, summary));
+    filter.description = descriptions.join(', ');
+    return filter;
+}
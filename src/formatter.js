@@ -1,80 +1,391 @@
 import fs from 'fs/promises';
 import path from 'path';
-import { format, parseISO, compareDesc } from 'date-fns';
-import chalk from 'chalk';
+import { format } from 'date-fns';
+import { readConversations } from './reader.js';
+import Manifest from './manifest.js';
+import ExportArchive, { ATTACHMENTS_DIR } from './archive.js';
+import { createConversationFilter } from './filters.js';
+import Redactor, { REDACTION_REPORT_FILE } from './redaction.js';
+import ArchiveStats, { STATS_REPORT_FILE } from './stats.js';
+import ExportValidator from './validator.js';
+import ExportMerger, { MERGE_REPORT_FILE } from './merge.js';
+import { diffExports, DIFF_REPORT_FILE } from './diff.js';
+import { logToConsole } from './logger.js';
+import { adaptConversation, getProviderLabel } from './adapters/index.js';
+import { getWriter, listWriters, loadWriterModule } from './writers/index.js';
+import { safeString, sanitizeFilename, formatTimestamp } from './utils.js';
 
 export default class DeepSeekFormatter {
     constructor(options = {}) {
         this.outputDir = options.outputDir || './formatted_chats';
-        this.inputFile = options.inputFile || 'conversations.json';
+        // Several exports of the same account are merged (see ExportMerger)
+        this.inputFiles = [].concat(options.inputFile || 'conversations.json');
+        this.inputFile = this.inputFiles[0];
         this.verbose = options.verbose || false;
+        // Output goes through callbacks, so the formatter can run inside other tools (see api.js)
+        this.onLog = options.onLog || logToConsole;
+        this.onProgress = options.onProgress || null;
+        this.includeReasoning = options.includeReasoning !== false;
+        this.formats = options.formats && options.formats.length > 0 ? options.formats : ['html'];
+        this.writerModules = options.writerModules || [];
+        this.writers = [];
+        this.force = options.force || false;
+        this.prune = options.prune || false;
+        this.filterOptions = options.filters || {};
+        this.themeFile = options.theme || null;
+        this.redaction = options.redaction || {};
+        this.redactor = null;
+        this.redactionReport = [];
+        this.manifest = null;
+        this.usedBaseNames = new Set();
+        this.archiveStats = new ArchiveStats();
+        this.archives = new Map();
+        this.merger = null;
+        this.profile = null;
+        this.profiles = new Map();
+        this.attachments = new Set();
+        this.unreadableRecords = new Set();
         
         this.stats = {
             totalConversations: 0,
             totalMessages: 0,
             processedFiles: 0,
-            errors: 0
+            errors: 0,
+            filteredOut: 0
+        };
+        
+        // Conversation ids grouped by what this run did with them
+        this.changes = {
+            added: [],
+            updated: [],
+            unchanged: [],
+            removed: []
         };
     }
 
     async formatAll() {
         try {
-            console.log(chalk.blue('📚 Starting DeepSeek Formatter'));
-            console.log(chalk.gray(`Input: ${this.inputFile}`));
-            console.log(chalk.gray(`Output: ${this.outputDir}`));
-
-            // Check if input file exists
-            try {
-                await fs.access(this.inputFile);
-            } catch {
-                throw new Error(`Input file not found: ${this.inputFile}`);
-            }
-
-            // Read and parse input
-            const data = await fs.readFile(this.inputFile, 'utf8');
-            let conversations = JSON.parse(data);
-            
-            if (!Array.isArray(conversations)) {
-                throw new Error('Invalid JSON format: Expected an array of conversations');
+            this.log('info', '📚 Starting DeepSeek Formatter');
+            this.log('debug', `Input: ${this.inputFiles.join(', ')}`);
+            this.log('debug', `Output: ${this.outputDir}`);
+            this.log('debug', `Formats: ${this.formats.join(', ')}`);
+
+            await this.loadWriters();
+            await this.prepareInput();
+            await this.manifest.load();
+
+            // First pass: stream the export once, keeping only the metadata
+            // needed for numbering, summary.json and the indexes
+            let conversations = [];
+            for await (const { index, provider, conversation, archived } of this.readInput()) {
+                const { conversation: redacted, counts } = this.redactConversation(conversation);
+                const summary = this.summarizeConversation(redacted, index, provider, archived);
+                if (this.filter && !this.filter(conversation, summary)) {
+                    this.stats.filteredOut++;
+                    this.keepFilteredOut(summary);
+                    continue;
+                }
+                if (Object.keys(counts).length > 0) {
+                    this.redactionReport.push({ summary, counts });
+                }
+                conversations.push(summary);
             }
             
             // Sort conversations by date (inserted_at) descending (most recent first)
             conversations = this.sortConversationsByDate(conversations);
+            conversations.forEach((summary, i) => this.assignNumber(summary, i));
+            this.linkNeighbours(conversations);
             
             this.stats.totalConversations = conversations.length;
-            console.log(chalk.cyan(`Found ${this.stats.totalConversations} conversations`));
+            this.log('info', `Found ${this.stats.totalConversations} conversations${this.filter ? ` (${this.stats.filteredOut} filtered out)` : ''}`);
+            
+            const providers = this.countProviders(conversations);
+            if (Object.keys(providers).length > 1 || !providers.deepseek) {
+                this.log('debug', `Providers: ${Object.entries(providers).map(([name, count]) => `${getProviderLabel(name)} ${count}`).join(', ')}`);
+            }
 
             // Create output directory
             await fs.mkdir(this.outputDir, { recursive: true });
 
-            // Process each conversation (already sorted)
-            for (let i = 0; i < conversations.length; i++) {
-                await this.processConversation(conversations[i], i);
+            for (const writer of this.writers) {
+                await writer.begin({ outputDir: this.outputDir });
+            }
+
+            // Second pass: render the selected conversations one at a time in file order
+            const bySourceIndex = new Map(conversations.map(summary => [summary.sourceIndex, summary]));
+            for await (const { index, conversation } of this.readInput()) {
+                if (!bySourceIndex.has(index)) continue;
+                const { conversation: redacted } = this.redactConversation(conversation);
+                await this.copyAttachments(redacted);
+                await this.processConversation(this.normalizeConversation(redacted, bySourceIndex.get(index)));
+            }
+            if (this.attachments.size > 0) {
+                this.log('info', `Copied ${this.attachments.size} attachments`);
+            } else if (this.redactor && this.archives.size > 0) {
+                this.log('info', 'Attachments are not copied when redacting');
             }
 
+            await this.removeDeletedConversations();
+            await this.manifest.save();
+
             // Generate summary
             await this.generateSummary(conversations);
 
-            console.log(chalk.green.bold('\n✅ Formatting completed!'));
-            console.log(chalk.gray(`📁 Output: ${path.resolve(this.outputDir)}`));
+            this.log('success', '\n✅ Formatting completed!');
+            this.log('debug', `📁 Output: ${path.resolve(this.outputDir)}`);
             this.printStats();
 
-        } catch (error) {
-            console.error(chalk.red.bold('\n❌ Error:'), error.message);
-            if (this.verbose) {
-                console.error(chalk.red('Stack trace:'), error.stack);
-                console.error(chalk.yellow('Current stats:'), this.stats);
+            return this.getResult(conversations);
+        } finally {
+            this.closeInput();
+        }
+    }
+
+    async prepareInput() {
+        // Built up front so an invalid pattern or date fails before any work
+        this.filter = createConversationFilter(this.filterOptions);
+        if (this.filter) {
+            this.log('debug', `Filter: ${this.filter.description}`);
+        }
+
+        await this.checkInput();
+
+        if (this.redaction.enabled || this.redaction.configFile) {
+            this.redactor = await Redactor.fromConfigFile(this.redaction.configFile);
+            this.log('debug', `Redaction: ${this.redactor.detectors.map(d => d.name).join(', ')}`);
+        }
+
+        await this.openInput();
+
+        if (this.inputFiles.length > 1) {
+            this.merger = new ExportMerger(this.inputFiles, (file) => this.readExport(file));
+            await this.merger.scan();
+            const report = this.merger.getReport();
+            this.log('info', `🔀 Merging ${this.inputFiles.length} exports: ${report.totalConversations} conversations, ${report.archivedConversations} only in older exports, ${report.restoredMessages} messages restored`);
+            // The account profile of the most recent export wins
+            this.profile = this.profiles.get(this.merger.getLatestFile()) || this.profile;
+        }
+        if (this.redactor) {
+            this.profile = this.redactor.redactProfile(this.profile);
+        }
+
+        this.manifest = new Manifest(this.outputDir, {
+            includeReasoning: this.includeReasoning,
+            // Pages only link theme.css when there is one
+            theme: Boolean(this.themeFile),
+            redaction: this.redactor ? this.redactor.signature : null
+        });
+        this.usedBaseNames = new Set();
+    }
+
+    async *readSelected() {
+        // Redacted conversations that pass the filter, with their first-pass summary, in file order
+        for await (const { index, provider, conversation, archived } of this.readInput()) {
+            const { conversation: redacted } = this.redactConversation(conversation);
+            const summary = this.summarizeConversation(redacted, index, provider, archived);
+            if (this.filter && !this.filter(conversation, summary)) continue;
+            yield { summary, conversation: redacted };
+        }
+    }
+
+    async loadAll() {
+        // The whole selected export in memory, numbered as formatAll numbers it,
+        // for serve and the library API
+        try {
+            await this.prepareInput();
+
+            const entries = [];
+            for await (const entry of this.readSelected()) {
+                entries.push(entry);
+            }
+
+            const bySummary = new Map(entries.map(entry => [entry.summary, entry.conversation]));
+            const summaries = this.sortConversationsByDate(entries.map(entry => entry.summary));
+            summaries.forEach((summary, i) => this.assignNumber(summary, i));
+            this.linkNeighbours(summaries);
+            return summaries.map(summary => ({ summary, conversation: bySummary.get(summary) }));
+        } finally {
+            this.closeInput();
+        }
+    }
+
+    async compareWith(previousFile) {
+        // Diff of an earlier export (before) against the input (after), read with the same options
+        const previous = new DeepSeekFormatter({
+            inputFile: previousFile,
+            includeReasoning: this.includeReasoning,
+            filters: this.filterOptions,
+            redaction: this.redaction,
+            onLog: this.onLog
+        });
+        const load = async (formatter) => (await formatter.loadAll())
+            .map(({ summary, conversation }) => formatter.normalizeConversation(conversation, summary));
+
+        const before = await load(previous);
+        const after = await load(this);
+        return {
+            before: { file: previous.inputFiles.join(', '), conversations: before.length },
+            after: { file: this.inputFiles.join(', '), conversations: after.length },
+            ...diffExports(before, after, { includeReasoning: this.includeReasoning })
+        };
+    }
+
+    async diffAll(previousFile) {
+        this.log('info', `🔍 Comparing ${previousFile} with ${this.inputFiles.join(', ')}`);
+        const diff = await this.compareWith(previousFile);
+
+        await fs.mkdir(this.outputDir, { recursive: true });
+        const HtmlWriter = getWriter('html');
+        const writer = new HtmlWriter({ includeReasoning: this.includeReasoning, theme: this.themeFile, onLog: this.onLog });
+        await writer.writeStylesheets(this.outputDir);
+        await fs.writeFile(path.join(this.outputDir, DIFF_REPORT_FILE), writer.renderDiff(diff));
+
+        this.log('success', `📄 Generated ${DIFF_REPORT_FILE}`);
+        this.log('debug', `   New: ${diff.added.length} • Removed: ${diff.removed.length} • Renamed: ${diff.renamed.length} • Changed: ${diff.changed.length} • Unchanged: ${diff.unchanged}`);
+        this.log('debug', `📁 Output: ${path.resolve(this.outputDir, DIFF_REPORT_FILE)}`);
+        return diff;
+    }
+
+    closeInput() {
+        for (const archive of this.archives.values()) {
+            archive.close();
+        }
+        this.archives.clear();
+    }
+
+    async checkInput() {
+        for (const file of this.inputFiles) {
+            try {
+                await fs.access(file);
+            } catch {
+                throw new Error(`Input file not found: ${file}`);
+            }
+        }
+    }
+
+    async validateAll({ strict = false } = {}) {
+        // Unreadable input (missing, not JSON, not an array) throws; everything
+        // else is collected as a problem. Nothing is written or printed.
+        const validator = new ExportValidator();
+
+        try {
+            if (this.inputFiles.length > 1) {
+                throw new Error('Validate one export at a time');
+            }
+            await this.checkInput();
+            await this.openInput();
+
+            for await (const { index, conversation: record } of this.readRecords()) {
+                let adapted;
+                try {
+                    adapted = adaptConversation(record);
+                } catch (error) {
+                    validator.addProblem('error', `$[${index}]`, `could not convert conversation: ${error.message}`);
+                    continue;
+                }
+                // Records that hold no conversation (e.g. other Takeout activity) are skipped like formatAll does
+                if (record !== null && !adapted.conversation) continue;
+
+                validator.validate(adapted.conversation, Number(index), adapted.provider);
+                this.onProgress?.({ phase: 'validate', current: validator.conversations, total: null });
+            }
+        } finally {
+            this.closeInput();
+        }
+
+        const report = validator.getReport();
+        // Strict mode fails on warnings too
+        const valid = report.errors === 0 && (!strict || report.warnings === 0);
+        return { file: this.inputFile, strict, valid, ...report };
+    }
+
+    async openInput() {
+        for (const file of this.inputFiles) {
+            if (!ExportArchive.isArchive(file)) continue;
+
+            const archive = await ExportArchive.open(file);
+            this.archives.set(file, archive);
+            const entry = archive.getConversationsEntry();
+            this.log('debug', `Reading ${entry.fileName} from ${path.basename(file)}`);
+
+            try {
+                this.profiles.set(file, await archive.readProfile());
+                this.profile = this.profile || this.profiles.get(file);
+            } catch (error) {
+                this.log('warn', `Warning: Could not read user profile from archive: ${error.message}`);
             }
-            process.exit(1);
         }
     }
 
+    readRecords(file = this.inputFile) {
+        // Raw export records, before any provider conversion
+        const archive = this.archives.get(file);
+        if (archive) {
+            const entry = archive.getConversationsEntry();
+            return readConversations(() => archive.openReadStream(entry), `${file}:${entry.fileName}`);
+        }
+        return readConversations(file);
+    }
+
+    async *readExport(file) {
+        // Other assistants' exports are converted to the DeepSeek model as they stream in
+        for await (const { index, conversation } of this.readRecords(file)) {
+            let adapted;
+            try {
+                adapted = adaptConversation(conversation);
+            } catch (error) {
+                this.reportUnreadableRecord(file, index, error);
+                continue;
+            }
+            if (!adapted.conversation) continue;
+            yield { index, provider: adapted.provider, conversation: adapted.conversation };
+        }
+    }
+
+    reportUnreadableRecord(file, index, error) {
+        // The export is read more than once per run, so each record is reported once
+        const key = `${file}\n${index}`;
+        if (this.unreadableRecords.has(key)) return;
+        this.unreadableRecords.add(key);
+
+        this.stats.errors++;
+        const source = this.inputFiles.length > 1 ? ` of ${file}` : '';
+        this.log('error', `Error converting conversation ${index}${source}: ${error.message}`);
+    }
+
+    readInput() {
+        // Several exports stream as one, with `archived` set on conversations the newest no longer has
+        return this.merger ? this.merger.read() : this.readExport(this.inputFile);
+    }
+
+    async loadWriters() {
+        for (const modulePath of this.writerModules) {
+            const name = await loadWriterModule(modulePath);
+            this.log('debug', `Loaded writer "${name}" from ${modulePath}`);
+        }
+
+        const unknownFormats = this.formats.filter(f => !getWriter(f));
+        if (unknownFormats.length > 0) {
+            throw new Error(`Unknown output format: ${unknownFormats.join(', ')} (expected ${listWriters().join(', ')})`);
+        }
+
+        this.writers = this.formats.map(formatName => {
+            const WriterClass = getWriter(formatName);
+            return new WriterClass({ includeReasoning: this.includeReasoning, theme: this.themeFile, onLog: this.onLog });
+        });
+    }
+
+    getFileWriters() {
+        // Writers that produce one file per conversation, tracked in the manifest
+        return this.writers.filter(writer => writer.writesConversationFiles);
+    }
+
     sortConversationsByDate(conversations) {
         try {
             return conversations.sort((a, b) => {
                 try {
-                    const dateA = a.updated_at || a.inserted_at;
-                    const dateB = b.updated_at || b.inserted_at;
+                    const dateA = a.date;
+                    const dateB = b.date;
                     
                     if (!dateA && !dateB) return 0;
                     if (!dateA) return 1;
@@ -90,144 +401,237 @@ export default class DeepSeekFormatter {
                 }
             });
         } catch (error) {
-            console.log(chalk.yellow('Warning: Error sorting conversations:', error.message));
+            this.log('warn', `Warning: Error sorting conversations: ${error.message}`);
             return conversations;
         }
     }
 
-    async processConversation(conversation, index) {
+    countProviders(conversations) {
+        const counts = {};
+        for (const conv of conversations) {
+            counts[conv.provider] = (counts[conv.provider] || 0) + 1;
+        }
+        return counts;
+    }
+
+    redactConversation(conversation) {
+        // Runs before anything is summarized or rendered, in both passes
+        if (!this.redactor) {
+            return { conversation, counts: {} };
+        }
+        return this.redactor.redactConversation(conversation);
+    }
+
+    summarizeConversation(conversation, sourceIndex, provider = 'deepseek', archived = false) {
+        const tree = this.buildMessageTree(conversation.mapping);
+        const messages = this.extractMessages(conversation.mapping);
+        const preview = this.getPreview(messages);
+
+        // Summaries are kept for the whole run. Their strings can be slices of
+        // the reader's input chunks, so they are copied to not keep those alive.
+        return structuredClone({
+            sourceIndex,
+            provider,
+            id: safeString(conversation.id),
+            title: safeString(conversation.title),
+            created: safeString(conversation.inserted_at),
+            updated: safeString(conversation.updated_at),
+            date: safeString(conversation.updated_at || conversation.inserted_at),
+            messageCount: messages.length,
+            branchCount: this.countBranches(tree),
+            characters: preview.characters,
+            firstRequest: preview.firstRequest,
+            lastResponse: preview.lastResponse,
+            archived: Boolean(archived),
+            // No manifest when rendering a single conversation (see render.js)
+            hash: this.manifest ? this.manifest.hashConversation(conversation) : null
+        });
+    }
+
+    getPreview(messages) {
+        // Length and opening/closing lines of the default branch, for the index
+        const preview = { characters: 0, firstRequest: '', lastResponse: '' };
+        const shorten = (text) => {
+            const line = text.replace(/\s+/g, ' ').trim();
+            return line.length > 160 ? `${line.slice(0, 157)}...` : line;
+        };
+
+        for (const message of messages) {
+            for (const fragment of Array.isArray(message.fragments) ? message.fragments : []) {
+                const content = safeString(fragment?.content);
+                if (fragment?.type === 'REQUEST') {
+                    preview.characters += content.length;
+                    if (!preview.firstRequest && content) preview.firstRequest = shorten(content);
+                } else if (fragment?.type === 'RESPONSE') {
+                    preview.characters += content.length;
+                    if (content) preview.lastResponse = content;
+                }
+            }
+        }
+        preview.lastResponse = shorten(preview.lastResponse);
+        return preview;
+    }
+
+    assignNumber(summary, index) {
+        // Number conversations in reverse order (1 = most recent)
+        summary.number = index + 1;
+        summary.fileNumber = (index + 1).toString().padStart(3, '0');
+        summary.baseName = this.getBaseName(summary);
+        
+        // Conversations sharing an id (or both lacking one) must not overwrite each other
+        if (this.usedBaseNames.has(summary.baseName)) {
+            summary.baseName += `-${summary.fileNumber}`;
+        }
+        this.usedBaseNames.add(summary.baseName);
+        summary.manifestKey = summary.id || summary.baseName;
+        return summary;
+    }
+
+    linkNeighbours(conversations) {
+        // Conversation pages link the ones before and after them in the index
+        const describe = (summary) => summary ? { title: summary.title, baseName: summary.baseName } : null;
+        conversations.forEach((summary, i) => {
+            summary.previous = describe(conversations[i - 1]);
+            summary.next = describe(conversations[i + 1]);
+            // A page is rewritten when its neighbours change, not just its messages
+            if (summary.hash) {
+                summary.hash = this.manifest.hashConversation({ conversation: summary.hash, previous: summary.previous, next: summary.next });
+            }
+        });
+    }
+
+    normalizeConversation(conversation, summary) {
+        // The full model adds the message tree to the metadata from the first pass
+        return {
+            ...summary,
+            messages: this.extractMessages(conversation.mapping),
+            tree: this.buildMessageTree(conversation.mapping),
+            raw: conversation
+        };
+    }
+
+    async copyAttachments(conversation) {
+        // Only uploads that a selected conversation refers to are copied, none
+        // of those the filters leave out. Each files entry found in an archive
+        // gets the copy's path for the writers to link; uploads never change,
+        // so every archive's are kept side by side. Redacted output has none:
+        // the files' contents cannot be redacted.
+        if (this.archives.size === 0 || this.redactor) return;
+
+        const mapping = conversation.mapping && typeof conversation.mapping === 'object' ? conversation.mapping : {};
+        for (const node of Object.values(mapping)) {
+            const files = Array.isArray(node?.message?.files) ? node.message.files : [];
+            for (const file of files) {
+                if (!file || typeof file !== 'object') continue;
+
+                for (const archive of this.archives.values()) {
+                    const entry = archive.findAttachment(file);
+                    if (!entry) continue;
+
+                    // An upload that cannot be copied is shown by name only
+                    try {
+                        const relative = await archive.extractAttachment(entry, path.join(this.outputDir, ATTACHMENTS_DIR));
+                        file.path = `${ATTACHMENTS_DIR}/${relative}`;
+                        this.attachments.add(relative);
+                    } catch (error) {
+                        this.log('warn', `Warning: Could not copy attachment ${entry.fileName}: ${error.message}`);
+                    }
+                    break;
+                }
+            }
+        }
+    }
+
+    async processConversation(conversation) {
+        const key = conversation.manifestKey;
+        
         try {
-            // Number conversations in reverse order (1 = most recent)
-            const fileNumber = (index + 1).toString().padStart(3, '0');
-            
-            // Get date for filename prefix
-            const datePrefix = this.getDatePrefix(conversation);
-            
-            const safeTitle = this.sanitizeFilename(conversation.title || `conversation-${fileNumber}`);
-            const fileName = `${datePrefix}-${fileNumber}-${safeTitle}.html`;
-            const filePath = path.join(this.outputDir, fileName);
+            this.stats.totalMessages += conversation.messageCount;
+            this.archiveStats.add(conversation);
 
-            if (this.verbose) {
-                const date = this.formatTimestamp(conversation.updated_at || conversation.inserted_at);
-                console.log(chalk.blue(`Processing ${fileNumber}/${this.stats.totalConversations}: ${conversation.title || 'Untitled'} (${date})`));
+            for (const writer of this.writers) {
+                await writer.addConversation(conversation);
             }
 
-            const html = this.generateHTML(conversation, fileNumber);
-            
-            await fs.writeFile(filePath, html);
-            this.stats.processedFiles++;
+            const fileWriters = this.getFileWriters();
+            const files = fileWriters.map(writer => writer.getFileName(conversation));
+            const record = { hash: conversation.hash, updated: conversation.updated, files };
             
-            if (!this.verbose) {
-                process.stdout.write(chalk.gray('.'));
+            if (!this.force && await this.manifest.isUpToDate(key, conversation.hash, files)) {
+                this.changes.unchanged.push(key);
+                this.manifest.record(key, record);
+                this.reportProgress(conversation, 'unchanged');
+                return;
             }
+
+            for (const writer of fileWriters) {
+                const content = writer.renderConversation(conversation);
+                
+                await fs.writeFile(path.join(this.outputDir, writer.getFileName(conversation)), content);
+                this.stats.processedFiles++;
+            }
+            
+            const status = this.manifest.has(key) ? 'updated' : 'added';
+            this.changes[status].push(key);
+            this.manifest.record(key, record);
+            this.reportProgress(conversation, status);
         } catch (error) {
             this.stats.errors++;
-            console.log(chalk.red(`\nError processing conversation ${index + 1}:`), error.message);
+            // Keep the previous entry so a failed conversation is not reported as deleted
+            if (this.manifest.has(key)) {
+                this.manifest.keep(key);
+            }
+            this.log('error', `\nError processing conversation ${conversation.number}: ${error.message}`);
             if (this.verbose) {
-                console.error(chalk.yellow('Conversation data:'), JSON.stringify(conversation, null, 2));
+                this.log('warn', `Conversation data: ${JSON.stringify(conversation.raw, null, 2)}`);
             }
+            this.reportProgress(conversation, 'error', error);
         }
     }
 
-    getDatePrefix(conversation) {
-        try {
-            const dateStr = conversation.updated_at || conversation.inserted_at;
-            if (!dateStr) return 'nodate';
-            
-            const date = new Date(dateStr);
-            return format(date, 'yyyy-MM-dd');
-        } catch {
-            return 'nodate';
+    keepFilteredOut(summary) {
+        // A filtered-out conversation is still in the export, so its files are not removed
+        if (summary.id) {
+            this.manifest.keep(summary.id);
+            return;
+        }
+        // Without an id the key holds the index number, which filtered-out
+        // conversations do not get, so keep every id-less key of that date
+        const prefix = `${this.getDatePrefix(summary.created || summary.date)}-conversation-`;
+        for (const key of this.manifest.previousIds()) {
+            if (key.startsWith(prefix)) {
+                this.manifest.keep(key);
+            }
         }
     }
 
-    generateHTML(conversation, fileNumber) {
-        try {
-            const messages = this.extractMessages(conversation.mapping);
-            this.stats.totalMessages += messages.length;
-
-            // Get conversation data with fallbacks
-            const title = this.safeString(conversation.title) || `Conversation ${fileNumber}`;
-            const id = this.safeString(conversation.id) || 'unknown-id';
-            const created = this.safeString(conversation.inserted_at) || 'unknown';
-            const updated = this.safeString(conversation.updated_at) || 'unknown';
+    async removeDeletedConversations() {
+        for (const key of this.manifest.removedIds()) {
+            this.changes.removed.push(key);
             
-            // Get formatted dates for display
-            const createdFormatted = this.formatTimestamp(created);
-            const updatedFormatted = this.formatTimestamp(updated);
-
-            let htmlContent = `<!DOCTYPE html>
-<html lang="en">
-<head>
-    <meta charset="UTF-8">
-    <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>DeepSeek Chat: ${this.escapeHtml(title)}</title>
-    <style>
-        ${this.getCSS()}
-    </style>
-</head>
-<body>
-    <div class="container">
-        <div class="header">
-            <div class="conversation-meta">
-                <span class="conversation-number">Conversation #${fileNumber}</span>
-                <span class="conversation-date">${updatedFormatted}</span>
-            </div>
-            <h1 class="title">${this.escapeHtml(title)}</h1>
-            <div class="meta">
-                ID: ${id}<br>
-                Created: ${createdFormatted}<br>
-                Updated: ${updatedFormatted}
-            </div>
-        </div>`;
-
-        // Add messages
-        let messageNumber = 1;
-        for (const message of messages) {
-            if (message && message.fragments && Array.isArray(message.fragments)) {
-                for (const fragment of message.fragments) {
-                    if (fragment && fragment.type && fragment.content) {
-                        const isRequest = fragment.type === 'REQUEST';
-                        const headerText = isRequest 
-                            ? `Request ${messageNumber}`
-                            : `Response ${messageNumber}`;
-                        
-                        const time = this.safeString(message.inserted_at) || 'unknown';
-                        const content = this.safeString(fragment.content) || '';
-                        
-                        htmlContent += `
-        <div class="chat-message ${isRequest ? 'request' : 'response'}">
-            <div class="message-header">
-                <h2>${headerText}</h2>
-                <span class="message-time">${this.formatTimestamp(time)}</span>
-            </div>
-            <div class="message-content">${this.formatContent(content)}</div>
-        </div>`;
-                        
-                        if (isRequest) messageNumber++;
-                    }
-                }
+            if (this.prune) {
+                await this.manifest.prune(key);
+            } else {
+                // Without --prune the files stay, and so does their entry for a later prune
+                this.manifest.keep(key);
             }
         }
+    }
 
-        htmlContent += `
-        <div class="footer">
-            <div class="footer-stats">
-                Generated by DeepSeek Formatter • ${new Date().toLocaleDateString()}<br>
-                Total messages: ${messages.length} • Conversation date: ${createdFormatted}
-            </div>
-            <div class="navigation">
-                <span class="nav-info">Sorted by date (newest first)</span>
-            </div>
-        </div>
-    </div>
-</body>
-</html>`;
-
-            return htmlContent;
-        } catch (error) {
-            console.error(chalk.red(`Error generating HTML for conversation ${fileNumber}:`), error.message);
-            return `<html><body><h1>Error processing conversation</h1><p>${error.message}</p></body></html>`;
+    getBaseName(summary) {
+        // Keyed on the creation date and id, which never change, so reruns keep file names stable
+        const id = summary.id ? sanitizeFilename(summary.id) : `conversation-${summary.fileNumber}`;
+        return `${this.getDatePrefix(summary.created || summary.date)}-${id}`;
+    }
+
+    getDatePrefix(dateStr) {
+        try {
+            if (!dateStr) return 'nodate';
+            
+            const date = new Date(dateStr);
+            return format(date, 'yyyy-MM-dd');
+        } catch {
+            return 'nodate';
         }
     }
 
@@ -235,226 +639,132 @@ export default class DeepSeekFormatter {
         const messages = [];
         
         if (!mapping || typeof mapping !== 'object') {
-            console.log(chalk.yellow('Warning: Invalid or missing mapping object'));
+            this.log('warn', 'Warning: Invalid or missing mapping object');
             return messages;
         }
         
         try {
-            let currentId = mapping.root?.children?.[0];
+            // Follow the default branch (see pickDefaultChild) from the root down
+            let nodes = this.buildMessageTree(mapping);
             
-            while (currentId && mapping[currentId]) {
-                const node = mapping[currentId];
-                if (node && node.message) {
+            while (nodes.length > 0) {
+                const node = nodes[this.pickDefaultChild(nodes)];
+                if (node.message) {
                     messages.push(node.message);
                 }
-                currentId = node && node.children && node.children.length > 0 ? node.children[0] : null;
+                nodes = node.children;
             }
         } catch (error) {
-            console.log(chalk.yellow('Warning: Error extracting messages:', error.message));
+            this.log('warn', `Warning: Error extracting messages: ${error.message}`);
         }
         
         return messages;
     }
 
-    formatContent(content) {
-        if (!content || typeof content !== 'string') {
-            return '';
+    buildMessageTree(mapping) {
+        if (!mapping || typeof mapping !== 'object') {
+            return [];
         }
-        
-        try {
-            let formatted = this.escapeHtml(content);
-            
-            // Format code blocks
-            formatted = formatted.replace(/```(\w+)?\n([\s\S]*?)```/g, (match, lang, code) => {
-                return `<pre><code>${this.escapeHtml(code.trim())}</code></pre>`;
-            });
-            
-            // Format inline code
-            formatted = formatted.replace(/`([^`]+)`/g, '<code>$1</code>');
-            
-            // Format headers
-            formatted = formatted.replace(/^### (.+)$/gm, '<h4>$1</h4>');
-            formatted = formatted.replace(/^## (.+)$/gm, '<h3>$1</h3>');
-            formatted = formatted.replace(/^# (.+)$/gm, '<h2>$1</h2>');
-            
-            // Format bold and italic
-            formatted = formatted.replace(/\*\*([^*]+)\*\*/g, '<strong>$1</strong>');
-            formatted = formatted.replace(/\*([^*]+)\*/g, '<em>$1</em>');
-            
-            // Format lists
-            formatted = formatted.replace(/^- (.+)$/gm, '<li>$1</li>');
-            formatted = formatted.replace(/(<li>.*<\/li>\n?)+/g, '<ul>$&</ul>');
-            
-            // Format links
-            formatted = formatted.replace(/\[([^\]]+)\]\(([^)]+)\)/g, '<a href="$2" target="_blank">$1</a>');
-            
-            // Format line breaks
-            formatted = formatted.replace(/\n/g, '<br>');
-            
-            return formatted;
-        } catch (error) {
-            console.log(chalk.yellow('Warning: Error formatting content:', error.message));
-            return this.escapeHtml(content);
-        }
-    }
-
-    getCSS() {
-        return `
-        body {
-            font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif;
-            line-height: 1.6;
-            margin: 0;
-            padding: 20px;
-            background-color: #f5f5f5;
-        }
-        .container {
-            max-width: 800px;
-            margin: 0 auto;
-            background: white;
-            padding: 30px;
-            border-radius: 10px;
-            box-shadow: 0 2px 15px rgba(0,0,0,0.1);
-        }
-        .header {
-            border-bottom: 3px solid #ff4444;
-            padding-bottom: 15px;
-            margin-bottom: 30px;
-            position: relative;
-        }
-        .conversation-meta {
-            display: flex;
-            justify-content: space-between;
-            align-items: center;
-            margin-bottom: 10px;
-            font-size: 14px;
-        }
-        .conversation-number {
-            background: #ff4444;
-            color: white;
-            padding: 4px 10px;
-            border-radius: 4px;
-            font-weight: bold;
-        }
-        .conversation-date {
-            color: #666;
-            font-style: italic;
-        }
-        .title {
-            color: #ff4444;
-            font-size: 24px;
-            margin: 0 0 10px 0;
-            border-left: 4px solid #ff4444;
-            padding-left: 15px;
-        }
-        .meta {
-            color: #666;
-            font-size: 14px;
-            line-height: 1.5;
-            background: #f8f9fa;
-            padding: 10px 15px;
-            border-radius: 6px;
-            margin-top: 10px;
-        }
-        .chat-message {
-            margin-bottom: 25px;
-            padding: 15px;
-            border-radius: 8px;
-            border-left: 4px solid;
-        }
-        .request {
-            background-color: #fff5f5;
-            border-left-color: #ff4444;
-        }
-        .response {
-            background-color: #f0fff4;
-            border-left-color: #28a745;
-        }
-        .message-header {
-            font-weight: bold;
-            margin-bottom: 10px;
-            display: flex;
-            justify-content: space-between;
-            align-items: center;
-        }
-        .message-header h2 {
-            color: #ff4444;
-            margin: 0;
-            font-size: 20px;
-        }
-        .message-time {
-            font-size: 12px;
-            color: #888;
-            font-weight: normal;
-        }
-        .message-content {
-            white-space: pre-wrap;
-            word-wrap: break-word;
-            font-size: 15px;
-            line-height: 1.5;
-        }
-        pre {
-            background-color: #1e1e1e;
-            color: #d4d4d4;
-            padding: 15px;
-            border-radius: 5px;
-            overflow-x: auto;
-            font-family: 'Courier New', monospace;
-        }
-        code {
-            background-color: #f8f9fa;
-            padding: 2px 5px;
-            border-radius: 3px;
-            font-family: 'Courier New', monospace;
-        }
-        .footer {
-            margin-top: 30px;
-            padding-top: 20px;
-            border-top: 1px solid #ddd;
-        }
-        .footer-stats {
-            text-align: center;
-            color: #666;
-            font-size: 14px;
-            margin-bottom: 15px;
-        }
-        .navigation {
-            display: flex;
-            justify-content: space-between;
-            align-items: center;
-            font-size: 12px;
-            color: #888;
-        }
-        .nav-info {
-            font-style: italic;
-        }
-        a {
-            color: #ff4444;
-            text-decoration: none;
-        }
-        a:hover {
-            text-decoration: underline;
-        }`;
+
+        // One stack frame per open node, holding the next child to visit, so a
+        // chain of thousands of messages does not nest JavaScript calls
+        const visited = new Set();
+        const tree = [];
+        const stack = [{ ids: mapping.root?.children, position: 0, nodes: tree }];
+
+        while (stack.length > 0) {
+            const frame = stack[stack.length - 1];
+            const ids = Array.isArray(frame.ids) ? frame.ids : [];
+
+            if (frame.position >= ids.length) {
+                // Mark the version shown by default at each fork (see pickDefaultChild)
+                if (frame.nodes.length > 0) {
+                    frame.nodes[this.pickDefaultChild(frame.nodes)].isDefault = true;
+                }
+                stack.pop();
+                continue;
+            }
+
+            const id = ids[frame.position++];
+            // Skip dangling references and guard against cycles in the mapping
+            if (!mapping[id] || visited.has(id)) continue;
+            visited.add(id);
+
+            const node = mapping[id];
+            const treeNode = {
+                id,
+                message: node.message || null,
+                isDefault: false,
+                children: []
+            };
+            frame.nodes.push(treeNode);
+            stack.push({ ids: node.children, position: 0, nodes: treeNode.children });
+        }
+
+        return tree;
+    }
+
+    pickDefaultChild(nodes) {
+        // Regenerated responses and edited prompts are appended as later siblings,
+        // so the last child is the version that was current in the app
+        return nodes.length - 1;
+    }
+
+    countBranches(nodes) {
+        // A conversation has one branch per leaf of its message tree
+        let leaves = 0;
+        const stack = [...(nodes || [])];
+
+        while (stack.length > 0) {
+            const node = stack.pop();
+            if (node.children.length === 0) {
+                leaves++;
+            } else {
+                stack.push(...node.children);
+            }
+        }
+        return leaves;
     }
 
     async generateSummary(conversations) {
         try {
+            const fileWriters = this.getFileWriters();
             const summary = {
                 generated: new Date().toISOString(),
                 totalConversations: conversations.length,
                 totalMessages: this.stats.totalMessages,
                 processedFiles: this.stats.processedFiles,
                 errors: this.stats.errors,
+                attachments: [...this.attachments],
                 sorting: "by date descending (most recent first)",
-                conversations: conversations.map((conv, i) => ({
-                    number: i + 1,
-                    id: this.safeString(conv.id),
-                    title: this.safeString(conv.title),
-                    date: this.safeString(conv.updated_at || conv.inserted_at),
-                    formattedDate: this.formatTimestamp(conv.updated_at || conv.inserted_at),
-                    file: `${this.getDatePrefix(conv)}-${(i + 1).toString().padStart(3, '0')}-${this.sanitizeFilename(conv.title || `conversation-${i + 1}`)}.html`,
-                    created: this.safeString(conv.inserted_at),
-                    updated: this.safeString(conv.updated_at),
-                    messageCount: this.extractMessages(conv.mapping).length
+                filter: this.filter ? this.filter.description : null,
+                filteredOut: this.stats.filteredOut,
+                providers: this.countProviders(conversations),
+                redacted: Boolean(this.redactor),
+                changes: {
+                    added: this.changes.added.length,
+                    updated: this.changes.updated.length,
+                    unchanged: this.changes.unchanged.length,
+                    removed: this.changes.removed.length,
+                    pruned: this.prune
+                },
+                conversations: conversations.map(conv => ({
+                    number: conv.number,
+                    id: conv.id,
+                    provider: conv.provider,
+                    title: conv.title,
+                    date: conv.date,
+                    formattedDate: formatTimestamp(conv.date),
+                    file: fileWriters.length > 0 ? fileWriters[0].getFileName(conv) : null,
+                    files: Object.fromEntries(fileWriters.map(writer => [writer.formatName, writer.getFileName(conv)])),
+                    created: conv.created,
+                    updated: conv.updated,
+                    messageCount: conv.messageCount,
+                    branchCount: conv.branchCount,
+                    characters: conv.characters,
+                    firstRequest: conv.firstRequest,
+                    lastResponse: conv.lastResponse,
+                    archived: conv.archived
                 }))
             };
 
@@ -463,302 +773,160 @@ export default class DeepSeekFormatter {
                 JSON.stringify(summary, null, 2)
             );
             
-            // Also generate a sorted index.html
-            await this.generateIndexHTML(conversations);
+            if (this.redactor) {
+                await this.writeRedactionReport();
+            }
             
-            console.log(chalk.green('📄 Generated summary.json and index.html'));
+            if (this.merger) {
+                await this.writeMergeReport();
+            }
+            
+            await this.writeStatsReport(conversations);
+            
+            // Also generate a sorted index for every writer
+            const indexFiles = [];
+            for (const writer of this.writers) {
+                // Bundle writers (e.g. EPUB) have no separate index and write everything in finish()
+                if (!writer.getIndexFileName()) continue;
+                try {
+                    const content = writer.renderIndex(conversations, { stats: this.stats, profile: this.profile });
+                    await fs.writeFile(path.join(this.outputDir, writer.getIndexFileName()), content);
+                    indexFiles.push(writer.getIndexFileName());
+                } catch (error) {
+                    this.log('warn', `Warning: Error generating ${writer.getIndexFileName()}: ${error.message}`);
+                }
+            }
+            
+            for (const writer of this.writers) {
+                try {
+                    await writer.finish(conversations, { stats: this.stats, profile: this.profile });
+                } catch (error) {
+                    this.log('warn', `Warning: Error finishing ${writer.formatName} output: ${error.message}`);
+                }
+            }
+            
+            this.log('success', `📄 Generated summary.json${indexFiles.length > 0 ? ` and ${indexFiles.join(', ')}` : ''}`);
 
         } catch (error) {
-            console.log(chalk.yellow('Warning: Error generating summary:', error.message));
+            this.log('warn', `Warning: Error generating summary: ${error.message}`);
         }
     }
 
-    async generateIndexHTML(conversations) {
-        try {
-            let html = `<!DOCTYPE html>
-<html lang="en">
-<head>
-    <meta charset="UTF-8">
-    <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>DeepSeek Conversations Index</title>
-    <style>
-        ${this.getIndexCSS()}
-    </style>
-</head>
-<body>
-    <div class="container">
-        <div class="header">
-            <h1>DeepSeek Conversations</h1>
-            <div class="subtitle">Sorted by date (newest first) • ${conversations.length} conversations</div>
-        </div>
-        
-        <div class="sort-info">
-            <span class="sort-badge">📅 Sorted by date</span>
-            <span class="sort-order">Most recent first</span>
-        </div>
-        
-        <table class="conversations-table">
-            <thead>
-                <tr>
-                    <th width="80">#</th>
-                    <th width="120">Date</th>
-                    <th>Title</th>
-                    <th width="100">Messages</th>
-                    <th width="100">File</th>
-                </tr>
-            </thead>
-            <tbody>`;
-
-            for (let i = 0; i < conversations.length; i++) {
-                const conv = conversations[i];
-                const date = this.formatTimestamp(conv.updated_at || conv.inserted_at);
-                const messages = this.extractMessages(conv.mapping);
-                const fileName = `${this.getDatePrefix(conv)}-${(i + 1).toString().padStart(3, '0')}-${this.sanitizeFilename(conv.title || `conversation-${i + 1}`)}.html`;
-                
-                html += `
-                <tr>
-                    <td class="number">${i + 1}</td>
-                    <td class="date">${date}</td>
-                    <td class="title">
-                        <a href="${fileName}">${this.escapeHtml(conv.title || `Conversation ${i + 1}`)}</a>
-                        <div class="conversation-id">${conv.id}</div>
-                    </td>
-                    <td class="messages">${messages.length}</td>
-                    <td class="file-link">
-                        <a href="${fileName}" class="view-btn">View</a>
-                    </td>
-                </tr>`;
-            }
-
-            html += `
-            </tbody>
-        </table>
-        
-        <div class="footer">
-            <div class="stats">
-                Generated: ${new Date().toLocaleString()}<br>
-                Total conversations: ${conversations.length} • Total messages: ${this.stats.totalMessages}
-            </div>
-            <div class="legend">
-                <span class="legend-item"><span class="legend-color request"></span> User requests (red)</span>
-                <span class="legend-item"><span class="legend-color response"></span> AI responses (green)</span>
-            </div>
-        </div>
-    </div>
-</body>
-</html>`;
-
-            await fs.writeFile(path.join(this.outputDir, 'index.html'), html);
-        } catch (error) {
-            console.log(chalk.yellow('Warning: Error generating index.html:', error.message));
-        }
-    }
-
-    getIndexCSS() {
-        return `
-        body {
-            font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif;
-            margin: 0;
-            padding: 20px;
-            background: #f5f7fa;
-        }
-        .container {
-            max-width: 1200px;
-            margin: 0 auto;
-            background: white;
-            border-radius: 12px;
-            padding: 30px;
-            box-shadow: 0 4px 20px rgba(0,0,0,0.08);
-        }
-        .header {
-            text-align: center;
-            margin-bottom: 30px;
-            padding-bottom: 20px;
-            border-bottom: 3px solid #ff4444;
-        }
-        h1 {
-            color: #ff4444;
-            margin: 0 0 10px 0;
-        }
-        .subtitle {
-            color: #666;
-            font-size: 16px;
-        }
-        .sort-info {
-            display: flex;
-            justify-content: space-between;
-            align-items: center;
-            background: #f8f9fa;
-            padding: 10px 15px;
-            border-radius: 6px;
-            margin-bottom: 20px;
-        }
-        .sort-badge {
-            background: #ff4444;
-            color: white;
-            padding: 5px 10px;
-            border-radius: 4px;
-            font-weight: bold;
-        }
-        .sort-order {
-            color: #666;
-            font-style: italic;
-        }
-        .conversations-table {
-            width: 100%;
-            border-collapse: collapse;
-        }
-        .conversations-table th {
-            background: #f8f9fa;
-            padding: 12px 15px;
-            text-align: left;
-            color: #333;
-            font-weight: 600;
-            border-bottom: 2px solid #ddd;
-        }
-        .conversations-table td {
-            padding: 12px 15px;
-            border-bottom: 1px solid #eee;
-        }
-        .conversations-table tr:hover {
-            background: #f9f9f9;
-        }
-        .number {
-            text-align: center;
-            font-weight: bold;
-            color: #ff4444;
-        }
-        .date {
-            color: #666;
-            font-size: 14px;
-        }
-        .title a {
-            color: #333;
-            text-decoration: none;
-            font-weight: 500;
-            font-size: 16px;
-        }
-        .title a:hover {
-            color: #ff4444;
-        }
-        .conversation-id {
-            color: #888;
-            font-size: 12px;
-            font-family: monospace;
-            margin-top: 5px;
-        }
-        .messages {
-            text-align: center;
-            font-weight: bold;
-        }
-        .file-link {
-            text-align: center;
-        }
-        .view-btn {
-            display: inline-block;
-            background: #ff4444;
-            color: white;
-            padding: 6px 12px;
-            border-radius: 4px;
-            text-decoration: none;
-            font-size: 14px;
-        }
-        .view-btn:hover {
-            background: #e03e3e;
-        }
-        .footer {
-            margin-top: 30px;
-            padding-top: 20px;
-            border-top: 1px solid #ddd;
-        }
-        .stats {
-            text-align: center;
-            color: #666;
-            font-size: 14px;
-            margin-bottom: 20px;
-        }
-        .legend {
-            display: flex;
-            justify-content: center;
-            gap: 20px;
-        }
-        .legend-item {
-            display: flex;
-            align-items: center;
-            gap: 8px;
-            color: #666;
-        }
-        .legend-color {
-            width: 16px;
-            height: 16px;
-            border-radius: 3px;
-        }
-        .legend-color.request {
-            background: #ff4444;
-        }
-        .legend-color.response {
-            background: #28a745;
-        }`;
-    }
-
-    // Utility methods
-    safeString(value) {
-        if (value === null || value === undefined || value === '') {
-            return '';
-        }
-        return String(value);
-    }
-
-    escapeHtml(text) {
-        if (!text || typeof text !== 'string') {
-            return '';
-        }
-        
-        const map = {
-            '&': '&amp;',
-            '<': '&lt;',
-            '>': '&gt;',
-            '"': '&quot;',
-            "'": '&#039;'
+    async writeRedactionReport() {
+        const entries = this.redactionReport.map(({ summary, counts }) => ({
+            number: summary.number,
+            id: summary.id,
+            title: summary.title,
+            redactions: counts
+        }));
+        entries.sort((a, b) => a.number - b.number);
+
+        const total = entries.reduce((sum, entry) => sum + Object.values(entry.redactions).reduce((a, b) => a + b, 0), 0);
+        this.stats.redactions = total;
+
+        const report = {
+            generated: new Date().toISOString(),
+            detectors: this.redactor.detectors.map(detector => detector.name),
+            totalRedactions: total,
+            conversations: entries
         };
-        return text.replace(/[&<>"']/g, m => map[m]);
+
+        await fs.writeFile(path.join(this.outputDir, REDACTION_REPORT_FILE), JSON.stringify(report, null, 2));
+        this.log('success', `🔒 Redacted ${total} values in ${entries.length} conversations (see ${REDACTION_REPORT_FILE})`);
     }
 
-    sanitizeFilename(filename) {
-        if (!filename || typeof filename !== 'string') {
-            return 'untitled';
-        }
-        
-        return filename
-            .replace(/[<>:"/\\|?*]/g, '_')
-            .replace(/\s+/g, '_')
-            .substring(0, 50)
-            .trim();
+    async writeMergeReport() {
+        const report = this.merger.getReport();
+        await fs.writeFile(path.join(this.outputDir, MERGE_REPORT_FILE), JSON.stringify(report, null, 2));
+        this.log('success', `🔀 Generated ${MERGE_REPORT_FILE} (what each of the ${report.exports.length} exports added)`);
     }
 
-    formatTimestamp(timestamp) {
-        if (!timestamp) {
-            return 'unknown';
-        }
-        
-        try {
-            const date = new Date(timestamp);
-            if (isNaN(date.getTime())) {
-                return timestamp;
+    async writeStatsReport(conversations) {
+        const report = this.archiveStats.toJSON();
+        await fs.writeFile(path.join(this.outputDir, STATS_REPORT_FILE), JSON.stringify(report, null, 2));
+
+        const pages = [STATS_REPORT_FILE];
+        for (const writer of this.writers) {
+            // Writer modules built against an older Writer class have no stats page
+            if (typeof writer.renderStats !== 'function') continue;
+            try {
+                const content = writer.renderStats(report, conversations);
+                if (content === null) continue;
+                await fs.writeFile(path.join(this.outputDir, writer.getStatsFileName()), content);
+                pages.push(writer.getStatsFileName());
+            } catch (error) {
+                this.log('warn', `Warning: Error generating ${writer.getStatsFileName()}: ${error.message}`);
             }
-            return format(date, 'yyyy-MM-dd HH:mm:ss');
-        } catch {
-            return timestamp;
         }
+        this.log('success', `📈 Generated ${pages.join(', ')}`);
+    }
+
+    log(level, message) {
+        this.onLog(level, message);
+    }
+
+    reportProgress(conversation, status, error = null) {
+        // Called once per selected conversation in the second pass
+        this.onProgress?.({
+            phase: 'write',
+            current: this.changes.added.length + this.changes.updated.length + this.changes.unchanged.length + this.stats.errors,
+            total: this.stats.totalConversations,
+            status,
+            id: conversation.id,
+            number: conversation.number,
+            title: conversation.title,
+            date: conversation.date,
+            error: error ? error.message : null
+        });
+    }
+
+    getResult(conversations) {
+        // What formatAll returns: the numbers printStats shows, plus the conversation list
+        return {
+            outputDir: path.resolve(this.outputDir),
+            stats: { ...this.stats },
+            changes: {
+                added: [...this.changes.added],
+                updated: [...this.changes.updated],
+                unchanged: [...this.changes.unchanged],
+                removed: [...this.changes.removed]
+            },
+            conversations: conversations.map(({ sourceIndex, hash, manifestKey, previous, next, ...summary }) => summary)
+        };
     }
 
     printStats() {
-        console.log('\n' + chalk.cyan('📊 Statistics:'));
-        console.log(chalk.gray(`   Conversations: ${this.stats.totalConversations} (sorted by date)`));
-        console.log(chalk.gray(`   Total messages: ${this.stats.totalMessages}`));
-        console.log(chalk.gray(`   Files created: ${this.stats.processedFiles}`));
+        this.log('info', '\n📊 Statistics:');
+        this.log('debug', `   Conversations: ${this.stats.totalConversations} (sorted by date)`);
+        if (this.filter) {
+            this.log('debug', `   Filtered out: ${this.stats.filteredOut}`);
+        }
+        this.log('debug', `   Total messages: ${this.stats.totalMessages}`);
+        if (this.merger) {
+            const report = this.merger.getReport();
+            this.log('debug', `   Merged: ${report.exports.length} exports • ${report.archivedConversations} conversations only in older exports • ${report.restoredMessages} messages restored`);
+        }
+        const { averages, activity, totals } = this.archiveStats.toJSON();
+        this.log('debug', `   Activity: ${Object.keys(activity.daily).length} active days • ~${totals.estimatedTokens.toLocaleString('en-US')} tokens • average prompt ${averages.requestCharacters} chars, response ${averages.responseCharacters} chars`);
+        this.log('debug', `   Files written: ${this.stats.processedFiles}`);
+        if (this.redactor) {
+            this.log('debug', `   Redacted: ${this.stats.redactions || 0} values in ${this.redactionReport.length} conversations`);
+        }
+        
+        const { added, updated, unchanged, removed } = this.changes;
+        this.log('debug', `   Changes: ${added.length} new, ${updated.length} updated, ${unchanged.length} unchanged, ${removed.length} ${this.prune ? 'removed' : 'no longer in export'}`);
+        if (this.verbose) {
+            for (const [label, ids] of [['New', added], ['Updated', updated], [this.prune ? 'Removed' : 'Not in export', removed]]) {
+                if (ids.length > 0) {
+                    this.log('debug', `   ${label}: ${ids.join(', ')}`);
+                }
+            }
+        }
+        if (removed.length > 0 && !this.prune) {
+            this.log('warn', `   Run with --prune to delete files of ${removed.length} conversation(s) no longer in the export`);
+        }
         if (this.stats.errors > 0) {
-            console.log(chalk.yellow(`   Errors: ${this.stats.errors}`));
+            this.log('warn', `   Errors: ${this.stats.errors}`);
         }
     }
-}
\ No newline at end of file
+}
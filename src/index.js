@@ -3,14 +3,63 @@
 import yargs from 'yargs';
 import { hideBin } from 'yargs/helpers';
 import DeepSeekFormatter from './formatter.js';
+import ExportServer from './server.js';
+import { EXPORT_SCHEMA } from './schema.js';
+import { logToConsole, ignoreLog } from './logger.js';
+import { getProviderLabel } from './adapters/index.js';
+import { formatTimestamp } from './utils.js';
 import chalk from 'chalk';
 
 const argv = yargs(hideBin(process.argv))
+    .usage('$0 [options]\n$0 validate [options]\n$0 serve [options]\n$0 diff <before> <after> [options]')
+    .command('validate', 'Check the export against the schema and list every problem with its JSON path', (command) => command
+        .option('strict', {
+            type: 'boolean',
+            description: 'Treat warnings as errors and exit with status 1 when any problem is found'
+        })
+        .option('json', {
+            type: 'boolean',
+            description: 'Print the report as JSON'
+        })
+        .option('schema', {
+            type: 'boolean',
+            description: 'Print the JSON Schema of the export format and exit'
+        }))
+    .command('serve', 'Browse the export on localhost, rendering pages on request and reloading when the input changes', (command) => command
+        .option('port', {
+            alias: 'p',
+            type: 'number',
+            description: 'Port to listen on (0 picks a free one)',
+            default: 8000
+        })
+        .option('host', {
+            type: 'string',
+            description: 'Address to listen on',
+            default: '127.0.0.1'
+        })
+        .option('watch', {
+            type: 'boolean',
+            description: 'Reload when the input file changes, use --no-watch to read it once',
+            default: true
+        }))
+    .command('diff <before> <after>', 'Compare two exports and write diff.html to the output directory: new, removed and renamed conversations, and new or changed messages', (command) => command
+        .positional('before', {
+            type: 'string',
+            description: 'The earlier export'
+        })
+        .positional('after', {
+            type: 'string',
+            description: 'The later export'
+        }))
     .option('input', {
         alias: 'i',
         type: 'string',
-        description: 'Input JSON file',
-        default: 'conversations.json'
+        description: 'Input conversations.json or export ZIP (DeepSeek, ChatGPT, Claude or Gemini Takeout); several exports of one account are merged (comma-separated or repeated)',
+        default: 'conversations.json',
+        coerce: (value) => [].concat(value)
+            .flatMap(v => String(v).split(','))
+            .map(v => v.trim())
+            .filter(Boolean)
     })
     .option('output', {
         alias: 'o',
@@ -18,6 +67,83 @@ const argv = yargs(hideBin(process.argv))
         description: 'Output directory',
         default: 'formatted'
     })
+    .option('format', {
+        alias: 'f',
+        type: 'string',
+        description: 'Output formats: html, md, txt, epub or a loaded writer (comma-separated or repeated)',
+        default: 'html',
+        coerce: (value) => [].concat(value)
+            .flatMap(v => String(v).split(','))
+            .map(v => v.trim().toLowerCase())
+            .filter(Boolean)
+    })
+    .option('writer', {
+        alias: 'w',
+        type: 'array',
+        description: 'Local writer module to load (default-exports a Writer subclass)',
+        default: []
+    })
+    .option('reasoning', {
+        type: 'boolean',
+        description: 'Include reasoning (THINK) fragments, use --no-reasoning to drop them',
+        default: true
+    })
+    .option('since', {
+        type: 'string',
+        description: 'Only conversations updated on or after this date'
+    })
+    .option('until', {
+        type: 'string',
+        description: 'Only conversations created on or before this date'
+    })
+    .option('title', {
+        type: 'string',
+        description: 'Only conversations whose title matches this regex (case-insensitive)'
+    })
+    .option('match', {
+        type: 'string',
+        description: 'Only conversations with a message matching this regex (case-insensitive)'
+    })
+    .option('id', {
+        type: 'string',
+        description: 'Only these conversation ids (comma-separated or repeated)',
+        coerce: (value) => [].concat(value)
+            .flatMap(v => String(v).split(','))
+            .map(v => v.trim())
+            .filter(Boolean)
+    })
+    .option('provider', {
+        type: 'string',
+        description: 'Only conversations from these providers: deepseek, chatgpt, claude, gemini (comma-separated or repeated)',
+        coerce: (value) => [].concat(value)
+            .flatMap(v => String(v).split(','))
+            .map(v => v.trim().toLowerCase())
+            .filter(Boolean)
+    })
+    .option('min-messages', {
+        type: 'number',
+        description: 'Only conversations with at least this many messages'
+    })
+    .option('theme', {
+        type: 'string',
+        description: 'CSS file, or JSON file of colour variables, applied on top of the built-in light/dark themes'
+    })
+    .option('redact', {
+        type: 'boolean',
+        description: 'Replace credentials, emails, phone numbers and IP addresses with placeholders; attachments are not copied, as they cannot be redacted'
+    })
+    .option('redact-config', {
+        type: 'string',
+        description: 'JSON file with extra redaction patterns and words (implies --redact)'
+    })
+    .option('force', {
+        type: 'boolean',
+        description: 'Rewrite every conversation, even those unchanged since the last run'
+    })
+    .option('prune', {
+        type: 'boolean',
+        description: 'Delete files of conversations that are no longer in the export'
+    })
     .option('verbose', {
         alias: 'v',
         type: 'boolean',
@@ -27,23 +153,162 @@ const argv = yargs(hideBin(process.argv))
     .alias('help', 'h')
     .argv;
 
-async function main() {
-    console.log(chalk.blue.bold('\n🤖 DeepSeek Chat Formatter v1.0\n'));
-    
+function printProblems(report) {
+    for (const problem of report.problems) {
+        const label = problem.severity === 'error' ? chalk.red('✖ error  ') : chalk.yellow('⚠ warning');
+        const source = problem.provider && problem.provider !== 'deepseek' ? `, converted from ${getProviderLabel(problem.provider)}` : '';
+        console.log(`${label} ${problem.path} ${chalk.gray(`(conversation ${problem.conversationId || 'no id'}${source})`)}: ${problem.message}`);
+    }
+
+    const summary = `Checked ${report.conversations} conversations: ${report.errors} errors, ${report.warnings} warnings`;
+    if (report.problems.length === 0) {
+        console.log(chalk.green(`\n✅ ${summary}`));
+    } else {
+        console.log((report.valid ? chalk.yellow : chalk.red)(`\n${report.valid ? '⚠️' : '❌'} ${summary}`));
+        if (!report.strict) {
+            console.log(chalk.gray('   Run with --strict to exit with an error status when any problem is found'));
+        }
+    }
+}
+
+async function validate() {
+    if (argv.schema) {
+        console.log(JSON.stringify(EXPORT_SCHEMA, null, 2));
+        return;
+    }
+    if (!argv.json) {
+        console.log(chalk.blue.bold('\n🤖 DeepSeek Chat Formatter v1.0\n'));
+        console.log(chalk.blue(`🔍 Validating ${argv.input.join(', ')}${argv.strict ? ' (strict)' : ''}`));
+    }
+
     const formatter = new DeepSeekFormatter({
+        inputFile: argv.input,
+        verbose: argv.verbose,
+        // Keep stdout pure JSON with --json
+        onLog: argv.json ? ignoreLog : logToConsole
+    });
+
+    let report;
+    try {
+        report = await formatter.validateAll({ strict: argv.strict });
+    } catch (error) {
+        // Unreadable input is fatal with or without --strict
+        if (argv.json) {
+            console.log(JSON.stringify({ file: argv.input.join(', '), valid: false, fatal: error.message }, null, 2));
+        } else {
+            console.error(chalk.red.bold('\n❌ Error:'), error.message);
+        }
+        process.exit(1);
+    }
+
+    if (argv.json) {
+        console.log(JSON.stringify(report, null, 2));
+    } else {
+        printProblems(report);
+    }
+    // Without --strict the report is informational only
+    if (argv.strict && !report.valid) {
+        process.exitCode = 1;
+    }
+}
+
+function printProgress(progress) {
+    // One dot per written conversation, or a line each with --verbose
+    if (progress.status === 'unchanged' || progress.status === 'error') return;
+    if (argv.verbose) {
+        console.log(chalk.blue(`Processing ${progress.current}/${progress.total}: ${progress.title || 'Untitled'} (${formatTimestamp(progress.date)})`));
+    } else {
+        process.stdout.write(chalk.gray('.'));
+    }
+}
+
+function createFormatter(options = {}) {
+    return new DeepSeekFormatter({
         inputFile: argv.input,
         outputDir: argv.output,
-        verbose: argv.verbose
+        verbose: argv.verbose,
+        includeReasoning: argv.reasoning,
+        formats: argv.format,
+        writerModules: argv.writer,
+        filters: {
+            since: argv.since,
+            until: argv.until,
+            title: argv.title,
+            match: argv.match,
+            ids: argv.id,
+            providers: argv.provider,
+            minMessages: argv.minMessages
+        },
+        theme: argv.theme,
+        redaction: {
+            enabled: argv.redact,
+            configFile: argv.redactConfig
+        },
+        force: argv.force,
+        prune: argv.prune,
+        onLog: logToConsole,
+        onProgress: printProgress,
+        ...options
     });
+}
+
+async function serve() {
+    console.log(chalk.blue.bold('\n🤖 DeepSeek Chat Formatter v1.0\n'));
 
+    const server = new ExportServer(createFormatter(), {
+        host: argv.host,
+        port: argv.port,
+        watch: argv.watch
+    });
     try {
-        await formatter.formatAll();
+        await server.start();
     } catch (error) {
         console.error(chalk.red.bold('\n❌ Fatal error:'), error.message);
         process.exit(1);
     }
 }
 
+async function diff() {
+    console.log(chalk.blue.bold('\n🤖 DeepSeek Chat Formatter v1.0\n'));
+
+    try {
+        await createFormatter({ inputFile: argv.after }).diffAll(argv.before);
+    } catch (error) {
+        console.error(chalk.red.bold('\n❌ Error:'), error.message);
+        process.exit(1);
+    }
+}
+
+async function main() {
+    if (argv._[0] === 'validate') {
+        await validate();
+        return;
+    }
+    if (argv._[0] === 'serve') {
+        await serve();
+        return;
+    }
+    if (argv._[0] === 'diff') {
+        await diff();
+        return;
+    }
+
+    console.log(chalk.blue.bold('\n🤖 DeepSeek Chat Formatter v1.0\n'));
+    
+    const formatter = createFormatter();
+
+    try {
+        await formatter.formatAll();
+    } catch (error) {
+        console.error(chalk.red.bold('\n❌ Error:'), error.message);
+        if (argv.verbose) {
+            console.error(chalk.red('Stack trace:'), error.stack);
+            console.error(chalk.yellow('Current stats:'), formatter.stats);
+        }
+        process.exit(1);
+    }
+}
+
 // Handle unhandled errors
 process.on('unhandledRejection', (error) => {
     console.error(chalk.red.bold('Unhandled rejection:'), error);
@@ -0,0 +1,23 @@
+import chalk from 'chalk';
+
+const STYLES = {
+    debug: chalk.gray,
+    info: chalk.cyan,
+    success: chalk.green,
+    warn: chalk.yellow,
+    error: chalk.red
+};
+
+// The CLI's output: one coloured line per message. The formatter, writers and
+// server report through an onLog(level, message) callback, and library callers
+// (see api.js) get ignoreLog unless they pass their own.
+export function logToConsole(level, message) {
+    const style = STYLES[level] || (text => text);
+    if (level === 'error') {
+        console.error(style(message));
+    } else {
+        console.log(style(message));
+    }
+}
+
+export function ignoreLog() {}
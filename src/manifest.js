@@ -0,0 +1,100 @@
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import { createRequire } from 'module';
+
+export const MANIFEST_FILE = 'manifest.json';
+const MANIFEST_VERSION = 1;
+const { version: FORMATTER_VERSION } = createRequire(import.meta.url)('../package.json');
+
+// Records every file written for a conversation together with the hash it was
+// rendered from, so reruns only rewrite new or changed conversations.
+export default class Manifest {
+    constructor(outputDir, options = {}) {
+        this.outputDir = outputDir;
+        this.file = path.join(outputDir, MANIFEST_FILE);
+        // Rendering options are part of the hash, so changing them rewrites every
+        // file; so is the formatter version, as a new version may render differently
+        this.options = { version: FORMATTER_VERSION, ...options };
+        this.previous = {};
+        this.entries = {};
+    }
+
+    hashConversation(conversation) {
+        return crypto.createHash('sha256')
+            .update(JSON.stringify(this.options))
+            .update('\n')
+            .update(JSON.stringify(conversation))
+            .digest('hex');
+    }
+
+    async load() {
+        let data;
+        try {
+            data = JSON.parse(await fs.readFile(this.file, 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') return this;
+            throw new Error(`Could not read ${this.file}: ${error.message}`);
+        }
+
+        if (data.version === MANIFEST_VERSION && data.conversations && typeof data.conversations === 'object') {
+            this.previous = data.conversations;
+        }
+        return this;
+    }
+
+    has(id) {
+        return Object.prototype.hasOwnProperty.call(this.previous, id);
+    }
+
+    async isUpToDate(id, hash, files) {
+        const entry = this.previous[id];
+        if (!entry || !entry.files) return false;
+
+        for (const file of files) {
+            if (entry.files[file] !== hash) return false;
+
+            // Files deleted by hand still need writing
+            try {
+                await fs.access(path.join(this.outputDir, file));
+            } catch {
+                return false;
+            }
+        }
+        return true;
+    }
+
+    record(id, { hash, updated, files }) {
+        // Files of formats not requested this run keep the hash they were written with
+        const written = Object.fromEntries(files.map(file => [file, hash]));
+        this.entries[id] = { updated, files: { ...this.previous[id]?.files, ...written } };
+    }
+
+    removedIds() {
+        return Object.keys(this.previous).filter(id => !this.entries[id]);
+    }
+
+    previousIds() {
+        return Object.keys(this.previous);
+    }
+
+    keep(id) {
+        if (this.has(id)) {
+            this.entries[id] = this.previous[id];
+        }
+    }
+
+    async prune(id) {
+        for (const file of Object.keys(this.previous[id]?.files || {})) {
+            await fs.rm(path.join(this.outputDir, file), { force: true });
+        }
+    }
+
+    async save() {
+        const data = {
+            version: MANIFEST_VERSION,
+            conversations: this.entries
+        };
+        await fs.writeFile(this.file, JSON.stringify(data, null, 2));
+    }
+}
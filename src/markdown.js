@@ -0,0 +1,57 @@
+import MarkdownIt from 'markdown-it';
+import taskLists from 'markdown-it-task-lists';
+import hljs from 'highlight.js/lib/common';
+import { mathPlugin } from './math.js';
+
+// With `xhtml` the output is well-formed XML (for EPUB) and has no copy buttons
+export function createMarkdownRenderer({ xhtml = false } = {}) {
+    const md = new MarkdownIt({
+        html: false,        // Raw HTML in messages is shown as text, never rendered
+        xhtmlOut: xhtml,
+        linkify: true,
+        breaks: true,       // Chat messages treat single newlines as line breaks
+        typographer: false
+    });
+
+    md.enable(['table', 'strikethrough']);
+    md.use(taskLists, { enabled: false, label: true });
+    md.use(mathPlugin);
+
+    // Open links in a new tab, as the old regex formatter did
+    const defaultLinkOpen = md.renderer.rules.link_open
+        || ((tokens, idx, options, env, self) => self.renderToken(tokens, idx, options));
+
+    md.renderer.rules.link_open = (tokens, idx, options, env, self) => {
+        tokens[idx].attrSet('target', '_blank');
+        tokens[idx].attrSet('rel', 'noopener noreferrer');
+        return defaultLinkOpen(tokens, idx, options, env, self);
+    };
+
+    // Highlight fenced code at build time and wrap it with a language label and copy button
+    md.renderer.rules.fence = (tokens, idx) => {
+        const token = tokens[idx];
+        const lang = token.info.trim().split(/\s+/)[0].toLowerCase();
+        const code = highlightCode(token.content, lang, md.utils.escapeHtml);
+        const label = md.utils.escapeHtml(lang || 'text');
+
+        return `<div class="code-block">`
+            + `<div class="code-toolbar"><span class="code-lang">${label}</span>`
+            + (xhtml ? '' : `<button type="button" class="copy-btn" onclick="copyCode(this)">Copy</button>`)
+            + `</div>`
+            + `<pre><code class="hljs${lang ? ` language-${label}` : ''}">${code}</code></pre>`
+            + `</div>\n`;
+    };
+
+    return md;
+}
+
+function highlightCode(code, lang, escapeHtml) {
+    if (lang && hljs.getLanguage(lang)) {
+        try {
+            return hljs.highlight(code, { language: lang, ignoreIllegals: true }).value;
+        } catch {
+            // Fall through to plain escaped text
+        }
+    }
+    return escapeHtml(code);
+}
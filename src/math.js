@@ -0,0 +1,122 @@
+import katex from 'katex';
+
+// Tried in order, so the two-character '$$' wins over a single '$'
+const INLINE_DELIMITERS = [
+    { open: '$$', close: '$$', display: true },
+    { open: '\\[', close: '\\]', display: true },
+    { open: '\\(', close: '\\)', display: false },
+    { open: '$', close: '$', display: false }
+];
+
+const BLOCK_DELIMITERS = [
+    { open: '$$', close: '$$' },
+    { open: '\\[', close: '\\]' }
+];
+
+export function renderMath(tex, displayMode, escapeHtml) {
+    try {
+        // MathML is rendered natively by browsers, so pages need no fonts or scripts
+        return katex.renderToString(tex, { displayMode, output: 'mathml', throwOnError: true });
+    } catch (error) {
+        const title = escapeHtml(error.message);
+        const raw = escapeHtml(tex);
+        return displayMode
+            ? `<pre class="math-error" title="${title}">${raw}</pre>`
+            : `<code class="math-error" title="${title}">${raw}</code>`;
+    }
+}
+
+function findClosingDollar(src, start) {
+    // Pandoc rules: no space after the opening '$', no space before the closing one,
+    // and no digit right after it, so "$5 and $10" stays plain text
+    if (/\s/.test(src[start] || ' ')) return -1;
+
+    let end = src.indexOf('$', start);
+    while (end !== -1) {
+        if (!/\s/.test(src[end - 1]) && src[end - 1] !== '\\' && !/\d/.test(src[end + 1] || '')) {
+            return end;
+        }
+        end = src.indexOf('$', end + 1);
+    }
+    return -1;
+}
+
+function mathInline(state, silent) {
+    const { src, pos } = state;
+
+    for (const delimiter of INLINE_DELIMITERS) {
+        if (!src.startsWith(delimiter.open, pos)) continue;
+
+        const start = pos + delimiter.open.length;
+        const end = delimiter.open === '$'
+            ? findClosingDollar(src, start)
+            : src.indexOf(delimiter.close, start);
+
+        if (end === -1 || !src.slice(start, end).trim()) return false;
+
+        if (!silent) {
+            const token = state.push('math_inline', 'math', 0);
+            token.content = src.slice(start, end);
+            token.markup = delimiter.open;
+            token.meta = { display: delimiter.display };
+        }
+        state.pos = end + delimiter.close.length;
+        return true;
+    }
+
+    return false;
+}
+
+function mathBlock(state, startLine, endLine, silent) {
+    // Indented four spaces or more is a code block, not math
+    if (state.sCount[startLine] - state.blkIndent >= 4) return false;
+
+    const lineAt = (line) => state.src.slice(state.bMarks[line] + state.tShift[line], state.eMarks[line]);
+    const first = lineAt(startLine);
+    const delimiter = BLOCK_DELIMITERS.find(d => first.startsWith(d.open));
+    if (!delimiter) return false;
+
+    const lines = [];
+    let rest = first.slice(delimiter.open.length);
+    let line = startLine;
+
+    for (;;) {
+        const closeAt = rest.indexOf(delimiter.close);
+        if (closeAt !== -1) {
+            // Text after the closing delimiter means this is inline math in a paragraph
+            if (rest.slice(closeAt + delimiter.close.length).trim()) return false;
+            lines.push(rest.slice(0, closeAt));
+            break;
+        }
+        lines.push(rest);
+        line++;
+        if (line >= endLine) return false;
+        rest = lineAt(line);
+    }
+
+    if (silent) return true;
+
+    const token = state.push('math_block', 'math', 0);
+    token.block = true;
+    token.content = lines.join('\n').trim();
+    token.markup = delimiter.open;
+    token.map = [startLine, line + 1];
+    state.line = line + 1;
+    return true;
+}
+
+export function mathPlugin(md) {
+    // Math is tokenised before emphasis and escapes, so '*', '_' and '\' inside formulas survive
+    md.block.ruler.before('fence', 'math_block', mathBlock, {
+        alt: ['paragraph', 'reference', 'blockquote', 'list']
+    });
+    md.inline.ruler.before('escape', 'math_inline', mathInline);
+
+    md.renderer.rules.math_inline = (tokens, idx) => {
+        const token = tokens[idx];
+        return renderMath(token.content, token.meta.display, md.utils.escapeHtml);
+    };
+    md.renderer.rules.math_block = (tokens, idx) => {
+        return `<div class="math-display">${renderMath(tokens[idx].content, true, md.utils.escapeHtml)}</div>\n`;
+    };
+}
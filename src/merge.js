@@ -0,0 +1,236 @@
+import { safeString } from './utils.js';
+
+export const MERGE_REPORT_FILE = 'merge-report.json';
+
+export function getConversationKey(conversation) {
+    // Conversations without an id can only be matched on what the app never changes
+    const id = safeString(conversation.id);
+    return id ? `id:${id}` : `created:${safeString(conversation.inserted_at)}:${safeString(conversation.title)}`;
+}
+
+function getTime(value) {
+    const time = Date.parse(value);
+    return Number.isNaN(time) ? 0 : time;
+}
+
+// Combines several exports of the same account taken at different times. Each
+// conversation is read from the export holding its newest version, and messages
+// that only older snapshots still have (deleted or edited away in the app since)
+// are added back to its tree. Exports are streamed like a single input: one scan
+// to plan the merge, then each read yields one merged conversation at a time.
+export default class ExportMerger {
+    // `readExport(file)` yields { index, provider, conversation } for one export
+    constructor(files, readExport) {
+        this.files = files;
+        this.readExport = readExport;
+        this.exports = [];
+        this.plans = new Map();
+        this.primaries = new Map();
+        this.restoredNodes = null;
+    }
+
+    async scan() {
+        const versions = new Map();
+
+        for (const [exportIndex, file] of this.files.entries()) {
+            const info = { file, conversations: 0, newest: 0 };
+            this.exports.push(info);
+
+            for await (const { index, conversation } of this.readExport(file)) {
+                const key = getConversationKey(conversation);
+                const updated = getTime(conversation.updated_at || conversation.inserted_at);
+                const mapping = conversation.mapping && typeof conversation.mapping === 'object' ? conversation.mapping : {};
+
+                info.conversations++;
+                info.newest = Math.max(info.newest, updated);
+                if (!versions.has(key)) {
+                    versions.set(key, { id: safeString(conversation.id), title: safeString(conversation.title), versions: [] });
+                }
+                versions.get(key).versions.push({ exportIndex, index, updated, nodes: Object.keys(mapping) });
+            }
+        }
+
+        // Snapshots are ordered by their most recent conversation, so the
+        // exports may be given in any order; ties keep the order given
+        this.order = this.exports.map((info, exportIndex) => exportIndex)
+            .sort((a, b) => this.exports[a].newest - this.exports[b].newest || a - b);
+        this.exports.forEach((info, exportIndex) => {
+            info.rank = this.order.indexOf(exportIndex);
+        });
+
+        for (const [key, entry] of versions) {
+            this.planConversation(key, entry);
+        }
+    }
+
+    planConversation(key, { id, title, versions }) {
+        const latest = this.order[this.order.length - 1];
+        // Oldest first; the last version is the newest and is the one read
+        versions.sort((a, b) => a.updated - b.updated || this.exports[a.exportIndex].rank - this.exports[b.exportIndex].rank);
+        const primary = versions[versions.length - 1];
+
+        // Nodes only older versions have, each taken from the newest version holding it
+        const seen = new Set(primary.nodes);
+        const restore = [];
+        for (const version of versions.slice(0, -1).reverse()) {
+            const nodes = version.nodes.filter(nodeId => !seen.has(nodeId));
+            nodes.forEach(nodeId => seen.add(nodeId));
+            if (nodes.length > 0) {
+                restore.push({ exportIndex: version.exportIndex, index: version.index, nodes: new Set(nodes) });
+            }
+        }
+
+        const plan = {
+            key,
+            id,
+            title,
+            // Deleted from the app: the most recent export no longer has it
+            archived: !versions.some(version => version.exportIndex === latest),
+            exports: [...new Set(versions.map(version => version.exportIndex))],
+            updates: versions.map(version => ({ exportIndex: version.exportIndex, updated: version.updated })),
+            restore
+        };
+        this.plans.set(key, plan);
+        this.primaries.set(`${primary.exportIndex}:${primary.index}`, plan);
+    }
+
+    async collectRestoredNodes() {
+        // Only the nodes being restored are kept in memory, grouped by conversation
+        if (this.restoredNodes) return this.restoredNodes;
+
+        const wanted = new Map();
+        for (const plan of this.plans.values()) {
+            for (const source of plan.restore) {
+                wanted.set(`${source.exportIndex}:${source.index}`, { plan, nodes: source.nodes });
+            }
+        }
+
+        const restoredNodes = new Map();
+        for (const [exportIndex, file] of this.files.entries()) {
+            if (![...wanted.keys()].some(key => key.startsWith(`${exportIndex}:`))) continue;
+
+            for await (const { index, conversation } of this.readExport(file)) {
+                const source = wanted.get(`${exportIndex}:${index}`);
+                if (!source) continue;
+
+                const nodes = restoredNodes.get(source.plan.key) || [];
+                for (const nodeId of source.nodes) {
+                    // The file may have changed since the scan (see serve --watch)
+                    const node = conversation.mapping?.[nodeId];
+                    if (node) nodes.push({ nodeId, node });
+                }
+                restoredNodes.set(source.plan.key, nodes);
+            }
+        }
+
+        this.restoredNodes = restoredNodes;
+        return restoredNodes;
+    }
+
+    async *read() {
+        // Merged conversations in file order, each with a source index unique across the exports
+        const restoredNodes = await this.collectRestoredNodes();
+
+        for (const [exportIndex, file] of this.files.entries()) {
+            for await (const { index, provider, conversation } of this.readExport(file)) {
+                const plan = this.primaries.get(`${exportIndex}:${index}`);
+                if (!plan) continue;
+
+                yield {
+                    index: `${exportIndex}:${index}`,
+                    provider,
+                    archived: plan.archived,
+                    conversation: this.restoreNodes(conversation, restoredNodes.get(plan.key))
+                };
+            }
+        }
+    }
+
+    restoreNodes(conversation, restored) {
+        if (!restored || restored.length === 0) return conversation;
+
+        const mapping = { ...conversation.mapping };
+        for (const { nodeId, node } of restored) {
+            mapping[nodeId] = { ...node, children: Array.isArray(node.children) ? [...node.children] : [] };
+        }
+
+        // Hook each restored subtree back under its parent. Restored branches go
+        // before the current ones, so the default branch stays the app's latest.
+        const orphans = new Map();
+        for (const { nodeId, node } of restored) {
+            const parentId = node.parent || 'root';
+            if (!mapping[parentId]) continue;
+            const children = Array.isArray(mapping[parentId].children) ? mapping[parentId].children : [];
+            if (children.includes(nodeId)) continue;
+            if (!orphans.has(parentId)) orphans.set(parentId, []);
+            orphans.get(parentId).push(nodeId);
+        }
+        for (const [parentId, nodeIds] of orphans) {
+            const children = Array.isArray(mapping[parentId].children) ? mapping[parentId].children : [];
+            mapping[parentId] = { ...mapping[parentId], children: [...nodeIds, ...children] };
+        }
+
+        return { ...conversation, mapping };
+    }
+
+    getLatestFile() {
+        return this.files[this.order[this.order.length - 1]];
+    }
+
+    getReport() {
+        // What each export contributed, oldest snapshot first
+        const exports = this.order.map(exportIndex => ({
+            file: this.exports[exportIndex].file,
+            snapshot: this.exports[exportIndex].newest ? new Date(this.exports[exportIndex].newest).toISOString() : null,
+            conversations: this.exports[exportIndex].conversations,
+            added: [],
+            updated: [],
+            unchanged: 0,
+            removed: [],
+            restoredMessages: 0
+        }));
+        const byExport = (exportIndex) => exports[this.exports[exportIndex].rank];
+        let archived = 0;
+        let restoredMessages = 0;
+
+        for (const plan of this.plans.values()) {
+            const label = plan.id || plan.title || plan.key;
+            const ranks = plan.exports.map(exportIndex => this.exports[exportIndex].rank).sort((a, b) => a - b);
+
+            // Compare each snapshot with the one before it that had the conversation
+            let previous = null;
+            for (const rank of ranks) {
+                const exportIndex = this.order[rank];
+                const updated = Math.max(...plan.updates.filter(update => update.exportIndex === exportIndex).map(update => update.updated));
+                if (previous === null) {
+                    exports[rank].added.push(label);
+                } else if (updated > previous) {
+                    exports[rank].updated.push(label);
+                } else {
+                    exports[rank].unchanged++;
+                }
+                previous = Math.max(previous ?? updated, updated);
+            }
+
+            // Gone from the first snapshot after its last appearance
+            const last = ranks[ranks.length - 1];
+            if (last < exports.length - 1) {
+                exports[last + 1].removed.push(label);
+                archived++;
+            }
+
+            for (const source of plan.restore) {
+                byExport(source.exportIndex).restoredMessages += source.nodes.size;
+                restoredMessages += source.nodes.size;
+            }
+        }
+
+        return {
+            generated: new Date().toISOString(),
+            totalConversations: this.plans.size,
+            archivedConversations: archived,
+            restoredMessages,
+            exports
+        };
+    }
+}
@@ -0,0 +1,83 @@
+import { safeString } from './utils.js';
+
+// The conversation model handed to library callers (see api.js and
+// types/index.d.ts). Writers keep working on the formatter's internal shape;
+// this is a stable, documented view of it with roles and parsed timestamps.
+
+function toTimestamp(value) {
+    // ISO 8601 in UTC, or null when the export has no usable date
+    const time = Date.parse(value);
+    return Number.isNaN(time) ? null : new Date(time).toISOString();
+}
+
+function toFragment(fragment) {
+    const model = { type: safeString(fragment.type), content: safeString(fragment.content) };
+    if (Array.isArray(fragment.results)) {
+        model.results = fragment.results
+            .filter(result => result && (result.url || result.title))
+            .map(result => ({ url: safeString(result.url) || null, title: safeString(result.title || result.site_name) || null }));
+    }
+    return model;
+}
+
+function toMessage(id, parentId, message, includeReasoning) {
+    const fragments = (Array.isArray(message.fragments) ? message.fragments : [])
+        .filter(fragment => fragment && fragment.type)
+        .filter(fragment => includeReasoning || fragment.type !== 'THINK')
+        .map(toFragment);
+
+    return {
+        id,
+        parentId,
+        // Prompts carry a REQUEST fragment; everything else came from the assistant
+        role: fragments.some(fragment => fragment.type === 'REQUEST') ? 'user' : 'assistant',
+        model: safeString(message.model) || null,
+        createdAt: toTimestamp(message.inserted_at),
+        files: Array.isArray(message.files) ? message.files : [],
+        fragments
+    };
+}
+
+function toBranches(tree, includeReasoning, path) {
+    // Each stack entry is one set of siblings and the branch list they are added to
+    const branches = [];
+    const stack = [{ nodes: tree, parentId: 'root', siblings: branches, onPath: true }];
+
+    while (stack.length > 0) {
+        const { nodes, parentId, siblings, onPath } = stack.pop();
+        for (const node of nodes) {
+            const message = node.message ? toMessage(node.id, parentId, node.message, includeReasoning) : null;
+            // Ancestors are always converted first, so the path stays in order
+            if (message && node.isDefault && onPath) {
+                path.push(message);
+            }
+            const branch = { id: node.id, isDefault: node.isDefault, message, children: [] };
+            siblings.push(branch);
+            // Only the default child of a default node continues the default path
+            stack.push({ nodes: node.children, parentId: node.id, siblings: branch.children, onPath: onPath && node.isDefault });
+        }
+    }
+    return branches;
+}
+
+// `normalized` is DeepSeekFormatter.normalizeConversation output: the summary
+// from the first pass plus the message tree
+export function toConversationModel(normalized, { includeReasoning = true } = {}) {
+    const messages = [];
+    const branches = toBranches(normalized.tree, includeReasoning, messages);
+
+    return {
+        id: normalized.id,
+        title: normalized.title,
+        provider: normalized.provider || 'deepseek',
+        number: normalized.number ?? null,
+        createdAt: toTimestamp(normalized.created),
+        updatedAt: toTimestamp(normalized.updated),
+        messageCount: messages.length,
+        branchCount: normalized.branchCount,
+        archived: Boolean(normalized.archived),
+        messages,
+        branches,
+        source: normalized.raw
+    };
+}
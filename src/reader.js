@@ -0,0 +1,24 @@
+import fs from 'fs';
+import { pipeline } from 'stream';
+import { streamArray } from 'stream-json/streamers/stream-array.js';
+
+// Yields conversations one at a time so the whole export is never held in memory.
+// The source is a file path, or a function returning a readable stream (e.g. a ZIP entry).
+export async function* readConversations(source, label = source) {
+    const stream = pipeline(
+        typeof source === 'function' ? await source() : fs.createReadStream(source),
+        streamArray.withParserAsStream(),
+        () => {}    // Errors surface through the async iterator below
+    );
+
+    try {
+        for await (const { key, value } of stream) {
+            yield { index: key, conversation: value };
+        }
+    } catch (error) {
+        if (/should be an array/.test(error.message)) {
+            throw new Error('Invalid JSON format: Expected an array of conversations');
+        }
+        throw new Error(`Invalid JSON in ${label}: ${error.message}`);
+    }
+}
@@ -0,0 +1,162 @@
+import fs from 'fs/promises';
+import crypto from 'crypto';
+import { safeString } from './utils.js';
+
+export const REDACTION_REPORT_FILE = 'redaction-report.json';
+
+function countDigits(text) {
+    return (text.match(/\d/g) || []).length;
+}
+
+// Built-in detectors, applied in this order. `group` redacts just that capture
+// group (keeping e.g. "password=" visible); `validate` rejects false positives.
+const BUILTIN_DETECTORS = [
+    { name: 'private_key', pattern: /-----BEGIN [A-Z ]*PRIVATE KEY-----[\s\S]+?-----END [A-Z ]*PRIVATE KEY-----/g },
+    { name: 'jwt', pattern: /\beyJ[A-Za-z0-9_-]{10,}\.[A-Za-z0-9_-]{10,}\.[A-Za-z0-9_-]{10,}/g },
+    { name: 'api_key', pattern: /\bsk-(?:proj-|ant-)?[A-Za-z0-9_-]{20,}/g },
+    { name: 'aws_key', pattern: /\b(?:AKIA|ASIA)[0-9A-Z]{16}\b/g },
+    { name: 'github_token', pattern: /\b(?:gh[pousr]_[A-Za-z0-9]{36,}|github_pat_[A-Za-z0-9_]{22,})/g },
+    { name: 'slack_token', pattern: /\bxox[abposr]-[A-Za-z0-9-]{10,}/g },
+    { name: 'google_api_key', pattern: /\bAIza[0-9A-Za-z_-]{35}/g },
+    { name: 'stripe_key', pattern: /\b(?:sk|pk|rk)_(?:live|test)_[0-9A-Za-z]{16,}/g },
+    { name: 'bearer_token', pattern: /\bBearer\s+([A-Za-z0-9._~+/-]{20,}=*)/g, group: 1 },
+    {
+        name: 'secret',
+        pattern: /\b(?:password|passwd|pwd|secret|api[_-]?key|access[_-]?token|auth[_-]?token)\b["']?\s*[:=]\s*["']?([^\s"'`,;]{6,})/gi,
+        group: 1
+    },
+    { name: 'email', pattern: /\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}\b/g },
+    { name: 'ipv4', pattern: /\b(?:(?:25[0-5]|2[0-4]\d|1?\d?\d)\.){3}(?:25[0-5]|2[0-4]\d|1?\d?\d)\b/g },
+    {
+        name: 'ipv6',
+        pattern: /(?<![\w:])(?:(?:[0-9a-f]{1,4}:){7}[0-9a-f]{1,4}|(?:[0-9a-f]{1,4}:){1,6}:[0-9a-f]{1,4}(?::[0-9a-f]{1,4})*)(?![\w:])/gi,
+        // C++ scopes like "add::bad" look like compressed addresses but have no digits
+        validate: (match) => /\d/.test(match)
+    },
+    {
+        name: 'phone',
+        pattern: /(?<![\w+])(?:\+\d{1,3}[\s.-]?\(?\d{1,4}\)?(?:[\s.-]?\d{2,4}){2,4}|\(?\d{3}\)?[\s.-]\d{3}[\s.-]\d{4})(?!\w)/g,
+        validate: (match) => countDigits(match) >= 9 && countDigits(match) <= 15
+    }
+];
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Replaces secrets and personal data in a conversation with placeholders such as
+// [REDACTED_EMAIL_1]. Numbering restarts for every conversation, so the same value
+// always gets the same placeholder within a conversation and the output of one
+// conversation never depends on the others.
+export default class Redactor {
+    constructor(config = {}) {
+        const disabled = config.detectors || {};
+        const custom = (config.patterns || []).map((entry, i) => {
+            const name = safeString(entry.name) || `pattern_${i + 1}`;
+            try {
+                const flags = safeString(entry.flags) || 'g';
+                return { name, pattern: new RegExp(entry.pattern, flags.includes('g') ? flags : `${flags}g`) };
+            } catch (error) {
+                throw new Error(`Invalid redaction pattern "${name}": ${error.message}`);
+            }
+        });
+        const words = (config.words || []).filter(Boolean).map(String);
+
+        // User-supplied rules run first, as they are the most specific
+        this.detectors = [
+            ...custom,
+            ...(words.length > 0
+                ? [{ name: 'term', pattern: new RegExp(`(?<!\\w)(?:${words.map(escapeRegExp).join('|')})(?!\\w)`, 'gi') }]
+                : []),
+            ...BUILTIN_DETECTORS.filter(detector => disabled[detector.name] !== false)
+        ];
+
+        // Identifies the rule set without revealing the configured words
+        this.signature = crypto.createHash('sha256').update(JSON.stringify(config)).digest('hex');
+    }
+
+    static async fromConfigFile(configFile) {
+        if (!configFile) return new Redactor();
+
+        let config;
+        try {
+            config = JSON.parse(await fs.readFile(configFile, 'utf8'));
+        } catch (error) {
+            throw new Error(`Could not read redaction config ${configFile}: ${error.message}`);
+        }
+        return new Redactor(config);
+    }
+
+    redactText(text, state) {
+        let result = text;
+
+        for (const detector of this.detectors) {
+            detector.pattern.lastIndex = 0;
+            result = result.replace(detector.pattern, (match, ...groups) => {
+                if (detector.validate && !detector.validate(match)) return match;
+
+                const value = detector.group ? groups[detector.group - 1] : match;
+                if (!value) return match;
+
+                const key = `${detector.name}\u0000${value}`;
+                let placeholder = state.placeholders.get(key);
+                if (!placeholder) {
+                    state.counters[detector.name] = (state.counters[detector.name] || 0) + 1;
+                    placeholder = `[REDACTED_${detector.name.toUpperCase()}_${state.counters[detector.name]}]`;
+                    state.placeholders.set(key, placeholder);
+                }
+                state.counts[detector.name] = (state.counts[detector.name] || 0) + 1;
+
+                return detector.group ? match.replace(value, placeholder) : placeholder;
+            });
+        }
+
+        return result;
+    }
+
+    redactConversation(conversation) {
+        const state = { placeholders: new Map(), counters: {}, counts: {} };
+        const redacted = structuredClone(conversation);
+
+        if (typeof redacted.title === 'string') {
+            redacted.title = this.redactText(redacted.title, state);
+        }
+
+        const redactFields = (object, fields) => {
+            for (const field of fields) {
+                if (typeof object[field] === 'string') {
+                    object[field] = this.redactText(object[field], state);
+                }
+            }
+        };
+
+        for (const node of Object.values(redacted.mapping || {})) {
+            const message = node && node.message;
+            const fragments = message && Array.isArray(message.fragments) ? message.fragments : [];
+            for (const fragment of fragments) {
+                if (!fragment) continue;
+                redactFields(fragment, ['content']);
+                // Web search sources are shown with their titles, addresses and snippets
+                for (const result of Array.isArray(fragment.results) ? fragment.results : []) {
+                    if (result) redactFields(result, ['title', 'url', 'site_name', 'snippet']);
+                }
+            }
+            // Attachment names are shown too (the files themselves are not copied, see DeepSeekFormatter)
+            for (const file of message && Array.isArray(message.files) ? message.files : []) {
+                if (file) redactFields(file, ['file_name']);
+            }
+        }
+
+        // Only detector names and counts are reported, never the matched values
+        return { conversation: redacted, counts: state.counts };
+    }
+
+    redactProfile(profile) {
+        // The account owner shown on the index is personal data whatever the detectors find
+        if (!profile) return null;
+        return {
+            name: profile.name ? '[REDACTED_NAME]' : '',
+            email: profile.email ? '[REDACTED_EMAIL]' : ''
+        };
+    }
+}
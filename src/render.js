@@ -0,0 +1,71 @@
+import DeepSeekFormatter from './formatter.js';
+import { adaptConversation } from './adapters/index.js';
+import { getWriter, listWriters } from './writers/index.js';
+import { ignoreLog } from './logger.js';
+
+// Renderer entry point ("deepseek-formatter/render"): turns conversations into
+// page contents with the same writers the CLI uses, without touching the disk.
+// Conversations may come from api.js (anything with a `source`) or be raw
+// export records from any supported provider.
+
+function createWriter(format, options) {
+    const WriterClass = getWriter(format);
+    if (!WriterClass) {
+        throw new Error(`Unknown output format: ${format} (expected ${listWriters().join(', ')})`);
+    }
+
+    const writer = new WriterClass({
+        includeReasoning: options.includeReasoning !== false,
+        theme: options.theme || null,
+        onLog: options.onLog || ignoreLog
+    });
+    if (!writer.writesConversationFiles) {
+        throw new Error(`The ${format} format bundles every conversation into one file; use formatExport instead`);
+    }
+    return writer;
+}
+
+function prepare(conversations) {
+    // Summaries and message trees as formatAll builds them, numbered in the given order
+    const formatter = new DeepSeekFormatter({ onLog: ignoreLog });
+
+    return conversations.map((conversation, i) => {
+        const { provider, conversation: record } = conversation && conversation.source
+            ? { provider: conversation.provider, conversation: conversation.source }
+            : adaptConversation(conversation);
+        if (!record) {
+            throw new Error(`Conversation ${i + 1} holds no messages`);
+        }
+
+        const summary = formatter.summarizeConversation(record, i, provider);
+        formatter.assignNumber(summary, (conversation.number || i + 1) - 1);
+        return formatter.normalizeConversation(record, summary);
+    });
+}
+
+export function renderConversation(conversation, options = {}) {
+    const writer = createWriter(options.format || 'html', options);
+    const [normalized] = prepare([conversation]);
+    return {
+        fileName: writer.getFileName(normalized),
+        content: writer.renderConversation(normalized)
+    };
+}
+
+// The index links to each conversation by the fileName renderConversation returns
+export function renderIndex(conversations, options = {}) {
+    const writer = createWriter(options.format || 'html', options);
+    const summaries = prepare(conversations);
+    const totalMessages = summaries.reduce((total, summary) => total + summary.messageCount, 0);
+    return {
+        fileName: writer.getIndexFileName(),
+        content: writer.renderIndex(summaries, { stats: { totalMessages }, profile: options.profile || null })
+    };
+}
+
+// HTML pages link this stylesheet as style.css
+export function renderStylesheet() {
+    return createWriter('html', {}).getStylesheet();
+}
+
+export { registerWriter, getWriter, listWriters, Writer } from './writers/index.js';
@@ -0,0 +1,139 @@
+// JSON Schema (draft 2020-12) for the export shape the formatter reads: an array
+// of DeepSeek conversations, each a tree of messages keyed by node id. Other
+// providers' exports are checked after conversion to this shape. Extra
+// properties are allowed everywhere, since exports gain fields over time.
+
+export const FRAGMENT_TYPES = ['REQUEST', 'RESPONSE', 'THINK', 'SEARCH'];
+
+const timestamp = { type: 'string', format: 'date-time' };
+
+export const FRAGMENT_SCHEMA = {
+    type: 'object',
+    required: ['type'],
+    properties: {
+        type: { type: 'string', enum: FRAGMENT_TYPES },
+        content: { type: ['string', 'null'] },
+        results: {
+            type: 'array',
+            items: {
+                type: 'object',
+                properties: {
+                    url: { type: ['string', 'null'] },
+                    title: { type: ['string', 'null'] }
+                }
+            }
+        }
+    }
+};
+
+export const MESSAGE_SCHEMA = {
+    type: 'object',
+    required: ['fragments'],
+    properties: {
+        files: { type: 'array' },
+        model: { type: ['string', 'null'] },
+        inserted_at: { type: ['string', 'null'], format: 'date-time' },
+        fragments: { type: 'array', items: FRAGMENT_SCHEMA }
+    }
+};
+
+export const NODE_SCHEMA = {
+    type: 'object',
+    required: ['id', 'children', 'message'],
+    properties: {
+        id: { type: 'string' },
+        parent: { type: ['string', 'null'] },
+        children: { type: 'array', items: { type: 'string' } },
+        message: { oneOf: [{ type: 'null' }, MESSAGE_SCHEMA] }
+    }
+};
+
+export const CONVERSATION_SCHEMA = {
+    type: 'object',
+    required: ['id', 'title', 'inserted_at', 'updated_at', 'mapping'],
+    properties: {
+        id: { type: 'string', minLength: 1 },
+        title: { type: ['string', 'null'] },
+        inserted_at: timestamp,
+        updated_at: timestamp,
+        mapping: {
+            type: 'object',
+            required: ['root'],
+            additionalProperties: NODE_SCHEMA
+        }
+    }
+};
+
+export const EXPORT_SCHEMA = {
+    $schema: 'https://json-schema.org/draft/2020-12/schema',
+    title: 'DeepSeek conversations export',
+    type: 'array',
+    items: CONVERSATION_SCHEMA
+};
+
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (Number.isInteger(value)) return 'integer';
+    return typeof value;
+}
+
+export function formatPath(path, key) {
+    if (typeof key === 'number') return `${path}[${key}]`;
+    return /^[A-Za-z_$][\w$]*$/.test(key) ? `${path}.${key}` : `${path}[${JSON.stringify(key)}]`;
+}
+
+// Checks a value against the subset of JSON Schema used above and returns
+// every mismatch as {path, keyword, message}. It keeps going past the first
+// error, so one run lists all problems in a conversation.
+export function checkSchema(value, schema, path = '$') {
+    const problems = [];
+    const actual = typeOf(value);
+
+    if (schema.oneOf) {
+        const matching = schema.oneOf.find(option => !option.type || [].concat(option.type).includes(actual));
+        return matching ? checkSchema(value, matching, path) : [{
+            path,
+            keyword: 'type',
+            message: `expected ${schema.oneOf.map(option => [].concat(option.type).join(' or ')).join(' or ')}, got ${actual}`
+        }];
+    }
+
+    if (schema.type) {
+        const expected = [].concat(schema.type);
+        const matches = expected.includes(actual) || (actual === 'integer' && expected.includes('number'));
+        if (!matches) {
+            return [{ path, keyword: 'type', message: `expected ${expected.join(' or ')}, got ${actual}` }];
+        }
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+        problems.push({ path, keyword: 'enum', message: `unexpected value ${JSON.stringify(value)} (expected ${schema.enum.join(', ')})` });
+    }
+    if (schema.minLength !== undefined && typeof value === 'string' && value.length < schema.minLength) {
+        problems.push({ path, keyword: 'minLength', message: 'must not be empty' });
+    }
+    if (schema.format === 'date-time' && typeof value === 'string' && Number.isNaN(Date.parse(value))) {
+        problems.push({ path, keyword: 'format', message: `unparseable timestamp ${JSON.stringify(value)}` });
+    }
+
+    if (actual === 'object') {
+        for (const key of schema.required || []) {
+            if (!(key in value)) {
+                problems.push({ path: formatPath(path, key), keyword: 'required', message: 'is missing' });
+            }
+        }
+        for (const [key, child] of Object.entries(value)) {
+            const childSchema = schema.properties?.[key] || schema.additionalProperties;
+            if (childSchema && typeof childSchema === 'object') {
+                problems.push(...checkSchema(child, childSchema, formatPath(path, key)));
+            }
+        }
+    }
+
+    if (actual === 'array' && schema.items) {
+        value.forEach((item, i) => problems.push(...checkSchema(item, schema.items, formatPath(path, i))));
+    }
+
+    return problems;
+}
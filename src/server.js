@@ -0,0 +1,385 @@
+import fs from 'fs';
+import http from 'http';
+import { getWriter } from './writers/index.js';
+import { SEARCH_INDEX_FILE, SEARCH_TEXT_DIR, searchRecords, conversationTable, searchIndexScript, searchTextScript, getSearchTextFileName } from './writers/search-index.js';
+import { STYLESHEET_FILE, THEME_FILE, loadThemeFile } from './writers/themes.js';
+import { createConversationFilter } from './filters.js';
+import ArchiveStats, { STATS_REPORT_FILE } from './stats.js';
+import { escapeHtml } from './utils.js';
+
+const CONTENT_TYPES = {
+    html: 'text/html; charset=utf-8',
+    css: 'text/css; charset=utf-8',
+    js: 'text/javascript; charset=utf-8',
+    json: 'application/json; charset=utf-8'
+};
+
+const SEARCH_LIMIT = 50;
+// Roles as the API reports them, and the codes the search records use
+const SEARCH_ROLES = { request: 'q', response: 'a' };
+const RELOAD_DELAY = 500;
+
+// Reloads the page when the server has read a new export (see /events)
+const LIVE_RELOAD_SCRIPT = `
+    <script>
+        new EventSource('/events').addEventListener('reload', () => location.reload());
+    </script>
+`;
+
+class HttpError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.status = status;
+    }
+}
+
+function listParam(value) {
+    return value ? value.split(',').map(item => item.trim()).filter(Boolean) : [];
+}
+
+// Query parameters use the CLI filter names: since, until, title, match, id,
+// provider and min-messages
+function parseFilter(params) {
+    try {
+        return createConversationFilter({
+            since: params.get('since'),
+            until: params.get('until'),
+            title: params.get('title'),
+            match: params.get('match'),
+            ids: listParam(params.get('id')),
+            providers: listParam(params.get('provider')).map(name => name.toLowerCase()),
+            minMessages: params.has('min-messages') ? Number(params.get('min-messages')) : undefined
+        });
+    } catch (error) {
+        throw new HttpError(400, error.message);
+    }
+}
+
+// Serves the export on localhost, rendering every page on request with the
+// HTML writer. The export is read once and read again whenever the input
+// file changes; open pages reload themselves through server-sent events.
+export default class ExportServer {
+    constructor(formatter, { host = '127.0.0.1', port = 8000, watch = true } = {}) {
+        this.formatter = formatter;
+        this.host = host;
+        this.port = port;
+        this.watch = watch;
+        const HtmlWriter = getWriter('html');
+        this.writer = new HtmlWriter({
+            includeReasoning: formatter.includeReasoning,
+            theme: formatter.themeFile,
+            onLog: formatter.onLog
+        });
+        this.entries = [];
+        this.byFileName = new Map();
+        this.searchTexts = new Map();
+        this.clients = new Set();
+        this.reloadTimer = null;
+        this.loading = null;
+    }
+
+    async start() {
+        await this.load();
+
+        this.server = http.createServer((request, response) => {
+            this.handle(request, response).catch(error => {
+                const status = error.status || 500;
+                if (status === 500) {
+                    this.formatter.log('error', `Error serving ${request.url}: ${error.message}`);
+                }
+                if (response.headersSent) {
+                    response.end();
+                } else if (request.url.startsWith('/api/')) {
+                    // API clients expect JSON, not an error page
+                    this.send(response, status, 'json', JSON.stringify({ error: error.message }));
+                } else {
+                    this.send(response, status, 'html', this.renderError(status, error.message));
+                }
+            });
+        });
+
+        await new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(this.port, this.host, resolve);
+        });
+
+        const { port } = this.server.address();
+        this.formatter.log('success', `🌐 Serving ${this.entries.length} conversations at http://${this.host}:${port}/`);
+        if (this.watch) {
+            for (const file of this.formatter.inputFiles) {
+                fs.watchFile(file, { interval: 1000 }, (current, previous) => {
+                    if (current.mtimeMs !== previous.mtimeMs || current.size !== previous.size) {
+                        this.scheduleReload();
+                    }
+                });
+            }
+            this.formatter.log('debug', `Watching ${this.formatter.inputFiles.join(', ')} for changes`);
+        }
+        this.formatter.log('debug', 'Press Ctrl+C to stop');
+        return this.server;
+    }
+
+    async stop() {
+        for (const file of this.formatter.inputFiles) {
+            fs.unwatchFile(file);
+        }
+        clearTimeout(this.reloadTimer);
+        for (const client of this.clients) {
+            client.end();
+        }
+        await new Promise(resolve => this.server.close(resolve));
+    }
+
+    async load() {
+        const entries = await this.formatter.loadAll();
+        const stats = new ArchiveStats();
+        const messages = [];
+        const searchTexts = new Map();
+
+        for (const entry of entries) {
+            const conversation = this.formatter.normalizeConversation(entry.conversation, entry.summary);
+            stats.add(conversation);
+            const records = [...searchRecords(conversation, (nodeId) => this.writer.getMessageAnchor(nodeId))];
+            for (const record of records) {
+                messages.push(record);
+            }
+            searchTexts.set(getSearchTextFileName(entry.summary), { number: entry.summary.number, records });
+        }
+
+        const summaries = entries.map(entry => entry.summary);
+        const table = conversationTable(summaries, (conv) => this.writer.getFileName(conv));
+
+        this.entries = entries;
+        this.byFileName = new Map(entries.map(entry => [this.writer.getFileName(entry.summary), entry]));
+        this.searchTexts = searchTexts;
+        this.messages = messages;
+        this.statsReport = stats.toJSON();
+        this.searchIndex = searchIndexScript(messages, table);
+        this.themeCSS = this.formatter.themeFile ? await loadThemeFile(this.formatter.themeFile) : null;
+    }
+
+    scheduleReload() {
+        // Exports are often copied in over several writes, so wait for them to settle
+        clearTimeout(this.reloadTimer);
+        this.reloadTimer = setTimeout(() => this.reload(), RELOAD_DELAY);
+    }
+
+    async reload() {
+        if (this.loading) {
+            this.scheduleReload();
+            return;
+        }
+
+        this.formatter.log('info', `🔄 ${this.formatter.inputFiles.join(', ')} changed, reloading`);
+        this.loading = this.load();
+        try {
+            await this.loading;
+            this.formatter.log('success', `Loaded ${this.entries.length} conversations`);
+            for (const client of this.clients) {
+                client.write('event: reload\ndata: {}\n\n');
+            }
+        } catch (error) {
+            this.formatter.log('warn', `Warning: Could not reload the export, still serving the previous one: ${error.message}`);
+        } finally {
+            this.loading = null;
+        }
+    }
+
+    async handle(request, response) {
+        if (request.method !== 'GET' && request.method !== 'HEAD') {
+            throw new HttpError(405, `${request.method} is not supported`);
+        }
+
+        const url = new URL(request.url, `http://${request.headers.host || 'localhost'}`);
+        let route;
+        try {
+            route = decodeURIComponent(url.pathname);
+        } catch {
+            throw new HttpError(400, `Malformed path ${url.pathname}`);
+        }
+
+        switch (route) {
+            case '/':
+            case `/${this.writer.getIndexFileName()}`:
+                return this.send(response, 200, 'html', this.renderIndex(url.searchParams));
+            case `/${STYLESHEET_FILE}`:
+                return this.send(response, 200, 'css', this.writer.getStylesheet());
+            case `/${THEME_FILE}`:
+                if (!this.themeCSS) throw new HttpError(404, 'No theme file');
+                return this.send(response, 200, 'css', this.themeCSS);
+            case `/${SEARCH_INDEX_FILE}`:
+                return this.send(response, 200, 'js', this.searchIndex);
+            case `/${this.writer.getStatsFileName()}`:
+                return this.send(response, 200, 'html', this.withLiveReload(
+                    this.writer.renderStats(this.statsReport, this.entries.map(entry => entry.summary))));
+            case `/${STATS_REPORT_FILE}`:
+                return this.sendJSON(response, this.statsReport);
+            case '/api/conversations':
+                return this.sendJSON(response, this.listConversations(url.searchParams));
+            case '/api/search':
+                return this.sendJSON(response, this.search(url.searchParams));
+            case '/events':
+                return this.openEvents(request, response);
+        }
+
+        if (route.startsWith(`/${SEARCH_TEXT_DIR}/`)) {
+            return this.send(response, 200, 'js', this.renderSearchText(route.slice(1)));
+        }
+
+        const entry = this.byFileName.get(route.slice(1));
+        if (!entry) {
+            throw new HttpError(404, `No page at ${route}`);
+        }
+        const conversation = this.formatter.normalizeConversation(entry.conversation, entry.summary);
+        return this.send(response, 200, 'html', this.withLiveReload(this.writer.renderConversation(conversation)));
+    }
+
+    send(response, status, type, body) {
+        response.writeHead(status, {
+            'Content-Type': CONTENT_TYPES[type],
+            'Cache-Control': 'no-store'
+        });
+        response.end(response.req.method === 'HEAD' ? undefined : body);
+    }
+
+    sendJSON(response, data) {
+        this.send(response, 200, 'json', JSON.stringify(data, null, 2));
+    }
+
+    openEvents(request, response) {
+        response.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-store',
+            'Connection': 'keep-alive'
+        });
+        response.write(': connected\n\n');
+        this.clients.add(response);
+        request.on('close', () => this.clients.delete(response));
+    }
+
+    renderSearchText(file) {
+        const text = this.searchTexts.get(file);
+        if (!text) {
+            throw new HttpError(404, `No search text at /${file}`);
+        }
+        return searchTextScript(text.number, text.records);
+    }
+
+    withLiveReload(html) {
+        const end = html.lastIndexOf('</body>');
+        return end === -1 ? html : html.slice(0, end) + LIVE_RELOAD_SCRIPT + html.slice(end);
+    }
+
+    filterEntries(params) {
+        // Query filters see the conversation as served, i.e. after redaction
+        const filter = parseFilter(params);
+        return filter ? this.entries.filter(entry => filter(entry.conversation, entry.summary)) : this.entries;
+    }
+
+    renderIndex(params) {
+        const summaries = this.filterEntries(params).map(entry => entry.summary);
+        const totalMessages = summaries.reduce((total, summary) => total + summary.messageCount, 0);
+        return this.withLiveReload(this.writer.renderIndex(summaries, {
+            stats: { totalMessages },
+            profile: this.formatter.profile
+        }));
+    }
+
+    listConversations(params) {
+        const entries = this.filterEntries(params);
+        return {
+            total: entries.length,
+            conversations: entries.map(({ summary }) => ({
+                number: summary.number,
+                id: summary.id,
+                provider: summary.provider,
+                title: summary.title,
+                created: summary.created,
+                updated: summary.updated,
+                messageCount: summary.messageCount,
+                branchCount: summary.branchCount,
+                characters: summary.characters,
+                archived: summary.archived,
+                file: this.writer.getFileName(summary)
+            }))
+        };
+    }
+
+    search(params) {
+        // Every term must appear; more occurrences rank higher, then newer messages
+        const terms = (params.get('q') || '').toLowerCase().split(/\s+/).filter(Boolean);
+        if (terms.length === 0) {
+            throw new HttpError(400, 'Missing search query (?q=)');
+        }
+
+        const role = params.get('role');
+        if (role && !Object.hasOwn(SEARCH_ROLES, role)) {
+            throw new HttpError(400, `Unknown role "${role}" (use ${Object.keys(SEARCH_ROLES).join(' or ')})`);
+        }
+        const roleCode = role ? SEARCH_ROLES[role] : null;
+        const limit = Math.min(500, Math.max(1, Number(params.get('limit')) || SEARCH_LIMIT));
+        const allowed = new Set(this.filterEntries(params).map(entry => entry.summary.number));
+        const byNumber = new Map(this.entries.map(entry => [entry.summary.number, entry.summary]));
+
+        const hits = [];
+        for (const [number, anchor, messageRole, time, text] of this.messages) {
+            if (!allowed.has(number) || (roleCode && roleCode !== messageRole)) continue;
+
+            const lower = text.toLowerCase();
+            let score = 0;
+            for (const term of terms) {
+                const count = lower.split(term).length - 1;
+                if (count === 0) {
+                    score = 0;
+                    break;
+                }
+                score += count;
+            }
+            if (score > 0) {
+                hits.push({ number, anchor, role: messageRole, time, text, lower, score });
+            }
+        }
+        hits.sort((a, b) => b.score - a.score || b.time - a.time);
+
+        return {
+            query: terms.join(' '),
+            total: hits.length,
+            results: hits.slice(0, limit).map(hit => {
+                const summary = byNumber.get(hit.number);
+                const file = this.writer.getFileName(summary);
+                const first = Math.min(...terms.map(term => hit.lower.indexOf(term)));
+                const start = Math.max(0, first - 80);
+                return {
+                    conversation: hit.number,
+                    id: summary.id,
+                    title: summary.title,
+                    url: `/${file.split('/').map(encodeURIComponent).join('/')}#${encodeURIComponent(hit.anchor)}`,
+                    role: hit.role === 'q' ? 'request' : 'response',
+                    time: hit.time ? new Date(hit.time * 1000).toISOString() : null,
+                    score: hit.score,
+                    snippet: hit.text.slice(start, first + 200).replace(/\s+/g, ' ').trim()
+                };
+            })
+        };
+    }
+
+    renderError(status, message) {
+        return this.withLiveReload(`<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <title>${status}</title>
+    <link rel="stylesheet" href="/${STYLESHEET_FILE}">
+</head>
+<body class="index-page">
+    <div class="container">
+        <div class="header">
+            <h1>${status}</h1>
+            <div class="subtitle">${escapeHtml(message)}</div>
+            <p><a href="/">Back to the index</a></p>
+        </div>
+    </div>
+</body>
+</html>`);
+    }
+}
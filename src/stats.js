@@ -0,0 +1,174 @@
+import { format } from 'date-fns';
+import { safeString } from './utils.js';
+
+export const STATS_REPORT_FILE = 'stats.json';
+
+const LONGEST_COUNT = 10;
+const LANGUAGE_COUNT = 15;
+const CJK = /[぀-ヿ㐀-䶿一-鿿가-힯豈-﫿]/g;
+
+// Rough token estimate without a tokenizer: about four characters per token
+// for Latin text, and one token per CJK character
+export function estimateTokens(text) {
+    const cjk = (text.match(CJK) || []).length;
+    return Math.ceil((text.length - cjk) / 4) + cjk;
+}
+
+function countCodeLanguages(content, languages) {
+    // Opening fences alternate with closing ones; only openings name a language
+    let fence = null;
+    for (const line of content.split('\n')) {
+        const match = /^\s{0,3}(`{3,}|~{3,})\s*([^\s`]*)/.exec(line);
+        if (!match) continue;
+
+        if (!fence) {
+            fence = match[1];
+            const language = match[2].toLowerCase() || 'text';
+            languages.set(language, (languages.get(language) || 0) + 1);
+        } else if (match[1][0] === fence[0] && match[1].length >= fence.length && !match[2]) {
+            fence = null;
+        }
+    }
+}
+
+function emptyVolume() {
+    return { count: 0, characters: 0, tokens: 0 };
+}
+
+// Collects archive statistics one conversation at a time, keeping only
+// per-day counters and a short list of the longest conversations in memory
+export default class ArchiveStats {
+    constructor() {
+        this.conversations = 0;
+        this.messages = 0;
+        this.requests = emptyVolume();
+        this.responses = emptyVolume();
+        this.reasoning = emptyVolume();
+        this.conversationsWithReasoning = 0;
+        this.days = new Map();
+        this.months = new Map();
+        this.languages = new Map();
+        this.longest = [];
+    }
+
+    add(conversation) {
+        const volumes = { REQUEST: this.requests, RESPONSE: this.responses, THINK: this.reasoning };
+        let characters = 0;
+        let tokens = 0;
+        let hasReasoning = false;
+
+        this.conversations++;
+
+        // The default branch, as shown in every output format
+        for (const message of conversation.messages) {
+            const fragments = Array.isArray(message.fragments) ? message.fragments : [];
+            const time = new Date(message.inserted_at);
+            const dated = message.inserted_at && !Number.isNaN(time.getTime());
+            this.messages++;
+
+            if (dated) {
+                const day = format(time, 'yyyy-MM-dd');
+                this.days.set(day, (this.days.get(day) || 0) + 1);
+            }
+
+            for (const fragment of fragments) {
+                const volume = volumes[fragment?.type];
+                const content = safeString(fragment?.content);
+                if (!volume || !content) continue;
+
+                const estimate = estimateTokens(content);
+                volume.count++;
+                volume.characters += content.length;
+                volume.tokens += estimate;
+
+                if (fragment.type === 'THINK') {
+                    hasReasoning = true;
+                } else {
+                    characters += content.length;
+                    tokens += estimate;
+                }
+                if (fragment.type === 'RESPONSE') {
+                    countCodeLanguages(content, this.languages);
+                }
+
+                if (dated && fragment.type !== 'REQUEST') {
+                    const month = format(time, 'yyyy-MM');
+                    const entry = this.months.get(month) || { reasoning: 0, answers: 0 };
+                    entry[fragment.type === 'THINK' ? 'reasoning' : 'answers'] += content.length;
+                    this.months.set(month, entry);
+                }
+            }
+        }
+
+        if (hasReasoning) this.conversationsWithReasoning++;
+        this.addLongest({
+            number: conversation.number,
+            id: conversation.id,
+            title: conversation.title,
+            messages: conversation.messages.length,
+            characters,
+            estimatedTokens: tokens
+        });
+    }
+
+    addLongest(entry) {
+        this.longest.push(entry);
+        this.longest.sort((a, b) => b.characters - a.characters || a.number - b.number);
+        this.longest.length = Math.min(this.longest.length, LONGEST_COUNT);
+    }
+
+    getActivity() {
+        const daily = Object.fromEntries([...this.days].sort(([a], [b]) => a.localeCompare(b)));
+        const weekly = {};
+        const monthly = {};
+
+        for (const [day, count] of Object.entries(daily)) {
+            const date = new Date(`${day}T12:00:00`);
+            const week = format(date, "RRRR-'W'II");
+            const month = day.slice(0, 7);
+            weekly[week] = (weekly[week] || 0) + count;
+            monthly[month] = (monthly[month] || 0) + count;
+        }
+
+        return { daily, weekly, monthly };
+    }
+
+    toJSON() {
+        const average = (volume, key) => volume.count > 0 ? Math.round(volume[key] / volume.count) : 0;
+        const answerCharacters = this.responses.characters;
+
+        return {
+            generated: new Date().toISOString(),
+            totals: {
+                conversations: this.conversations,
+                messages: this.messages,
+                requests: this.requests.count,
+                responses: this.responses.count,
+                reasoning: this.reasoning.count,
+                characters: this.requests.characters + this.responses.characters,
+                estimatedTokens: this.requests.tokens + this.responses.tokens + this.reasoning.tokens
+            },
+            averages: {
+                requestCharacters: average(this.requests, 'characters'),
+                responseCharacters: average(this.responses, 'characters'),
+                requestTokens: average(this.requests, 'tokens'),
+                responseTokens: average(this.responses, 'tokens')
+            },
+            activity: this.getActivity(),
+            reasoning: {
+                conversations: this.conversationsWithReasoning,
+                fragments: this.reasoning.count,
+                characters: this.reasoning.characters,
+                estimatedTokens: this.reasoning.tokens,
+                answerCharacters,
+                ratio: answerCharacters > 0 ? Number((this.reasoning.characters / answerCharacters).toFixed(2)) : null,
+                monthly: Object.fromEntries([...this.months].sort(([a], [b]) => a.localeCompare(b)))
+            },
+            codeLanguages: [...this.languages]
+                .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+                .slice(0, LANGUAGE_COUNT)
+                .map(([language, blocks]) => ({ language, blocks })),
+            longestConversations: this.longest
+        };
+    }
+}
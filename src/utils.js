@@ -0,0 +1,60 @@
+import { format } from 'date-fns';
+
+export function safeString(value) {
+    if (value === null || value === undefined || value === '') {
+        return '';
+    }
+    return String(value);
+}
+
+export function escapeHtml(text) {
+    if (!text || typeof text !== 'string') {
+        return '';
+    }
+    
+    const map = {
+        '&': '&amp;',
+        '<': '&lt;',
+        '>': '&gt;',
+        '"': '&quot;',
+        "'": '&#039;'
+    };
+    return text.replace(/[&<>"']/g, m => map[m]);
+}
+
+export function isWebUrl(url) {
+    // Only http(s) sources are linked; javascript:, data: and the like are shown as text
+    try {
+        return ['http:', 'https:'].includes(new URL(url).protocol);
+    } catch {
+        return false;
+    }
+}
+
+export function sanitizeFilename(filename) {
+    if (!filename || typeof filename !== 'string') {
+        return 'untitled';
+    }
+    
+    return filename
+        .replace(/[<>:"/\\|?*]/g, '_')
+        .replace(/\s+/g, '_')
+        .substring(0, 50)
+        .trim();
+}
+
+export function formatTimestamp(timestamp) {
+    if (!timestamp) {
+        return 'unknown';
+    }
+    
+    try {
+        const date = new Date(timestamp);
+        if (isNaN(date.getTime())) {
+            return timestamp;
+        }
+        return format(date, 'yyyy-MM-dd HH:mm:ss');
+    } catch {
+        return timestamp;
+    }
+}
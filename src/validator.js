@@ -0,0 +1,164 @@
+import { CONVERSATION_SCHEMA, checkSchema, formatPath } from './schema.js';
+
+// Schema mismatches the formatter copes with (unknown fragment types are shown
+// as "Unknown fragment"); every other mismatch is an error
+const WARNING_KEYWORDS = new Set(['enum']);
+
+// Checks conversations one at a time against the export schema, then checks
+// what a schema cannot express: that the mapping is a tree rooted at "root".
+// Problems carry the JSON path inside the export and the conversation id.
+export default class ExportValidator {
+    constructor() {
+        this.conversations = 0;
+        this.problems = [];
+        this.seenIds = new Map();
+    }
+
+    validate(conversation, index, provider = 'deepseek') {
+        const path = formatPath('$', index);
+        const problems = checkSchema(conversation, CONVERSATION_SCHEMA, path).map(problem => ({
+            severity: WARNING_KEYWORDS.has(problem.keyword) ? 'warning' : 'error',
+            path: problem.path,
+            message: problem.message
+        }));
+
+        const isObject = conversation && typeof conversation === 'object' && !Array.isArray(conversation);
+        if (isObject) {
+            problems.push(...this.checkMapping(conversation.mapping, formatPath(path, 'mapping')));
+            problems.push(...this.checkConversation(conversation, path));
+        }
+
+        const id = isObject && typeof conversation.id === 'string' ? conversation.id : null;
+        for (const problem of problems) {
+            this.problems.push({ ...problem, conversationId: id, provider });
+        }
+        this.conversations++;
+        return problems;
+    }
+
+    addProblem(severity, path, message, { conversationId = null, provider = null } = {}) {
+        // For problems found outside a conversation, e.g. a record no adapter could convert
+        this.problems.push({ severity, path, message, conversationId, provider });
+    }
+
+    checkConversation(conversation, path) {
+        const problems = [];
+
+        if (typeof conversation.id === 'string' && conversation.id) {
+            // The id keys the manifest, so a duplicate overwrites the other conversation's files
+            const first = this.seenIds.get(conversation.id);
+            if (first) {
+                problems.push({ severity: 'error', path: formatPath(path, 'id'), message: `duplicate conversation id (first used at ${first})` });
+            } else {
+                this.seenIds.set(conversation.id, path);
+            }
+        }
+
+        const created = Date.parse(conversation.inserted_at);
+        const updated = Date.parse(conversation.updated_at);
+        if (!Number.isNaN(created) && !Number.isNaN(updated) && updated < created) {
+            problems.push({ severity: 'warning', path: formatPath(path, 'updated_at'), message: 'is earlier than inserted_at' });
+        }
+
+        return problems;
+    }
+
+    checkMapping(mapping, path) {
+        // Wrong types and a missing root are already reported by the schema
+        if (!mapping || typeof mapping !== 'object' || Array.isArray(mapping) || !mapping.root) {
+            return [];
+        }
+
+        const problems = [];
+        const isNode = id => typeof id === 'string' && Object.hasOwn(mapping, id)
+            && mapping[id] !== null && typeof mapping[id] === 'object';
+        const childrenOf = id => Array.isArray(mapping[id].children) ? mapping[id].children : [];
+
+        for (const [key, node] of Object.entries(mapping)) {
+            if (!node || typeof node !== 'object') continue;
+            const nodePath = formatPath(path, key);
+
+            if (typeof node.id === 'string' && node.id !== key) {
+                problems.push({ severity: 'warning', path: formatPath(nodePath, 'id'), message: `"${node.id}" does not match its key "${key}"` });
+            }
+            if (typeof node.parent === 'string' && !isNode(node.parent)) {
+                problems.push({ severity: 'error', path: formatPath(nodePath, 'parent'), message: `parent "${node.parent}" does not exist` });
+            }
+
+            childrenOf(key).forEach((childId, i) => {
+                if (typeof childId !== 'string') return;
+                const childPath = formatPath(formatPath(nodePath, 'children'), i);
+                if (!isNode(childId)) {
+                    problems.push({ severity: 'error', path: childPath, message: `child "${childId}" does not exist` });
+                } else if ('parent' in mapping[childId] && mapping[childId].parent !== key) {
+                    problems.push({ severity: 'warning', path: childPath, message: `child "${childId}" names ${JSON.stringify(mapping[childId].parent)} as its parent` });
+                }
+            });
+        }
+
+        if (mapping.root.message) {
+            problems.push({ severity: 'warning', path: formatPath(formatPath(path, 'root'), 'message'), message: 'the root message is never shown' });
+        }
+
+        // Walk the tree the way the formatter does (see buildMessageTree), with an
+        // explicit stack so deep chains are checked without recursion.
+        // reachedFrom is the visited set; ancestors holds the nodes on the stack.
+        const reachedFrom = new Map([['root', null]]);
+        const ancestors = new Set();
+        const walk = (start, detached = false) => {
+            const stack = [{ id: start, position: 0 }];
+            ancestors.add(start);
+
+            while (stack.length > 0) {
+                const frame = stack[stack.length - 1];
+                const children = childrenOf(frame.id);
+                if (frame.position >= children.length) {
+                    ancestors.delete(frame.id);
+                    stack.pop();
+                    continue;
+                }
+
+                const i = frame.position++;
+                const childId = children[i];
+                if (!isNode(childId)) continue;
+                const childPath = formatPath(formatPath(formatPath(path, frame.id), 'children'), i);
+
+                if (ancestors.has(childId)) {
+                    problems.push({ severity: 'error', path: childPath, message: `cycle: "${childId}" is an ancestor of "${frame.id}"` });
+                } else if (reachedFrom.has(childId)) {
+                    if (!detached) {
+                        problems.push({ severity: 'warning', path: childPath, message: `"${childId}" is also a child of "${reachedFrom.get(childId)}" and is shown only once` });
+                    }
+                } else {
+                    reachedFrom.set(childId, frame.id);
+                    ancestors.add(childId);
+                    stack.push({ id: childId, position: 0 });
+                }
+            }
+        };
+        walk('root');
+
+        const unreachable = Object.keys(mapping).filter(key => !reachedFrom.has(key));
+        for (const key of unreachable) {
+            problems.push({ severity: 'warning', path: formatPath(path, key), message: 'is not reachable from the root and is never shown' });
+        }
+        // Detached parts can hold cycles too
+        for (const key of unreachable) {
+            if (reachedFrom.has(key) || !isNode(key)) continue;
+            reachedFrom.set(key, null);
+            walk(key, true);
+        }
+
+        return problems;
+    }
+
+    getReport() {
+        const count = severity => this.problems.filter(problem => problem.severity === severity).length;
+        return {
+            conversations: this.conversations,
+            errors: count('error'),
+            warnings: count('warning'),
+            problems: this.problems
+        };
+    }
+}
@@ -0,0 +1,165 @@
+import { format, addMonths, addWeeks, startOfISOWeek } from 'date-fns';
+import { escapeHtml } from '../utils.js';
+
+// Inline SVG charts for the stats page. Colours come from CSS classes in the
+// shared stylesheet, so charts follow the light/dark theme and need no script.
+
+const CELL = 11;
+const GAP = 2;
+const WEEKDAYS = ['', 'Mon', '', 'Wed', '', 'Fri', ''];
+
+function parseDay(day) {
+    // Noon, so daylight saving changes never move a date to the day before
+    return new Date(`${day}T12:00:00`);
+}
+
+function formatCount(value) {
+    return value.toLocaleString('en-US');
+}
+
+export function renderHeatmap(daily) {
+    const days = Object.keys(daily);
+    if (days.length === 0) return '<p class="chart-empty">No dated messages</p>';
+
+    const max = Math.max(...Object.values(daily));
+    const years = [...new Set(days.map(day => Number(day.slice(0, 4))))].sort((a, b) => b - a);
+    const left = 28;
+    const top = 14;
+    const width = left + 54 * (CELL + GAP);
+    const height = top + 7 * (CELL + GAP);
+
+    return years.map(year => {
+        const offset = new Date(year, 0, 1, 12).getDay();
+        let cells = '';
+        let labels = '';
+        let total = 0;
+
+        for (let date = new Date(year, 0, 1, 12), dayOfYear = 0; date.getFullYear() === year; date.setDate(date.getDate() + 1), dayOfYear++) {
+            const key = format(date, 'yyyy-MM-dd');
+            const count = daily[key] || 0;
+            const level = count === 0 ? 0 : Math.max(1, Math.ceil((count / max) * 4));
+            const x = left + Math.floor((dayOfYear + offset) / 7) * (CELL + GAP);
+            const y = top + date.getDay() * (CELL + GAP);
+            total += count;
+
+            if (date.getDate() === 1) {
+                labels += `<text x="${x}" y="10">${format(date, 'MMM')}</text>`;
+            }
+            cells += `<rect x="${x}" y="${y}" width="${CELL}" height="${CELL}" rx="2" class="heat-${level}"><title>${key}: ${count} messages</title></rect>`;
+        }
+
+        const weekdays = WEEKDAYS.map((name, i) => name
+            ? `<text x="0" y="${top + i * (CELL + GAP) + CELL - 2}">${name}</text>`
+            : '').join('');
+
+        return `
+            <figure class="chart heatmap">
+                <figcaption>${year} • ${formatCount(total)} messages</figcaption>
+                <svg viewBox="0 0 ${width} ${height}" width="${width}" height="${height}" role="img" aria-label="Messages per day in ${year}">${labels}${weekdays}${cells}</svg>
+            </figure>`;
+    }).join('');
+}
+
+export function monthSeries(monthly) {
+    // Every month from the first to the last, so gaps show as empty bars
+    const months = Object.keys(monthly).sort();
+    if (months.length === 0) return [];
+
+    const series = [];
+    const last = parseDay(`${months[months.length - 1]}-01`);
+    for (let date = parseDay(`${months[0]}-01`); date <= last; date = addMonths(date, 1)) {
+        const key = format(date, 'yyyy-MM');
+        series.push({ key, label: format(date, 'MMM yyyy'), value: monthly[key] || 0 });
+    }
+    return series;
+}
+
+export function weekSeries(weekly, daily) {
+    const days = Object.keys(daily);
+    if (days.length === 0) return [];
+
+    const series = [];
+    const last = parseDay(days[days.length - 1]);
+    for (let date = startOfISOWeek(parseDay(days[0])); date <= last; date = addWeeks(date, 1)) {
+        const key = format(date, "RRRR-'W'II");
+        series.push({ key, label: `Week of ${format(date, 'd MMM yyyy')}`, value: weekly[key] || 0 });
+    }
+    return series;
+}
+
+// Vertical bars over time. Each entry is {key, label, value} or, for stacked
+// bars, {key, label, values: [...]} with one class per stack in `series`.
+export function renderColumns(entries, { title, series = ['bar'], unit = 'messages' } = {}) {
+    if (entries.length === 0) return '<p class="chart-empty">No data</p>';
+
+    const width = 720;
+    const height = 200;
+    const left = 44;
+    const bottom = 20;
+    const plotHeight = height - bottom - 8;
+    const totals = entries.map(entry => (entry.values || [entry.value]).reduce((a, b) => a + b, 0));
+    const max = Math.max(1, ...totals);
+    const slot = (width - left) / entries.length;
+    const barWidth = Math.max(1, slot - Math.min(4, slot * 0.2));
+    // Label about eight evenly spaced bars so the axis never overlaps
+    const labelEvery = Math.max(1, Math.ceil(entries.length / 8));
+
+    let bars = '';
+    let labels = '';
+    entries.forEach((entry, i) => {
+        const x = left + i * slot;
+        const values = entry.values || [entry.value];
+        let y = height - bottom;
+
+        values.forEach((value, s) => {
+            const barHeight = (value / max) * plotHeight;
+            y -= barHeight;
+            if (barHeight > 0) {
+                bars += `<rect x="${x.toFixed(1)}" y="${y.toFixed(1)}" width="${barWidth.toFixed(1)}" height="${barHeight.toFixed(1)}" class="${series[s] || series[0]}"><title>${escapeHtml(entry.label)}: ${formatCount(value)} ${unit}</title></rect>`;
+            }
+        });
+
+        if (i % labelEvery === 0) {
+            labels += `<text x="${x.toFixed(1)}" y="${height - 6}">${escapeHtml(entry.key)}</text>`;
+        }
+    });
+
+    return `
+            <figure class="chart columns">${title ? `
+                <figcaption>${escapeHtml(title)}</figcaption>` : ''}
+                <svg viewBox="0 0 ${width} ${height}" preserveAspectRatio="xMinYMin meet" role="img" aria-label="${escapeHtml(title || unit)}">
+                    <line x1="${left}" y1="${height - bottom}" x2="${width}" y2="${height - bottom}" class="axis"/>
+                    <text x="0" y="16">${formatCount(max)}</text>
+                    <text x="0" y="${height - bottom}">0</text>
+                    ${bars}${labels}
+                </svg>
+            </figure>`;
+}
+
+// Horizontal bars for rankings, e.g. code languages: [{label, value, href}]
+export function renderBars(entries, { title, unit = '' } = {}) {
+    if (entries.length === 0) return '<p class="chart-empty">No data</p>';
+
+    const width = 720;
+    const row = 22;
+    const labelWidth = 150;
+    const valueWidth = 80;
+    const height = entries.length * row;
+    const max = Math.max(1, ...entries.map(entry => entry.value));
+
+    const rows = entries.map((entry, i) => {
+        const y = i * row;
+        const barWidth = Math.max(1, (entry.value / max) * (width - labelWidth - valueWidth));
+        const label = escapeHtml(entry.label.length > 24 ? `${entry.label.slice(0, 23)}…` : entry.label);
+        const text = entry.href
+            ? `<a href="${escapeHtml(entry.href)}"><text x="0" y="${y + 15}">${label}</text></a>`
+            : `<text x="0" y="${y + 15}">${label}</text>`;
+        return `${text}<rect x="${labelWidth}" y="${y + 4}" width="${barWidth.toFixed(1)}" height="${row - 8}" rx="2" class="bar"><title>${escapeHtml(entry.label)}: ${formatCount(entry.value)}${unit ? ` ${unit}` : ''}</title></rect><text x="${(labelWidth + barWidth + 6).toFixed(1)}" y="${y + 15}">${formatCount(entry.value)}</text>`;
+    }).join('');
+
+    return `
+            <figure class="chart bars">${title ? `
+                <figcaption>${escapeHtml(title)}</figcaption>` : ''}
+                <svg viewBox="0 0 ${width} ${height}" preserveAspectRatio="xMinYMin meet" role="img" aria-label="${escapeHtml(title || unit)}">${rows}</svg>
+            </figure>`;
+}
@@ -0,0 +1,325 @@
+import fs from 'fs/promises';
+import { createWriteStream } from 'fs';
+import os from 'os';
+import path from 'path';
+import crypto from 'crypto';
+import { pipeline } from 'stream/promises';
+import yazl from 'yazl';
+import Writer from './writer.js';
+import { createMarkdownRenderer } from '../markdown.js';
+import { safeString, escapeHtml, formatTimestamp, isWebUrl } from '../utils.js';
+
+export const BOOK_FILE = 'conversations.epub';
+
+// markdown-it's XHTML mode still leaves task-list checkboxes open, and XML has no &nbsp;
+function toXhtml(html) {
+    return html
+        .replace(/<(input|img|br|hr)\b([^>]*?)\s*\/?>/g, '<$1$2 />')
+        .replace(/&nbsp;/g, '&#160;');
+}
+
+// Bundles every selected conversation into one EPUB 3 book. Chapters are
+// rendered to a temporary directory as conversations stream past, then zipped
+// in finish() with the table of contents in sortConversationsByDate order.
+export default class EpubWriter extends Writer {
+    static formatName = 'epub';
+    static extension = 'epub';
+
+    constructor(options = {}) {
+        super(options);
+        this.markdown = createMarkdownRenderer({ xhtml: true });
+        this.chapterDir = null;
+        this.mathChapters = new Set();
+    }
+
+    get writesConversationFiles() {
+        return false;
+    }
+
+    getIndexFileName() {
+        return null;
+    }
+
+    async begin({ outputDir }) {
+        this.outputDir = outputDir;
+        this.chapterDir = await fs.mkdtemp(path.join(os.tmpdir(), 'deepseek-epub-'));
+    }
+
+    async addConversation(conversation) {
+        const content = this.renderConversation(conversation);
+        if (content.includes('<math')) {
+            this.mathChapters.add(conversation.number);
+        }
+        await fs.writeFile(path.join(this.chapterDir, this.getChapterFileName(conversation)), content);
+    }
+
+    async finish(conversations, { profile }) {
+        try {
+            const file = path.join(this.outputDir, BOOK_FILE);
+            await this.writeBook(file, conversations, this.describeProfile(profile));
+            this.log('success', `📚 Wrote ${BOOK_FILE} (${conversations.length} chapters)`);
+        } finally {
+            await fs.rm(this.chapterDir, { recursive: true, force: true });
+        }
+    }
+
+    getChapterFileName(conversation) {
+        return `chapter-${conversation.fileNumber}.xhtml`;
+    }
+
+    async writeBook(file, conversations, owner) {
+        const title = conversations.length === 1
+            ? conversations[0].title || 'DeepSeek Conversation'
+            : 'DeepSeek Conversations';
+        const identifier = crypto.createHash('sha256')
+            .update(conversations.map(conv => conv.manifestKey).join('\n'))
+            .digest('hex')
+            .slice(0, 32);
+
+        const zip = new yazl.ZipFile();
+        // The mimetype entry must come first and be stored uncompressed
+        zip.addBuffer(Buffer.from('application/epub+zip'), 'mimetype', { compress: false });
+        zip.addBuffer(Buffer.from(this.renderContainer()), 'META-INF/container.xml');
+        zip.addBuffer(Buffer.from(this.renderPackage(conversations, { title, owner, identifier })), 'OEBPS/content.opf');
+        zip.addBuffer(Buffer.from(this.renderNav(conversations, title)), 'OEBPS/nav.xhtml');
+        zip.addBuffer(Buffer.from(this.renderNcx(conversations, { title, identifier })), 'OEBPS/toc.ncx');
+        zip.addBuffer(Buffer.from(this.getBookCSS()), 'OEBPS/style.css');
+        for (const conv of conversations) {
+            const name = this.getChapterFileName(conv);
+            zip.addFile(path.join(this.chapterDir, name), `OEBPS/chapters/${name}`);
+        }
+        zip.end();
+
+        await pipeline(zip.outputStream, createWriteStream(file));
+    }
+
+    renderContainer() {
+        return `<?xml version="1.0" encoding="UTF-8"?>
+<container version="1.0" xmlns="urn:oasis:names:tc:opendocument:xmlns:container">
+    <rootfiles>
+        <rootfile full-path="OEBPS/content.opf" media-type="application/oebps-package+xml"/>
+    </rootfiles>
+</container>
+`;
+    }
+
+    renderPackage(conversations, { title, owner, identifier }) {
+        const modified = new Date().toISOString().replace(/\.\d+Z$/, 'Z');
+        const items = conversations.map(conv => {
+            const properties = this.mathChapters.has(conv.number) ? ' properties="mathml"' : '';
+            return `        <item id="chapter-${conv.fileNumber}" href="chapters/${this.getChapterFileName(conv)}" media-type="application/xhtml+xml"${properties}/>`;
+        });
+        const spine = conversations.map(conv => `        <itemref idref="chapter-${conv.fileNumber}"/>`);
+
+        return `<?xml version="1.0" encoding="UTF-8"?>
+<package xmlns="http://www.idpf.org/2007/opf" version="3.0" unique-identifier="book-id">
+    <metadata xmlns:dc="http://purl.org/dc/elements/1.1/">
+        <dc:identifier id="book-id">urn:deepseek-formatter:${identifier}</dc:identifier>
+        <dc:title>${escapeHtml(title)}</dc:title>
+        <dc:language>en</dc:language>${owner ? `
+        <dc:creator>${escapeHtml(owner)}</dc:creator>` : ''}
+        <meta property="dcterms:modified">${modified}</meta>
+    </metadata>
+    <manifest>
+        <item id="nav" href="nav.xhtml" media-type="application/xhtml+xml" properties="nav"/>
+        <item id="ncx" href="toc.ncx" media-type="application/x-dtbncx+xml"/>
+        <item id="style" href="style.css" media-type="text/css"/>
+${items.join('\n')}
+    </manifest>
+    <spine toc="ncx">
+        <itemref idref="nav"/>
+${spine.join('\n')}
+    </spine>
+</package>
+`;
+    }
+
+    renderNav(conversations, title) {
+        const entries = conversations.map(conv => `
+            <li><a href="chapters/${this.getChapterFileName(conv)}">${escapeHtml(conv.title || `Conversation ${conv.number}`)}</a> <span class="toc-date">${formatTimestamp(conv.date)}</span></li>`);
+
+        return `<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE html>
+<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops" lang="en" xml:lang="en">
+<head>
+    <title>${escapeHtml(title)}</title>
+    <link rel="stylesheet" type="text/css" href="style.css"/>
+</head>
+<body>
+    <nav epub:type="toc" id="toc">
+        <h1>${escapeHtml(title)}</h1>
+        <p class="subtitle">Sorted by date (newest first) • ${conversations.length} conversations</p>
+        <ol>${entries.join('')}
+        </ol>
+    </nav>
+</body>
+</html>
+`;
+    }
+
+    renderNcx(conversations, { title, identifier }) {
+        const points = conversations.map((conv, i) => `
+        <navPoint id="nav-${conv.fileNumber}" playOrder="${i + 1}">
+            <navLabel><text>${escapeHtml(conv.title || `Conversation ${conv.number}`)}</text></navLabel>
+            <content src="chapters/${this.getChapterFileName(conv)}"/>
+        </navPoint>`);
+
+        // EPUB 2 table of contents, for older readers
+        return `<?xml version="1.0" encoding="UTF-8"?>
+<ncx xmlns="http://www.daisy.org/z3986/2005/ncx/" version="2005-1">
+    <head>
+        <meta name="dtb:uid" content="urn:deepseek-formatter:${identifier}"/>
+    </head>
+    <docTitle><text>${escapeHtml(title)}</text></docTitle>
+    <navMap>${points.join('')}
+    </navMap>
+</ncx>
+`;
+    }
+
+    renderConversation(conversation) {
+        const title = conversation.title || `Conversation ${conversation.fileNumber}`;
+        let body = '';
+
+        // A book has no branch switcher, so chapters follow the default branch
+        for (const { fragment, message, messageNumber, attachments } of this.collectFragments(conversation.messages)) {
+            const content = safeString(fragment.content);
+            const sources = fragment.type === 'SEARCH' ? this.getSearchSources(fragment) : [];
+            if (!content && sources.length === 0 && attachments.length === 0) continue;
+
+            const className = { REQUEST: 'request', RESPONSE: 'response', THINK: 'reasoning', SEARCH: 'search' }[fragment.type] || 'unknown';
+            body += `
+        <section class="chat-message ${className}">
+            <h2>${escapeHtml(this.getFragmentLabel(fragment.type, messageNumber))} <span class="message-time">${formatTimestamp(message.inserted_at)}</span></h2>`;
+            if (content) {
+                body += `
+            <div class="message-content">${this.formatContent(content)}</div>`;
+            }
+            if (sources.length > 0) {
+                body += `
+            <ol class="search-results">${sources.map(source => `<li>${isWebUrl(source.url)
+                    ? `<a href="${escapeHtml(source.url)}">${escapeHtml(source.title)}</a>`
+                    : escapeHtml(source.title)}</li>`).join('')}</ol>`;
+            }
+            if (attachments.length > 0) {
+                // Uploads are not bundled into the book, so only their names are shown
+                body += `
+            <p class="attachments">Attachments: ${escapeHtml(attachments.map(file => file.name).join(', '))}</p>`;
+            }
+            body += `
+        </section>`;
+        }
+
+        return `<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE html>
+<html xmlns="http://www.w3.org/1999/xhtml" lang="en" xml:lang="en">
+<head>
+    <title>${escapeHtml(title)}</title>
+    <link rel="stylesheet" type="text/css" href="../style.css"/>
+</head>
+<body>
+    <article>
+        <h1>${escapeHtml(title)}</h1>
+        <p class="meta">Created: ${formatTimestamp(conversation.created)} • Updated: ${formatTimestamp(conversation.updated)} • ${conversation.messages.length} messages</p>${body}
+    </article>
+</body>
+</html>
+`;
+    }
+
+    formatContent(content) {
+        try {
+            return toXhtml(this.markdown.render(content));
+        } catch (error) {
+            this.log('warn', `Warning: Error formatting content: ${error.message}`);
+            return `<p>${escapeHtml(content)}</p>`;
+        }
+    }
+
+    renderIndex() {
+        // The table of contents is part of the book (see renderNav)
+        return '';
+    }
+
+    getBookCSS() {
+        return `body {
+    font-family: Georgia, 'Times New Roman', serif;
+    line-height: 1.5;
+}
+h1 {
+    color: #cc3333;
+    font-size: 1.5em;
+}
+.subtitle, .meta, .toc-date, .message-time {
+    color: #666666;
+    font-size: 0.85em;
+}
+nav ol li {
+    margin-bottom: 0.4em;
+}
+.chat-message {
+    margin: 1.2em 0;
+    padding-left: 0.8em;
+    border-left: 4px solid #cccccc;
+}
+.chat-message h2 {
+    font-size: 1em;
+    margin: 0 0 0.4em 0;
+    page-break-after: avoid;
+}
+.request {
+    border-left-color: #ff4444;
+}
+.response {
+    border-left-color: #28a745;
+}
+.reasoning {
+    border-left-color: #8a94a6;
+    color: #555555;
+}
+.search {
+    border-left-color: #3b82f6;
+}
+.attachments {
+    color: #888888;
+    font-size: 0.85em;
+}
+pre {
+    font-family: 'Courier New', monospace;
+    font-size: 0.8em;
+    white-space: pre-wrap;
+    background: #f6f8fa;
+    padding: 0.6em;
+    page-break-inside: avoid;
+}
+code {
+    font-family: 'Courier New', monospace;
+}
+.code-lang {
+    color: #888888;
+    font-size: 0.75em;
+    font-family: 'Courier New', monospace;
+}
+.hljs-keyword, .hljs-literal, .hljs-built_in { color: #0000aa; }
+.hljs-string { color: #a31515; }
+.hljs-comment { color: #008000; font-style: italic; }
+.hljs-number { color: #098658; }
+table {
+    border-collapse: collapse;
+}
+th, td {
+    border: 1px solid #cccccc;
+    padding: 0.2em 0.5em;
+}
+blockquote {
+    color: #666666;
+    border-left: 3px solid #cccccc;
+    margin-left: 0;
+    padding-left: 0.8em;
+}
+.task-list-item {
+    list-style: none;
+}
+`;
+    }
+}
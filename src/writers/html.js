@@ -0,0 +1,2215 @@
+import fs from 'fs/promises';
+import path from 'path';
+import Writer from './writer.js';
+import SearchIndexBuilder, { SEARCH_INDEX_FILE, TOKEN_PATTERN, MAX_TOKEN_LENGTH, MAX_TOKEN_COUNT } from './search-index.js';
+import { THEMES, STYLESHEET_FILE, THEME_FILE, THEME_STORAGE_KEY, buildThemeCSS, loadThemeFile } from './themes.js';
+import { renderHeatmap, renderColumns, renderBars, monthSeries, weekSeries } from './charts.js';
+import { createMarkdownRenderer } from '../markdown.js';
+import { safeString, escapeHtml, formatTimestamp, isWebUrl } from '../utils.js';
+
+function cssString(text) {
+    // Quoted CSS string that cannot close the string or the <style> element
+    return `"${String(text).replace(/[\\"<\n]/g, char => `\\${char.charCodeAt(0).toString(16)} `)}"`;
+}
+
+export default class HtmlWriter extends Writer {
+    static formatName = 'html';
+    static extension = 'html';
+
+    constructor(options = {}) {
+        super(options);
+        this.markdown = createMarkdownRenderer();
+        this.themeFile = options.theme || null;
+        
+        // Renderers keyed by fragment.type; unknown types use renderUnknownFragment
+        this.fragmentRenderers = {
+            REQUEST: this.renderRequestFragment.bind(this),
+            RESPONSE: this.renderResponseFragment.bind(this),
+            THINK: this.renderThinkFragment.bind(this),
+            SEARCH: this.renderSearchFragment.bind(this)
+        };
+    }
+
+    renderConversation(conversation) {
+        const { fileNumber, messages, branchCount } = conversation;
+        
+        try {
+            // Get conversation data with fallbacks
+            const title = this.getPageTitle(conversation);
+            const id = conversation.id || 'unknown-id';
+            const created = conversation.created || 'unknown';
+            const updated = conversation.updated || 'unknown';
+            
+            // Get formatted dates for display
+            const createdFormatted = formatTimestamp(created);
+            const updatedFormatted = formatTimestamp(updated);
+
+            let htmlContent = `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>DeepSeek Chat: ${escapeHtml(title)}</title>
+    ${this.getStyleLinks()}
+    ${this.getPrintHeader(title, createdFormatted)}
+</head>
+<body class="conversation-page">
+    ${this.getThemeToggle()}
+    <div class="container">
+        <div class="header">
+            <div class="conversation-meta">
+                <span class="conversation-number">Conversation ${escapeHtml(id.slice(0, 8))}</span>
+                <span class="conversation-date">${updatedFormatted}</span>
+            </div>
+            <h1 class="title">${escapeHtml(title)}</h1>
+            <div class="meta">
+                ID: ${escapeHtml(id)}<br>
+                Source: ${escapeHtml(this.describeProvider(conversation.provider))}${conversation.archived ? ` (${this.describeArchived(conversation)})` : ''}<br>
+                Created: ${createdFormatted}<br>
+                Updated: ${updatedFormatted}
+            </div>
+        </div>`;
+
+        htmlContent += this.renderTableOfContents(conversation.tree);
+
+        // Add messages, following every branch of the conversation tree
+        htmlContent += this.renderThread(conversation.tree, 1);
+
+        htmlContent += `
+        <div class="footer">
+            <div class="footer-stats">
+                Generated by DeepSeek Formatter • ${new Date().toLocaleDateString()}<br>
+                Total messages: ${messages.length} • Branches: ${branchCount} • Conversation date: ${createdFormatted}
+            </div>
+            ${this.renderNavigation(conversation)}
+        </div>
+    </div>
+    <script>
+        ${this.getScript()}
+        ${this.getThemeScript()}
+    </script>
+</body>
+</html>`;
+
+            return htmlContent;
+        } catch (error) {
+            this.log('error', `Error generating HTML for conversation ${fileNumber}: ${error.message}`);
+            return `<html><body><h1>Error processing conversation</h1><p>${error.message}</p></body></html>`;
+        }
+    }
+
+    renderThread(nodes, messageNumber) {
+        // Every fork nests its branches one level deeper, so the page is built
+        // from a stack of pending threads and closing tags instead of recursion
+        const parts = [];
+        const stack = [{ nodes, messageNumber }];
+
+        while (stack.length > 0) {
+            const item = stack.pop();
+            if (typeof item === 'string') {
+                parts.push(item);
+                continue;
+            }
+
+            if (item.branch) {
+                const { node, index, count, isDefault } = item.branch;
+                const result = this.renderMessage(node, item.messageNumber);
+                parts.push(`
+        <details class="branch${isDefault ? ' branch-default' : ''}"${isDefault ? ' open' : ''}>
+            <summary>Version ${index + 1} of ${count}${isDefault ? ' (current)' : ''}</summary>${result.html}`);
+                stack.push(`
+        </details>`);
+                stack.push({ nodes: node.children, messageNumber: result.messageNumber });
+                continue;
+            }
+
+            let { nodes: thread, messageNumber: number } = item;
+            while (thread.length === 1) {
+                const result = this.renderMessage(thread[0], number);
+                parts.push(result.html);
+                number = result.messageNumber;
+                thread = thread[0].children;
+            }
+
+            if (thread.length > 1) {
+                const defaultIndex = thread.findIndex(node => node.isDefault);
+
+                parts.push(`
+        <div class="branch-fork">`);
+                stack.push(`
+        </div>`);
+                // Pushed last to first so the branches come off the stack in order
+                for (let i = thread.length - 1; i >= 0; i--) {
+                    stack.push({
+                        branch: { node: thread[i], index: i, count: thread.length, isDefault: i === defaultIndex },
+                        messageNumber: number
+                    });
+                }
+            }
+        }
+
+        return parts.join('');
+    }
+
+    async begin({ outputDir }) {
+        await this.writeStylesheets(outputDir);
+
+        this.searchIndex = new SearchIndexBuilder(outputDir, {
+            getFileName: (conversation) => this.getFileName(conversation),
+            getMessageAnchor: (nodeId) => this.getMessageAnchor(nodeId)
+        });
+        await this.searchIndex.open();
+    }
+
+    async writeStylesheets(outputDir) {
+        // One stylesheet for every page, rewritten each run so style changes
+        // reach pages the manifest leaves untouched
+        await fs.writeFile(path.join(outputDir, STYLESHEET_FILE), this.getStylesheet());
+        if (this.themeFile) {
+            await fs.writeFile(path.join(outputDir, THEME_FILE), await loadThemeFile(this.themeFile));
+        } else {
+            await fs.rm(path.join(outputDir, THEME_FILE), { force: true });
+        }
+    }
+
+    async addConversation(conversation) {
+        await this.searchIndex.add(conversation);
+    }
+
+    async finish(conversations) {
+        await this.searchIndex.finish(conversations);
+    }
+
+    registerFragmentRenderer(type, renderer) {
+        if (typeof renderer !== 'function') {
+            throw new Error(`Fragment renderer for ${type} must be a function`);
+        }
+        this.fragmentRenderers[type] = renderer;
+    }
+
+    renderMessage(node, messageNumber) {
+        const message = node.message;
+        let html = '';
+        
+        if (message && message.fragments && Array.isArray(message.fragments)) {
+            const time = formatTimestamp(safeString(message.inserted_at) || 'unknown');
+            
+            for (const fragment of message.fragments) {
+                if (!fragment || !fragment.type) continue;
+                if (fragment.type === 'THINK' && !this.includeReasoning) continue;
+                
+                const renderer = this.fragmentRenderers[fragment.type] || this.renderUnknownFragment.bind(this);
+                html += renderer(fragment, { message, messageNumber, time });
+                
+                if (fragment.type === 'REQUEST') messageNumber++;
+            }
+            html += this.renderAttachments(message);
+        }
+        
+        // Anchor every message on its mapping node id so links survive re-exports
+        if (html) {
+            html = `
+        <div class="message" id="${escapeHtml(this.getMessageAnchor(node.id))}">
+            <button type="button" class="permalink-btn" onclick="copyLink(this)" title="Copy a link to this message">🔗</button>${html}
+        </div>`;
+        }
+        
+        return { html, messageNumber };
+    }
+
+    renderAttachments(message) {
+        const attachments = this.getAttachments(message);
+        if (attachments.length === 0) return '';
+
+        const links = attachments.map(file => file.href
+            ? `<a href="${escapeHtml(file.href)}" target="_blank">${escapeHtml(file.name)}</a>`
+            : escapeHtml(file.name));
+        return `
+            <div class="attachments">📎 ${links.join(', ')}</div>`;
+    }
+
+    renderTableOfContents(nodes) {
+        // First line of every request on the current branch, linked to its message
+        const entries = [];
+        let messageNumber = 1;
+        while (nodes.length > 0) {
+            const node = nodes.find(candidate => candidate.isDefault) || nodes[nodes.length - 1];
+            const fragments = node.message && Array.isArray(node.message.fragments) ? node.message.fragments : [];
+            for (const fragment of fragments) {
+                if (!fragment || fragment.type !== 'REQUEST') continue;
+                const line = safeString(fragment.content).split('\n').map(text => text.trim()).find(Boolean) || '';
+                entries.push({
+                    anchor: this.getMessageAnchor(node.id),
+                    messageNumber,
+                    text: line.length > 80 ? `${line.slice(0, 77)}...` : line
+                });
+                messageNumber++;
+            }
+            nodes = node.children;
+        }
+
+        // A single request needs no contents
+        if (entries.length < 2) return '';
+
+        return `
+        <details class="toc" id="toc">
+            <summary>Contents (${entries.length} requests)</summary>
+            <ol>${entries.map(entry => `
+                <li><a href="#${escapeHtml(entry.anchor)}"><span class="toc-number">${entry.messageNumber}.</span> ${escapeHtml(entry.text) || '<em>Empty request</em>'}</a></li>`).join('')}
+            </ol>
+        </details>`;
+    }
+
+    renderNavigation(conversation) {
+        const link = (neighbour, rel, label) => neighbour
+            ? `<a href="${escapeHtml(this.getFileName(neighbour))}" rel="${rel}" class="nav-${rel}" title="${escapeHtml(neighbour.title || 'Untitled')}">${label}</a>`
+            : '<span></span>';
+
+        return `<div class="navigation">
+                ${link(conversation.previous, 'prev', `‹ ${escapeHtml(conversation.previous?.title || 'Previous')}`)}
+                <span class="nav-info"><a href="${this.getIndexFileName()}">All conversations</a> • Sorted by date (newest first)</span>
+                ${link(conversation.next, 'next', `${escapeHtml(conversation.next?.title || 'Next')} ›`)}
+            </div>
+            <div class="keyboard-help">Keys: <kbd>j</kbd> / <kbd>k</kbd> next and previous message • <kbd>n</kbd> / <kbd>p</kbd> next and previous conversation</div>`;
+    }
+
+    renderMessageBlock(className, headerText, time, body) {
+        return `
+        <div class="chat-message ${className}">
+            <div class="message-header">
+                <h2>${headerText}</h2>
+                <span class="message-time">${time}</span>
+            </div>
+            ${body}
+        </div>`;
+    }
+
+    renderRequestFragment(fragment, { messageNumber, time }) {
+        const content = safeString(fragment.content);
+        if (!content) return '';
+        
+        return this.renderMessageBlock('request', `Request ${messageNumber}`, time,
+            `<div class="message-content">${this.formatContent(content)}</div>`);
+    }
+
+    renderResponseFragment(fragment, { messageNumber, time }) {
+        const content = safeString(fragment.content);
+        if (!content) return '';
+        
+        return this.renderMessageBlock('response', `Response ${messageNumber}`, time,
+            `<div class="message-content">${this.formatContent(content)}</div>`);
+    }
+
+    renderThinkFragment(fragment, { messageNumber, time }) {
+        const content = safeString(fragment.content);
+        if (!content) return '';
+        
+        const seconds = Number(fragment.elapsed_secs);
+        const duration = Number.isFinite(seconds) ? ` (${Math.round(seconds)}s)` : '';
+        
+        return this.renderMessageBlock('reasoning', `Reasoning ${messageNumber}`, time,
+            `<details class="reasoning-panel">
+                <summary>Show reasoning${duration}</summary>
+                <div class="message-content">${this.formatContent(content)}</div>
+            </details>`);
+    }
+
+    renderSearchFragment(fragment, { messageNumber, time }) {
+        const results = Array.isArray(fragment.results) ? fragment.results : [];
+        if (results.length === 0 && !fragment.content) return '';
+        
+        const items = results.map(result => {
+            const url = safeString(result && result.url);
+            const title = safeString(result && (result.title || result.site_name)) || url || 'Untitled source';
+            const site = safeString(result && result.site_name);
+            const snippet = safeString(result && result.snippet);
+            const link = isWebUrl(url)
+                ? `<a href="${escapeHtml(url)}" target="_blank" rel="noopener noreferrer">${escapeHtml(title)}</a>`
+                : escapeHtml(title);
+            
+            return `
+                <li>
+                    ${link}${site ? ` <span class="search-site">${escapeHtml(site)}</span>` : ''}
+                    ${url ? `<div class="search-url">${escapeHtml(url)}</div>` : ''}
+                    ${snippet ? `<div class="search-snippet">${escapeHtml(snippet)}</div>` : ''}
+                </li>`;
+        }).join('');
+        
+        const content = safeString(fragment.content);
+        
+        return this.renderMessageBlock('search', `Search results ${messageNumber}`, time,
+            `${content ? `<div class="message-content">${this.formatContent(content)}</div>` : ''}
+            <ol class="search-results">${items}
+            </ol>`);
+    }
+
+    renderUnknownFragment(fragment, { messageNumber, time }) {
+        const content = safeString(fragment.content);
+        const { type, ...rest } = fragment;
+        const body = content
+            ? `<div class="message-content">${this.formatContent(content)}</div>`
+            : `<pre><code>${escapeHtml(JSON.stringify(rest, null, 2))}</code></pre>`;
+        
+        return this.renderMessageBlock('unknown', `Unknown fragment (${escapeHtml(safeString(type))}) ${messageNumber}`, time, body);
+    }
+
+    formatContent(content) {
+        if (!content || typeof content !== 'string') {
+            return '';
+        }
+        
+        try {
+            return this.markdown.render(content);
+        } catch (error) {
+            this.log('warn', `Warning: Error formatting content: ${error.message}`);
+            return `<p>${escapeHtml(content)}</p>`;
+        }
+    }
+
+    getCSS() {
+        return `
+        body {
+            font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif;
+            line-height: 1.6;
+            margin: 0;
+            padding: 20px;
+            background-color: var(--page-bg);
+            color: var(--text);
+        }
+        .container {
+            max-width: 800px;
+            margin: 0 auto;
+            background: var(--surface);
+            padding: 30px;
+            border-radius: 10px;
+            box-shadow: 0 2px 15px var(--shadow);
+        }
+        .header {
+            border-bottom: 3px solid var(--accent);
+            padding-bottom: 15px;
+            margin-bottom: 30px;
+            position: relative;
+        }
+        .theme-toggle {
+            position: fixed;
+            top: 12px;
+            right: 12px;
+            background: var(--surface);
+            color: var(--text-muted);
+            border: 1px solid var(--border);
+            border-radius: 4px;
+            padding: 4px 10px;
+            font-size: 12px;
+            cursor: pointer;
+        }
+        .theme-toggle:hover {
+            color: var(--accent);
+        }
+        .conversation-meta {
+            display: flex;
+            justify-content: space-between;
+            align-items: center;
+            margin-bottom: 10px;
+            font-size: 14px;
+        }
+        .conversation-number {
+            background: var(--accent);
+            color: var(--accent-contrast);
+            padding: 4px 10px;
+            border-radius: 4px;
+            font-weight: bold;
+        }
+        .conversation-date {
+            color: var(--text-muted);
+            font-style: italic;
+        }
+        h1.title {
+            color: var(--accent);
+            font-size: 24px;
+            margin: 0 0 10px 0;
+            border-left: 4px solid var(--accent);
+            padding-left: 15px;
+        }
+        .meta {
+            color: var(--text-muted);
+            font-size: 14px;
+            line-height: 1.5;
+            background: var(--surface-alt);
+            padding: 10px 15px;
+            border-radius: 6px;
+            margin-top: 10px;
+        }
+        .chat-message {
+            margin-bottom: 25px;
+            padding: 15px;
+            border-radius: 8px;
+            border-left: 4px solid;
+        }
+        .request {
+            background-color: var(--request-bg);
+            border-left-color: var(--accent);
+        }
+        .response {
+            background-color: var(--response-bg);
+            border-left-color: var(--response-accent);
+        }
+        .reasoning {
+            background-color: var(--reasoning-bg);
+            border-left-color: var(--reasoning-accent);
+            color: var(--reasoning-text);
+        }
+        .reasoning-panel > summary {
+            cursor: pointer;
+            color: var(--reasoning-accent);
+            font-size: 14px;
+        }
+        .chat-message.search {
+            background-color: var(--search-bg);
+            border-left-color: var(--link-alt);
+        }
+        .chat-message .search-results {
+            margin: 0;
+            padding-left: 20px;
+            font-size: 14px;
+        }
+        .chat-message .search-results li {
+            margin-bottom: 8px;
+        }
+        .search-site {
+            color: var(--text-faint);
+            font-size: 12px;
+        }
+        .search-url {
+            color: var(--link-alt);
+            font-size: 12px;
+            word-break: break-all;
+        }
+        .search-snippet {
+            color: var(--reasoning-text);
+        }
+        .attachments {
+            margin: -10px 0 20px;
+            color: var(--text-faint);
+            font-size: 14px;
+        }
+        .unknown {
+            background-color: var(--unknown-bg);
+            border-left-color: var(--unknown-accent);
+        }
+        .message-header {
+            font-weight: bold;
+            margin-bottom: 10px;
+            display: flex;
+            justify-content: space-between;
+            align-items: center;
+        }
+        .message-header h2 {
+            color: var(--accent);
+            margin: 0;
+            font-size: 20px;
+        }
+        .message-time {
+            font-size: 12px;
+            color: var(--text-faint);
+            font-weight: normal;
+        }
+        .message-content {
+            word-wrap: break-word;
+            font-size: 15px;
+            line-height: 1.5;
+        }
+        .message-content > :first-child {
+            margin-top: 0;
+        }
+        .message-content > :last-child {
+            margin-bottom: 0;
+        }
+        .message-content h1 {
+            font-size: 20px;
+        }
+        .message-content h2 {
+            font-size: 18px;
+        }
+        .message-content h3,
+        .message-content h4 {
+            font-size: 16px;
+        }
+        .message-content table {
+            border-collapse: collapse;
+            margin: 10px 0;
+        }
+        .message-content th,
+        .message-content td {
+            border: 1px solid var(--border);
+            padding: 6px 12px;
+        }
+        .message-content th {
+            background: var(--surface-alt);
+        }
+        .message-content blockquote {
+            margin: 10px 0;
+            padding: 5px 15px;
+            border-left: 4px solid var(--border);
+            color: var(--text-muted);
+        }
+        .message-content hr {
+            border: none;
+            border-top: 1px solid var(--border);
+        }
+        .math-display {
+            overflow-x: auto;
+            margin: 10px 0;
+        }
+        .math-error {
+            color: var(--error);
+        }
+        .message-content .task-list-item {
+            list-style: none;
+        }
+        pre {
+            background-color: var(--code-bg);
+            color: var(--code-text);
+            padding: 15px;
+            border-radius: 5px;
+            overflow-x: auto;
+            font-family: 'Courier New', monospace;
+        }
+        .code-block {
+            margin: 10px 0;
+        }
+        .code-block pre {
+            margin: 0;
+            border-top-left-radius: 0;
+            border-top-right-radius: 0;
+        }
+        .code-toolbar {
+            display: flex;
+            justify-content: space-between;
+            align-items: center;
+            background: var(--code-toolbar-bg);
+            color: #9b9b9b;
+            padding: 4px 10px;
+            border-radius: 5px 5px 0 0;
+            font-size: 12px;
+            font-family: 'Courier New', monospace;
+        }
+        .copy-btn {
+            background: transparent;
+            color: var(--code-text);
+            border: 1px solid #555;
+            border-radius: 3px;
+            padding: 2px 8px;
+            font-size: 12px;
+            cursor: pointer;
+        }
+        .copy-btn:hover {
+            background: #3a3a3a;
+        }
+        .hljs-keyword, .hljs-literal, .hljs-symbol, .hljs-name, .hljs-link { color: #569cd6; }
+        .hljs-built_in, .hljs-type { color: #4ec9b0; }
+        .hljs-number, .hljs-class { color: #b8d7a3; }
+        .hljs-string, .hljs-meta .hljs-string { color: #d69d85; }
+        .hljs-regexp, .hljs-template-tag { color: #9a5334; }
+        .hljs-comment, .hljs-quote { color: #57a64a; font-style: italic; }
+        .hljs-doctag { color: #608b4e; }
+        .hljs-meta, .hljs-meta .hljs-keyword, .hljs-tag { color: #9b9b9b; }
+        .hljs-variable, .hljs-template-variable { color: #bd63c5; }
+        .hljs-attr, .hljs-attribute { color: #9cdcfe; }
+        .hljs-section { color: gold; }
+        .hljs-bullet, .hljs-selector-tag, .hljs-selector-id, .hljs-selector-class, .hljs-selector-attr, .hljs-selector-pseudo { color: #d7ba7d; }
+        .hljs-addition { background-color: #144212; }
+        .hljs-deletion { background-color: #660000; }
+        .hljs-emphasis { font-style: italic; }
+        .hljs-strong { font-weight: bold; }
+        code {
+            background-color: var(--inline-code-bg);
+            padding: 2px 5px;
+            border-radius: 3px;
+            font-family: 'Courier New', monospace;
+        }
+        pre code {
+            background-color: transparent;
+            padding: 0;
+        }
+        .message:target .chat-message,
+        .message.current .chat-message {
+            box-shadow: 0 0 0 2px var(--accent);
+        }
+        .message {
+            position: relative;
+        }
+        .permalink-btn {
+            position: absolute;
+            top: 12px;
+            left: -28px;
+            background: none;
+            border: none;
+            padding: 2px;
+            font-size: 14px;
+            cursor: pointer;
+            opacity: 0;
+        }
+        .message:hover .permalink-btn,
+        .permalink-btn:focus {
+            opacity: 1;
+        }
+        @media (hover: none) {
+            .permalink-btn {
+                opacity: 0.6;
+            }
+        }
+        .toc {
+            position: sticky;
+            top: 0;
+            z-index: 1;
+            background: var(--surface);
+            border: 1px solid var(--border-light);
+            border-radius: 8px;
+            padding: 8px 15px;
+            margin-bottom: 25px;
+            font-size: 14px;
+        }
+        .toc > summary {
+            cursor: pointer;
+            color: var(--text-muted);
+        }
+        .toc ol {
+            list-style: none;
+            margin: 8px 0 0 0;
+            padding: 0;
+            max-height: 60vh;
+            overflow-y: auto;
+        }
+        .toc li a {
+            display: block;
+            padding: 2px 6px;
+            border-radius: 4px;
+            color: var(--text);
+            overflow: hidden;
+            text-overflow: ellipsis;
+            white-space: nowrap;
+        }
+        .toc li a:hover,
+        .toc li a.active {
+            background: var(--request-bg);
+            color: var(--accent);
+            text-decoration: none;
+        }
+        .toc-number {
+            color: var(--text-faint);
+        }
+        @media (min-width: 1300px) {
+            /* Beside the centred conversation instead of above it */
+            .toc {
+                position: fixed;
+                top: 50px;
+                left: 20px;
+                width: calc((100vw - 860px) / 2 - 40px);
+                max-width: 320px;
+                margin: 0;
+            }
+            .toc ol {
+                max-height: calc(100vh - 130px);
+            }
+        }
+        .branch-fork {
+            margin-bottom: 25px;
+        }
+        .branch {
+            border: 1px dashed var(--border);
+            border-radius: 8px;
+            padding: 10px 15px;
+            margin-bottom: 10px;
+        }
+        .branch-default {
+            border-style: solid;
+            border-color: var(--accent);
+        }
+        .branch > summary {
+            cursor: pointer;
+            color: var(--text-muted);
+            font-size: 14px;
+            margin-bottom: 10px;
+        }
+        .footer {
+            margin-top: 30px;
+            padding-top: 20px;
+            border-top: 1px solid var(--border);
+        }
+        .footer-stats {
+            text-align: center;
+            color: var(--text-muted);
+            font-size: 14px;
+            margin-bottom: 15px;
+        }
+        .navigation {
+            display: flex;
+            justify-content: space-between;
+            align-items: center;
+            font-size: 12px;
+            color: var(--text-faint);
+        }
+        .nav-info {
+            font-style: italic;
+        }
+        .nav-prev,
+        .nav-next {
+            max-width: 30%;
+            overflow: hidden;
+            text-overflow: ellipsis;
+            white-space: nowrap;
+            font-size: 14px;
+        }
+        .keyboard-help {
+            margin-top: 10px;
+            text-align: center;
+            font-size: 12px;
+            color: var(--text-faint);
+        }
+        kbd {
+            padding: 0 4px;
+            border: 1px solid var(--border);
+            border-radius: 3px;
+            font-family: inherit;
+        }
+        a {
+            color: var(--accent);
+            text-decoration: none;
+        }
+        a:hover {
+            text-decoration: underline;
+        }
+        @page {
+            margin: 18mm 15mm;
+            @bottom-right {
+                content: counter(page) " / " counter(pages);
+                font-size: 9pt;
+                color: #888;
+            }
+        }
+        @media print {
+            body {
+                padding: 0;
+                background: none;
+                font-size: 11pt;
+            }
+            .container {
+                max-width: none;
+                padding: 0;
+                box-shadow: none;
+                border-radius: 0;
+            }
+            .theme-toggle,
+            .copy-btn,
+            .permalink-btn,
+            .toc,
+            .keyboard-help,
+            .navigation,
+            .branch:not(.branch-default),
+            .branch > summary {
+                display: none;
+            }
+            .branch {
+                border: none;
+                padding: 0;
+            }
+            .message:target .chat-message {
+                box-shadow: none;
+            }
+            .message-header,
+            h1, h2, h3 {
+                break-after: avoid;
+            }
+            pre,
+            .code-block,
+            table,
+            blockquote,
+            .math-display {
+                break-inside: avoid;
+            }
+            pre {
+                white-space: pre-wrap;
+                word-break: break-word;
+            }
+            .message-content a[href^="http"]::after {
+                content: " (" attr(href) ")";
+                color: var(--text-faint);
+                font-size: 0.85em;
+                word-break: break-all;
+            }
+        }`;
+    }
+
+    getStylesheet() {
+        const rules = `${this.getCSS()}\n${this.getIndexCSS()}\n${this.getStatsCSS()}\n${this.getDiffCSS()}`.replace(/^ {8}/gm, '').trim();
+        return `/* Generated by DeepSeek Formatter. Override the variables in a --theme file. */\n${buildThemeCSS(THEMES)}\n${rules}\n`;
+    }
+
+    getStyleLinks() {
+        // The saved theme is applied before the page paints, so there is no flash of the other one
+        return `<link rel="stylesheet" href="${STYLESHEET_FILE}">${this.themeFile ? `
+    <link rel="stylesheet" href="${THEME_FILE}">` : ''}
+    <script>
+        try {
+            const theme = localStorage.getItem('${THEME_STORAGE_KEY}');
+            if (theme) document.documentElement.dataset.theme = theme;
+        } catch (error) {}
+    </script>`;
+    }
+
+    getPrintHeader(title, date) {
+        // Running header on every printed page (CSS paged media margin boxes)
+        return `<style>
+        @page {
+            @top-left { content: ${cssString(title)}; font-size: 9pt; color: #888; }
+            @top-right { content: ${cssString(date)}; font-size: 9pt; color: #888; }
+        }
+    </style>`;
+    }
+
+    getThemeToggle() {
+        return '<button type="button" class="theme-toggle" id="theme-toggle" title="Switch between automatic, light and dark theme">Theme</button>';
+    }
+
+    getThemeScript() {
+        // Cycles automatic (follow the system) -> light -> dark, remembered across pages
+        return `
+        (function () {
+            const button = document.getElementById('theme-toggle');
+            const root = document.documentElement;
+            const themes = ['', 'light', 'dark'];
+            const labels = { '': 'Auto', light: 'Light', dark: 'Dark' };
+
+            function show() {
+                button.textContent = '◐ ' + labels[root.dataset.theme || ''];
+            }
+
+            button.addEventListener('click', () => {
+                const next = themes[(themes.indexOf(root.dataset.theme || '') + 1) % themes.length];
+                if (next) root.dataset.theme = next;
+                else delete root.dataset.theme;
+                try {
+                    if (next) localStorage.setItem('${THEME_STORAGE_KEY}', next);
+                    else localStorage.removeItem('${THEME_STORAGE_KEY}');
+                } catch (error) {}
+                show();
+            });
+            show();
+        })();`;
+    }
+
+    getScript() {
+        // Inline so pages keep working when opened straight from disk
+        return `
+        function copyText(text, done) {
+            const fallback = () => {
+                const textarea = document.createElement('textarea');
+                textarea.value = text;
+                document.body.appendChild(textarea);
+                textarea.select();
+                document.execCommand('copy');
+                textarea.remove();
+                done();
+            };
+            if (navigator.clipboard && window.isSecureContext) {
+                navigator.clipboard.writeText(text).then(done, fallback);
+            } else {
+                fallback();
+            }
+        }
+
+        function copyCode(button) {
+            const code = button.closest('.code-block').querySelector('pre code').innerText;
+            copyText(code, () => {
+                button.textContent = 'Copied!';
+                setTimeout(() => { button.textContent = 'Copy'; }, 1500);
+            });
+        }
+
+        // Element id named by a link's #fragment. Ids are encoded in links, but a
+        // typed or shared address may hold a stray "%", which is then taken as is.
+        function fragmentId(hash) {
+            const id = hash.slice(1);
+            try {
+                return decodeURIComponent(id);
+            } catch {
+                return id;
+            }
+        }
+
+        // Permalinks use the message's node id, which stays the same in later exports
+        function copyLink(button) {
+            const id = button.closest('.message').id;
+            history.replaceState(null, '', '#' + encodeURIComponent(id));
+            copyText(location.href, () => {
+                button.textContent = '✓';
+                setTimeout(() => { button.textContent = '🔗'; }, 1500);
+            });
+        }
+
+        // Open collapsed branches around a linked message so the anchor is visible
+        function revealTarget() {
+            const target = location.hash && document.getElementById(fragmentId(location.hash));
+            if (!target) return;
+            for (let el = target.parentElement; el; el = el.parentElement) {
+                if (el.tagName === 'DETAILS') el.open = true;
+            }
+            target.scrollIntoView();
+        }
+        window.addEventListener('hashchange', revealTarget);
+        revealTarget();
+
+        // j / k step through the messages that are not hidden in a collapsed
+        // branch, n / p open the next and previous conversation
+        function visibleMessages() {
+            return Array.from(document.querySelectorAll('.message')).filter(el => el.getClientRects().length > 0);
+        }
+
+        function stepMessage(direction) {
+            const messages = visibleMessages();
+            if (messages.length === 0) return;
+            // The current message is the last one whose top has scrolled past the top of the window
+            let current = -1;
+            messages.forEach((el, i) => {
+                if (el.getBoundingClientRect().top <= 1) current = i;
+            });
+            if (direction < 0 && current >= 0 && messages[current].getBoundingClientRect().top < -1) current++;
+            const target = messages[Math.min(Math.max(current + direction, 0), messages.length - 1)];
+            history.replaceState(null, '', '#' + encodeURIComponent(target.id));
+            document.querySelectorAll('.message.current').forEach(el => el.classList.remove('current'));
+            target.classList.add('current');
+            target.scrollIntoView();
+        }
+
+        document.addEventListener('keydown', (event) => {
+            if (event.ctrlKey || event.metaKey || event.altKey || event.isComposing) return;
+            if (event.target.closest && event.target.closest('input, textarea, select, [contenteditable]')) return;
+            if (event.key === 'j') {
+                stepMessage(1);
+            } else if (event.key === 'k') {
+                stepMessage(-1);
+            } else if (event.key === 'n' || event.key === 'p') {
+                const link = document.querySelector(event.key === 'n' ? 'a[rel="next"]' : 'a[rel="prev"]');
+                if (link) location.href = link.href;
+            }
+        });
+
+        // The contents stay open beside the conversation on wide screens and
+        // mark the request being read
+        const toc = document.getElementById('toc');
+        if (toc) {
+            if (window.matchMedia('(min-width: 1300px)').matches) toc.open = true;
+            const links = new Map(Array.from(toc.querySelectorAll('a')).map(a => [fragmentId(a.hash), a]));
+            if ('IntersectionObserver' in window) {
+                const observer = new IntersectionObserver((entries) => {
+                    entries.forEach(entry => {
+                        if (!entry.isIntersecting) return;
+                        links.forEach(a => a.classList.remove('active'));
+                        links.get(entry.target.id).classList.add('active');
+                    });
+                }, { rootMargin: '0px 0px -70% 0px' });
+                links.forEach((a, id) => {
+                    const target = document.getElementById(id);
+                    if (target) observer.observe(target);
+                });
+            }
+        }
+
+        // Print reasoning expanded, then put the panels back as they were
+        let closedPanels = [];
+        window.addEventListener('beforeprint', () => {
+            closedPanels = Array.from(document.querySelectorAll('.reasoning-panel:not([open])'));
+            closedPanels.forEach(panel => { panel.open = true; });
+        });
+        window.addEventListener('afterprint', () => {
+            closedPanels.forEach(panel => { panel.open = false; });
+        });`;
+    }
+
+    renderIndex(conversations, { stats, profile }) {
+        const owner = this.describeProfile(profile);
+        const providers = [...new Set(conversations.map(conv => conv.provider || 'deepseek'))];
+        const archived = conversations.filter(conv => conv.archived).length;
+        
+        let html = `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>DeepSeek Conversations Index</title>
+    ${this.getStyleLinks()}
+</head>
+<body class="index-page">
+    ${this.getThemeToggle()}
+    <div class="container">
+        <div class="header">
+            <h1>DeepSeek Conversations</h1>
+            <div class="subtitle">Sorted by date (newest first) • ${conversations.length} conversations${archived > 0 ? ` (${archived} only in older exports)` : ''} • <a href="${this.getStatsFileName()}">📈 Statistics</a></div>${owner ? `
+            <div class="owner">Export of ${escapeHtml(owner)}</div>` : ''}
+        </div>
+        
+        <div class="sort-info">
+            <span class="sort-badge" id="sort-label">📅 Sorted by date</span>
+            <span class="sort-order" id="sort-order">Most recent first</span>
+            <span class="index-controls">${providers.length > 1 ? `
+                <select id="provider-filter" class="provider-filter">
+                    <option value="">All providers</option>${providers.map(provider => `
+                    <option value="${escapeHtml(provider)}">${escapeHtml(this.describeProvider(provider))}</option>`).join('')}
+                </select>` : ''}
+                <select id="group-by" class="group-by" hidden>
+                    <option value="">No grouping</option>
+                    <option value="month">Group by month</option>
+                    <option value="year">Group by year</option>
+                </select>
+            </span>
+        </div>
+        
+        <div class="search" id="search">
+            <input type="search" id="search-query" placeholder="Search all messages..." autocomplete="off">
+            <div class="search-filters">
+                <label>From <input type="date" id="search-from"></label>
+                <label>To <input type="date" id="search-to"></label>
+                <select id="search-role">
+                    <option value="all">Requests and responses</option>
+                    <option value="q">Requests only</option>
+                    <option value="a">Responses only</option>
+                </select>
+            </div>
+            <div class="search-status" id="search-status"></div>
+            <ol class="search-results" id="search-results" hidden></ol>
+            <button type="button" class="search-more" id="search-more" hidden>Show more results</button>
+        </div>
+        
+        <div id="conversations">
+        <table class="conversations-table" id="conversations-table">
+            <thead>
+                <tr>
+                    <th width="60"><button type="button" class="sort-btn" data-sort="number">#</button></th>
+                    <th width="110"><button type="button" class="sort-btn" data-sort="created">Created</button></th>
+                    <th width="110"><button type="button" class="sort-btn" data-sort="updated">Updated</button></th>
+                    <th width="90">Provider</th>
+                    <th><button type="button" class="sort-btn" data-sort="title">Title</button></th>
+                    <th width="90"><button type="button" class="sort-btn" data-sort="messages">Messages</button></th>
+                    <th width="90"><button type="button" class="sort-btn" data-sort="length">Length</button></th>
+                </tr>
+            </thead>
+            <tbody>`;
+
+        // Sortable copies of the dates; unknown or invalid dates sort last
+        const sortableDate = (value) => Number.isNaN(Date.parse(value)) ? '' : formatTimestamp(value);
+
+        for (const conv of conversations) {
+            const fileName = this.getFileName(conv);
+            const title = conv.title || `Conversation ${conv.number}`;
+            
+            html += `
+                <tr data-number="${conv.number}" data-created="${sortableDate(conv.created)}" data-updated="${sortableDate(conv.date)}" data-title="${escapeHtml(title)}" data-messages="${conv.messageCount}" data-length="${conv.characters || 0}" data-provider="${escapeHtml(conv.provider || 'deepseek')}"${conv.archived ? ' data-archived' : ''}>
+                    <td class="number">${conv.number}</td>
+                    <td class="date">${formatTimestamp(conv.created)}</td>
+                    <td class="date">${formatTimestamp(conv.date)}</td>
+                    <td class="provider">${escapeHtml(this.describeProvider(conv.provider))}</td>
+                    <td class="title">
+                        <a href="${fileName}">${escapeHtml(title)}</a>${conv.archived ? `
+                        <span class="archived-badge" title="${this.describeArchived(conv)}">archived</span>` : ''}
+                        <div class="conversation-id">${escapeHtml(conv.id)}</div>${conv.firstRequest ? `
+                        <div class="preview preview-request">${escapeHtml(conv.firstRequest)}</div>` : ''}${conv.lastResponse ? `
+                        <div class="preview preview-response">${escapeHtml(conv.lastResponse)}</div>` : ''}
+                    </td>
+                    <td class="messages">${conv.messageCount}</td>
+                    <td class="length">${this.formatLength(conv.characters || 0)}</td>
+                </tr>`;
+        }
+
+        html += `
+            </tbody>
+        </table>
+        <div class="pager" id="pager" hidden>
+            <button type="button" id="page-prev">‹ Previous</button>
+            <span id="page-status"></span>
+            <button type="button" id="page-next">Next ›</button>
+        </div>
+        </div>
+        
+        <div class="footer">
+            <div class="stats">
+                Generated: ${new Date().toLocaleString()}<br>
+                Total conversations: ${conversations.length} • Total messages: ${stats.totalMessages}
+            </div>
+            <div class="legend">
+                <span class="legend-item"><span class="legend-color request"></span> User requests (red)</span>
+                <span class="legend-item"><span class="legend-color response"></span> AI responses (green)</span>
+            </div>
+        </div>
+    </div>
+    <script src="${SEARCH_INDEX_FILE}"></script>
+    <script>
+        ${this.getTableScript()}
+        ${this.getIndexScript()}
+        ${this.getThemeScript()}
+    </script>
+</body>
+</html>`;
+
+        return html;
+    }
+
+    renderStats(report, conversations) {
+        const { totals, averages, activity, reasoning, codeLanguages, longestConversations } = report;
+        const byNumber = new Map(conversations.map(conv => [conv.number, conv]));
+        const count = value => value.toLocaleString('en-US');
+
+        const cards = [
+            ['Conversations', count(totals.conversations)],
+            ['Messages', count(totals.messages)],
+            ['Active days', count(Object.keys(activity.daily).length)],
+            ['Estimated tokens', `~${count(totals.estimatedTokens)}`],
+            ['Average prompt', `${count(averages.requestCharacters)} chars • ~${count(averages.requestTokens)} tokens`],
+            ['Average response', `${count(averages.responseCharacters)} chars • ~${count(averages.responseTokens)} tokens`]
+        ];
+
+        const reasoningMonths = monthSeries(reasoning.monthly).map(({ key, label }) => {
+            const month = reasoning.monthly[key] || { reasoning: 0, answers: 0 };
+            return { key, label, values: [month.answers, month.reasoning] };
+        });
+
+        let html = `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>DeepSeek Conversations Statistics</title>
+    ${this.getStyleLinks()}
+</head>
+<body class="stats-page">
+    ${this.getThemeToggle()}
+    <div class="container">
+        <div class="header">
+            <h1>Statistics</h1>
+            <div class="subtitle"><a href="${this.getIndexFileName()}">← All conversations</a> • Token counts are estimates (about 4 characters, or 1 CJK character, per token)</div>
+        </div>
+
+        <div class="stat-cards">${cards.map(([label, value]) => `
+            <div class="stat-card"><div class="stat-value">${value}</div><div class="stat-label">${label}</div></div>`).join('')}
+        </div>
+
+        <h2>Activity</h2>${renderHeatmap(activity.daily)}
+            <div class="heat-legend">Less <svg width="70" height="11">${[0, 1, 2, 3, 4].map(level => `<rect x="${level * 14}" width="11" height="11" rx="2" class="heat-${level}"/>`).join('')}</svg> More</div>
+        ${renderColumns(monthSeries(activity.monthly), { title: 'Messages per month' })}
+        ${renderColumns(weekSeries(activity.weekly, activity.daily), { title: 'Messages per week' })}
+
+        <h2>Reasoning and answers</h2>`;
+
+        if (reasoning.fragments > 0) {
+            html += `
+        <p class="stats-note">${count(reasoning.fragments)} reasoning blocks in ${count(reasoning.conversations)} conversations •
+            ${count(reasoning.characters)} characters of reasoning for ${count(reasoning.answerCharacters)} characters of answers (${reasoning.ratio}×)</p>
+        <div class="chart-legend"><span class="legend-swatch answers"></span> Answers <span class="legend-swatch reasoning"></span> Reasoning</div>
+        ${renderColumns(reasoningMonths, { title: 'Characters per month', series: ['answers', 'reasoning'], unit: 'characters' })}`;
+        } else {
+            html += `
+        <p class="stats-note">No reasoning in these conversations.</p>`;
+        }
+
+        html += `
+
+        <h2>Code languages</h2>
+        ${renderBars(codeLanguages.map(({ language, blocks }) => ({ label: language, value: blocks })), { title: 'Fenced code blocks in responses', unit: 'blocks' })}
+
+        <h2>Longest conversations</h2>
+        ${renderBars(longestConversations.map(entry => {
+            const conv = byNumber.get(entry.number);
+            return {
+                label: entry.title || `Conversation ${entry.number}`,
+                value: entry.characters,
+                href: conv ? this.getFileName(conv) : null
+            };
+        }), { title: 'Characters of prompts and responses', unit: 'characters' })}
+
+        <div class="footer">
+            <div class="stats">
+                Generated: ${new Date().toLocaleString()} • Raw data in stats.json
+            </div>
+        </div>
+    </div>
+    <script>
+        ${this.getThemeScript()}
+    </script>
+</body>
+</html>`;
+
+        return html;
+    }
+
+    renderDiff(diff) {
+        const { before, after } = diff;
+        const count = value => value.toLocaleString('en-US');
+        const describe = conv => `${formatTimestamp(conv.date)} • ${conv.messageCount} messages`;
+        const list = (conversations) => conversations.length === 0 ? `
+        <p class="stats-note">None.</p>` : `
+        <ul class="diff-list">${conversations.map(conv => `
+            <li><span class="diff-title">${escapeHtml(conv.title || 'Untitled')}</span> <span class="diff-meta">${describe(conv)}</span></li>`).join('')}
+        </ul>`;
+
+        const cards = [
+            ['New conversations', count(diff.added.length)],
+            ['Removed conversations', count(diff.removed.length)],
+            ['Renamed', count(diff.renamed.length)],
+            ['With new or changed messages', count(diff.changed.length)],
+            ['Unchanged', count(diff.unchanged)]
+        ];
+
+        let html = `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>DeepSeek Conversations: Changes</title>
+    ${this.getStyleLinks()}
+</head>
+<body class="diff-page">
+    ${this.getThemeToggle()}
+    <div class="container">
+        <div class="header">
+            <h1>Changes between exports</h1>
+            <div class="subtitle">${escapeHtml(before.file)} (${count(before.conversations)} conversations) → ${escapeHtml(after.file)} (${count(after.conversations)} conversations)</div>
+        </div>
+
+        <div class="stat-cards">${cards.map(([label, value]) => `
+            <div class="stat-card"><div class="stat-value">${value}</div><div class="stat-label">${label}</div></div>`).join('')}
+        </div>
+
+        <h2>New conversations</h2>${list(diff.added)}
+
+        <h2>Removed conversations</h2>${list(diff.removed)}
+
+        <h2>Renamed conversations</h2>${diff.renamed.length === 0 ? `
+        <p class="stats-note">None.</p>` : `
+        <ul class="diff-list">${diff.renamed.map(({ before: previous, after: current }) => `
+            <li><del>${escapeHtml(previous.title || 'Untitled')}</del> → <ins>${escapeHtml(current.title || 'Untitled')}</ins></li>`).join('')}
+        </ul>`}
+
+        <h2>Changed conversations</h2>`;
+
+        if (diff.changed.length === 0) {
+            html += `
+        <p class="stats-note">None.</p>`;
+        }
+        for (const conversation of diff.changed) {
+            const { added, changed, removed } = conversation.counts;
+            const changes = [[added, 'new'], [changed, 'changed'], [removed, 'removed']]
+                .filter(([value]) => value > 0)
+                .map(([value, label]) => `${value} ${label}`);
+
+            html += `
+        <details class="diff-conversation" open>
+            <summary><span class="diff-title">${escapeHtml(conversation.after.title || 'Untitled')}</span> <span class="diff-meta">${changes.join(' • ')} messages</span></summary>${conversation.renamed ? `
+            <p class="diff-meta">Renamed from <del>${escapeHtml(conversation.before.title || 'Untitled')}</del></p>` : ''}`;
+            for (const message of conversation.messages) {
+                html += this.renderDiffMessage(message);
+            }
+            html += `
+        </details>`;
+        }
+
+        html += `
+
+        <div class="footer">
+            <div class="stats">
+                Generated: ${new Date().toLocaleString()} • Messages are matched by their id in the export
+            </div>
+        </div>
+    </div>
+    <script>
+        ${this.getThemeScript()}
+    </script>
+</body>
+</html>`;
+
+        return html;
+    }
+
+    renderDiffMessage(message) {
+        // Fragments left as they were are skipped; edited text is marked word by word
+        const classNames = { REQUEST: 'request', RESPONSE: 'response', THINK: 'reasoning', SEARCH: 'search' };
+        const labels = { added: 'new', removed: 'removed', changed: 'changed' };
+        const time = formatTimestamp(message.time || 'unknown');
+
+        return message.fragments
+            .filter(fragment => fragment.status !== 'same')
+            .map(fragment => {
+                const body = fragment.status === 'changed'
+                    ? `<div class="message-content diff-text">${fragment.parts.map(part => {
+                        if (part.type === 'added') return `<ins>${escapeHtml(part.text)}</ins>`;
+                        if (part.type === 'removed') return `<del>${escapeHtml(part.text)}</del>`;
+                        return escapeHtml(part.text);
+                    }).join('')}</div>`
+                    : `<div class="message-content">${this.formatContent(fragment.content)}</div>`;
+                const header = `${escapeHtml(this.getFragmentLabel(fragment.type, message.messageNumber))} <span class="diff-status diff-${fragment.status}">${labels[fragment.status]}</span>`;
+
+                return this.renderMessageBlock(`${classNames[fragment.type] || 'unknown'} diff-${fragment.status}`, header, time, body);
+            })
+            .join('');
+    }
+
+    formatLength(characters) {
+        return characters >= 1000 ? `${(characters / 1000).toFixed(1)}k` : String(characters);
+    }
+
+    getTableScript() {
+        // Sorting, grouping and paging work on the server-rendered rows, so the
+        // table still lists everything without JavaScript. No template syntax
+        // inside: this source sits inside a template literal.
+        return `
+        (function () {
+            const body = document.getElementById('conversations-table').tBodies[0];
+            const rows = Array.from(body.rows);
+            const buttons = Array.from(document.querySelectorAll('.sort-btn'));
+            const provider = document.getElementById('provider-filter');
+            const groupBy = document.getElementById('group-by');
+            const pager = document.getElementById('pager');
+            const prev = document.getElementById('page-prev');
+            const next = document.getElementById('page-next');
+            const pageStatus = document.getElementById('page-status');
+            const sortLabel = document.getElementById('sort-label');
+            const sortOrder = document.getElementById('sort-order');
+            const PAGE_SIZE = 100;
+            const LABELS = {
+                number: ['📅 Sorted by date', 'Most recent first', 'Oldest first'],
+                created: ['📅 Sorted by creation date', 'Newest first', 'Oldest first'],
+                updated: ['📅 Sorted by last update', 'Newest first', 'Oldest first'],
+                title: ['🔤 Sorted by title', 'Z to A', 'A to Z'],
+                messages: ['💬 Sorted by message count', 'Most first', 'Fewest first'],
+                length: ['📏 Sorted by length', 'Longest first', 'Shortest first']
+            };
+            const collapsed = new Set();
+            const headers = new Map();
+            let printing = false;
+            let sortKey = 'number';
+            let descending = false;
+            let page = 0;
+
+            function value(row, key) {
+                if (key === 'title') return row.dataset.title.toLowerCase();
+                if (key === 'created' || key === 'updated') return row.dataset[key];
+                return Number(row.dataset[key]);
+            }
+
+            function compare(a, b) {
+                const x = value(a, sortKey);
+                const y = value(b, sortKey);
+                if (x === y) return Number(a.dataset.number) - Number(b.dataset.number);
+                if (x === '') return 1;
+                if (y === '') return -1;
+                const order = typeof x === 'string' ? x.localeCompare(y) : x - y;
+                return descending ? -order : order;
+            }
+
+            function groupKey(row) {
+                const date = sortKey === 'created' ? row.dataset.created : row.dataset.updated;
+                if (!date) return 'Unknown date';
+                return groupBy.value === 'year' ? date.slice(0, 4) : date.slice(0, 7);
+            }
+
+            function groupHeader(key, count) {
+                if (!headers.has(key)) {
+                    const row = document.createElement('tr');
+                    row.className = 'group-header';
+                    row.innerHTML = '<th colspan="7"><button type="button"></button></th>';
+                    row.querySelector('button').addEventListener('click', () => {
+                        if (collapsed.has(key)) collapsed.delete(key);
+                        else collapsed.add(key);
+                        render();
+                    });
+                    headers.set(key, row);
+                }
+                const row = headers.get(key);
+                const button = row.querySelector('button');
+                button.textContent = (collapsed.has(key) ? '▸ ' : '▾ ') + key + ' · ' + count + ' conversation' + (count === 1 ? '' : 's');
+                button.setAttribute('aria-expanded', String(!collapsed.has(key)));
+                return row;
+            }
+
+            function render() {
+                const visible = rows
+                    .filter(row => !provider || !provider.value || row.dataset.provider === provider.value)
+                    .sort(compare);
+
+                let items = visible;
+                if (groupBy.value) {
+                    const groups = new Map();
+                    visible.forEach(row => {
+                        const key = groupKey(row);
+                        if (!groups.has(key)) groups.set(key, []);
+                        groups.get(key).push(row);
+                    });
+                    // Newest group first; rows inside keep the chosen sort
+                    const keys = Array.from(groups.keys()).sort((a, b) => a === 'Unknown date' ? 1 : b === 'Unknown date' ? -1 : b.localeCompare(a));
+                    items = [];
+                    keys.forEach(key => {
+                        items.push(groupHeader(key, groups.get(key).length));
+                        if (!collapsed.has(key)) items.push.apply(items, groups.get(key));
+                    });
+                }
+
+                // Printing shows every row, not just the current page
+                const size = printing ? Math.max(items.length, 1) : PAGE_SIZE;
+                const pages = Math.max(1, Math.ceil(items.length / size));
+                if (!printing) page = Math.min(page, pages - 1);
+                const shown = printing ? 0 : page;
+                body.replaceChildren.apply(body, items.slice(shown * size, (shown + 1) * size));
+
+                pager.hidden = pages === 1;
+                prev.disabled = shown === 0;
+                next.disabled = shown === pages - 1;
+                pageStatus.textContent = 'Page ' + (shown + 1) + ' of ' + pages + ' • ' + visible.length + ' conversations';
+
+                const labels = LABELS[sortKey];
+                sortLabel.textContent = labels[0];
+                sortOrder.textContent = (sortKey === 'number' ? !descending : descending) ? labels[1] : labels[2];
+                buttons.forEach(button => {
+                    const th = button.parentElement;
+                    if (button.dataset.sort === sortKey) th.setAttribute('aria-sort', descending ? 'descending' : 'ascending');
+                    else th.removeAttribute('aria-sort');
+                });
+            }
+
+            buttons.forEach(button => button.addEventListener('click', () => {
+                const key = button.dataset.sort;
+                if (key === sortKey) {
+                    descending = !descending;
+                } else {
+                    sortKey = key;
+                    // Numbers count from the newest conversation; titles read A to Z; the rest start high
+                    descending = key !== 'number' && key !== 'title';
+                }
+                page = 0;
+                render();
+            }));
+            groupBy.hidden = false;
+            groupBy.addEventListener('change', () => { page = 0; render(); });
+            if (provider) provider.addEventListener('change', () => { page = 0; render(); });
+            prev.addEventListener('click', () => { page--; render(); window.scrollTo(0, 0); });
+            next.addEventListener('click', () => { page++; render(); window.scrollTo(0, 0); });
+            window.addEventListener('beforeprint', () => { printing = true; render(); });
+            window.addEventListener('afterprint', () => { printing = false; render(); });
+            render();
+        })();`;
+    }
+
+    getIndexScript() {
+        // Plain string concatenation only: this source sits inside a template literal
+        return `
+        (function () {
+            const messages = window.SEARCH_MESSAGES;
+            const postings = window.SEARCH_TERMS;
+            const conversations = window.SEARCH_CONVERSATIONS;
+            const panel = document.getElementById('search');
+            const provider = document.getElementById('provider-filter');
+            if (!messages || !postings || !conversations) {
+                panel.hidden = true;
+                return;
+            }
+
+            const query = document.getElementById('search-query');
+            const from = document.getElementById('search-from');
+            const to = document.getElementById('search-to');
+            const role = document.getElementById('search-role');
+            const status = document.getElementById('search-status');
+            const results = document.getElementById('search-results');
+            const more = document.getElementById('search-more');
+            const table = document.getElementById('conversations');
+            const PAGE_SIZE = 50;
+            const TOKEN_PATTERN = new RegExp(${JSON.stringify(TOKEN_PATTERN.source)}, 'gu');
+            const MAX_TOKEN_LENGTH = ${MAX_TOKEN_LENGTH};
+            const COUNT_BASE = ${MAX_TOKEN_COUNT + 1};
+            // Snippet text arrives per conversation (see loadText)
+            const texts = window.SEARCH_TEXT = window.SEARCH_TEXT || {};
+            const loading = {};
+            let vocabulary = null;
+            let firstMessage = null;
+            let hits = [];
+            let terms = [];
+            let shown = 0;
+            let rendering = Promise.resolve();
+            let generation = 0;
+
+            function escapeHtml(text) {
+                return text.replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#039;' })[c]);
+            }
+
+            function escapeRegExp(text) {
+                return text.replace(/[.*+?^\${}()|[\\]\\\\]/g, '\\\\$&');
+            }
+
+            function encodePath(file) {
+                return file.split('/').map(encodeURIComponent).join('/');
+            }
+
+            function formatTime(seconds) {
+                return seconds ? new Date(seconds * 1000).toISOString().slice(0, 16).replace('T', ' ') : '';
+            }
+
+            function tokenize(text) {
+                return (text.toLowerCase().match(TOKEN_PATTERN) || []).map(token => token.slice(0, MAX_TOKEN_LENGTH));
+            }
+
+            function snippet(text) {
+                const lower = text.toLowerCase();
+                const positions = terms.map(t => lower.indexOf(t)).filter(p => p >= 0);
+                const first = positions.length ? Math.min.apply(null, positions) : 0;
+                const start = Math.max(0, first - 80);
+                const end = Math.min(text.length, first + 200);
+                const piece = text.slice(start, end);
+                const pattern = new RegExp('(' + terms.map(escapeRegExp).join('|') + ')', 'gi');
+                const marked = piece.split(pattern).map((part, i) => i % 2 ? '<mark>' + escapeHtml(part) + '</mark>' : escapeHtml(part)).join('');
+                return (start > 0 ? '... ' : '') + marked + (end < text.length ? ' ...' : '');
+            }
+
+            function lookup(term) {
+                // Message index -> count of every indexed token the term starts
+                if (!vocabulary) vocabulary = Object.keys(postings).sort();
+                let low = 0;
+                let high = vocabulary.length;
+                while (low < high) {
+                    const middle = (low + high) >> 1;
+                    if (vocabulary[middle] < term) low = middle + 1;
+                    else high = middle;
+                }
+                const counts = new Map();
+                for (let i = low; i < vocabulary.length && vocabulary[i].startsWith(term); i++) {
+                    // Postings are stored as differences from the previous one
+                    let posting = 0;
+                    for (const delta of postings[vocabulary[i]]) {
+                        posting += delta;
+                        const index = Math.floor(posting / COUNT_BASE);
+                        counts.set(index, (counts.get(index) || 0) + posting % COUNT_BASE);
+                    }
+                }
+                return counts;
+            }
+
+            function loadText(number) {
+                // A script tag, as pages opened from file:// cannot fetch(); a missing file only costs the snippet
+                if (!loading[number]) {
+                    loading[number] = new Promise(resolve => {
+                        const conversation = conversations[number];
+                        if (!conversation || texts[number]) return resolve();
+                        const script = document.createElement('script');
+                        script.src = encodePath(conversation[4]);
+                        script.onload = script.onerror = () => resolve();
+                        document.head.appendChild(script);
+                    });
+                }
+                return loading[number];
+            }
+
+            function textOf(index) {
+                // Each conversation's messages are listed together, in the order of its text file
+                if (!firstMessage) {
+                    firstMessage = {};
+                    messages.forEach((message, i) => {
+                        if (!(message[0] in firstMessage)) firstMessage[message[0]] = i;
+                    });
+                }
+                const number = messages[index][0];
+                return (texts[number] || [])[index - firstMessage[number]] || '';
+            }
+
+            function search() {
+                terms = tokenize(query.value).filter((term, i, all) => all.indexOf(term) === i);
+                generation++;
+                if (terms.length === 0) {
+                    results.hidden = true;
+                    more.hidden = true;
+                    status.textContent = '';
+                    table.hidden = false;
+                    return;
+                }
+
+                // Every term must match; a word counts at most ten times
+                let matches = null;
+                for (const term of terms) {
+                    const counts = lookup(term);
+                    const next = new Map();
+                    counts.forEach((count, index) => {
+                        if (!matches || matches.has(index)) next.set(index, (matches ? matches.get(index) : 0) + Math.min(count, 10));
+                    });
+                    matches = next;
+                }
+
+                const fromTime = from.value ? Date.parse(from.value) / 1000 : -Infinity;
+                const toTime = to.value ? Date.parse(to.value) / 1000 + 86400 : Infinity;
+                hits = [];
+                matches.forEach((total, index) => {
+                    const message = messages[index];
+                    if (role.value !== 'all' && message[2] !== role.value) return;
+                    if (provider && provider.value && (conversations[message[0]] || [])[3] !== provider.value) return;
+                    if (message[3] && (message[3] < fromTime || message[3] >= toTime)) return;
+                    // Matching titles rank above scattered words
+                    const title = (conversations[message[0]] || [''])[0].toLowerCase();
+                    if (terms.some(t => title.indexOf(t) !== -1)) total += 5;
+                    hits.push({ index, score: total });
+                });
+                hits.sort((a, b) => b.score - a.score || messages[b.index][3] - messages[a.index][3]);
+
+                status.textContent = hits.length + ' matching message' + (hits.length === 1 ? '' : 's');
+                results.innerHTML = '';
+                results.hidden = false;
+                table.hidden = true;
+                shown = 0;
+                showMore();
+            }
+
+            function showMore() {
+                const page = hits.slice(shown, shown + PAGE_SIZE);
+                const current = generation;
+                shown += page.length;
+                more.hidden = shown >= hits.length;
+
+                // Pages are added in order, each once the snippet text of its conversations is in
+                rendering = rendering.then(() => Promise.all(page.map(hit => loadText(messages[hit.index][0])))).then(() => {
+                    if (current !== generation) return;
+                    const items = page.map(hit => {
+                        const message = messages[hit.index];
+                        const conversation = conversations[message[0]] || ['Conversation ' + message[0], '', ''];
+                        const href = encodePath(conversation[1]) + '#' + encodeURIComponent(message[1]);
+                        return '<li>'
+                            + '<a class="search-title" href="' + escapeHtml(href) + '">' + escapeHtml(conversation[0]) + '</a>'
+                            + '<span class="search-role ' + message[2] + '">' + (message[2] === 'q' ? 'Request' : 'Response') + '</span>'
+                            + '<span class="search-date">' + formatTime(message[3]) + '</span>'
+                            + '<div class="search-snippet">' + snippet(textOf(hit.index)) + '</div>'
+                            + '</li>';
+                    });
+                    results.insertAdjacentHTML('beforeend', items.join(''));
+                });
+            }
+
+            let timer = null;
+            query.addEventListener('input', () => {
+                clearTimeout(timer);
+                timer = setTimeout(search, 150);
+            });
+            [from, to, role, provider].filter(Boolean).forEach(el => el.addEventListener('change', search));
+            more.addEventListener('click', showMore);
+        })();`;
+    }
+
+    getIndexCSS() {
+        // Index rules are scoped to .index-page where conversation pages use the same class names
+        return `
+        .index-page .container {
+            max-width: 1200px;
+            border-radius: 12px;
+        }
+        .index-page .header {
+            text-align: center;
+            padding-bottom: 20px;
+        }
+        .index-page h1 {
+            color: var(--accent);
+            margin: 0 0 10px 0;
+        }
+        .subtitle {
+            color: var(--text-muted);
+            font-size: 16px;
+        }
+        .subtitle a {
+            color: var(--accent);
+        }
+        .owner {
+            color: var(--text-faint);
+            font-size: 14px;
+            margin-top: 5px;
+        }
+        .sort-info {
+            display: flex;
+            justify-content: space-between;
+            align-items: center;
+            background: var(--surface-alt);
+            padding: 10px 15px;
+            border-radius: 6px;
+            margin-bottom: 20px;
+        }
+        .sort-badge {
+            background: var(--accent);
+            color: var(--accent-contrast);
+            padding: 5px 10px;
+            border-radius: 4px;
+            font-weight: bold;
+        }
+        .sort-order {
+            color: var(--text-muted);
+            font-style: italic;
+        }
+        .provider-filter,
+        .search-filters select,
+        .search-filters input {
+            background: var(--surface);
+            color: var(--text);
+            padding: 4px 8px;
+            border: 1px solid var(--border);
+            border-radius: 4px;
+        }
+        .index-page .search {
+            margin-bottom: 20px;
+        }
+        #search-query {
+            width: 100%;
+            box-sizing: border-box;
+            padding: 10px 15px;
+            font-size: 16px;
+            background: var(--surface);
+            color: var(--text);
+            border: 2px solid var(--border);
+            border-radius: 6px;
+        }
+        #search-query:focus {
+            outline: none;
+            border-color: var(--accent);
+        }
+        .search-filters {
+            display: flex;
+            gap: 15px;
+            align-items: center;
+            margin-top: 10px;
+            color: var(--text-muted);
+            font-size: 14px;
+        }
+        .search-status {
+            color: var(--text-faint);
+            font-size: 14px;
+            margin-top: 10px;
+        }
+        .index-page .search-results {
+            padding-left: 25px;
+        }
+        .index-page .search-results li {
+            padding: 10px 0;
+            border-bottom: 1px solid var(--border-light);
+        }
+        .search-title {
+            color: var(--text);
+            font-weight: 500;
+            text-decoration: none;
+        }
+        .search-title:hover {
+            color: var(--accent);
+        }
+        .search-role {
+            margin-left: 10px;
+            padding: 2px 6px;
+            border-radius: 3px;
+            color: var(--accent-contrast);
+            font-size: 12px;
+        }
+        .search-role.q {
+            background: var(--accent);
+        }
+        .search-role.a {
+            background: var(--response-accent);
+        }
+        .search-date {
+            margin-left: 10px;
+            color: var(--text-faint);
+            font-size: 12px;
+        }
+        .index-page .search-snippet {
+            font-size: 14px;
+            margin-top: 5px;
+            white-space: pre-wrap;
+        }
+        .search-snippet mark {
+            background: var(--mark-bg);
+            color: inherit;
+        }
+        .search-more {
+            background: var(--surface-alt);
+            color: var(--text);
+            border: 1px solid var(--border);
+            border-radius: 4px;
+            padding: 6px 12px;
+            cursor: pointer;
+        }
+        .conversations-table {
+            width: 100%;
+            border-collapse: collapse;
+        }
+        .conversations-table th {
+            background: var(--surface-alt);
+            padding: 12px 15px;
+            text-align: left;
+            color: var(--text);
+            font-weight: 600;
+            border-bottom: 2px solid var(--border);
+        }
+        .conversations-table td {
+            padding: 12px 15px;
+            border-bottom: 1px solid var(--border-light);
+        }
+        .conversations-table tr:hover {
+            background: var(--hover);
+        }
+        .number {
+            text-align: center;
+            font-weight: bold;
+            color: var(--accent);
+        }
+        .date {
+            color: var(--text-muted);
+            font-size: 14px;
+        }
+        .title a {
+            color: var(--text);
+            text-decoration: none;
+            font-weight: 500;
+            font-size: 16px;
+        }
+        .title a:hover {
+            color: var(--accent);
+        }
+        .archived-badge {
+            margin-left: 6px;
+            padding: 1px 6px;
+            border: 1px solid var(--unknown-accent);
+            border-radius: 3px;
+            color: var(--unknown-accent);
+            font-size: 11px;
+            font-weight: bold;
+            text-transform: uppercase;
+            vertical-align: middle;
+        }
+        .conversation-id {
+            color: var(--text-faint);
+            font-size: 12px;
+            font-family: monospace;
+            margin-top: 5px;
+        }
+        .messages {
+            text-align: center;
+            font-weight: bold;
+        }
+        .provider {
+            color: var(--text-muted);
+            font-size: 14px;
+        }
+        .length {
+            text-align: center;
+            color: var(--text-muted);
+            font-size: 14px;
+        }
+        .preview {
+            color: var(--text-muted);
+            font-size: 13px;
+            margin-top: 4px;
+            overflow: hidden;
+            text-overflow: ellipsis;
+            white-space: nowrap;
+            max-width: 640px;
+        }
+        .preview::before {
+            display: inline-block;
+            width: 16px;
+            margin-right: 6px;
+            border-radius: 3px;
+            color: var(--accent-contrast);
+            font-size: 11px;
+            font-weight: bold;
+            text-align: center;
+        }
+        .preview-request::before {
+            content: "Q";
+            background: var(--accent);
+        }
+        .preview-response::before {
+            content: "A";
+            background: var(--response-accent);
+        }
+        .sort-btn {
+            background: none;
+            border: none;
+            padding: 0;
+            font: inherit;
+            color: inherit;
+            cursor: pointer;
+        }
+        .sort-btn:hover {
+            color: var(--accent);
+        }
+        th[aria-sort="ascending"] .sort-btn::after {
+            content: " ▲";
+            font-size: 10px;
+        }
+        th[aria-sort="descending"] .sort-btn::after {
+            content: " ▼";
+            font-size: 10px;
+        }
+        .index-controls {
+            display: flex;
+            gap: 10px;
+        }
+        .group-by {
+            background: var(--surface);
+            color: var(--text);
+            padding: 4px 8px;
+            border: 1px solid var(--border);
+            border-radius: 4px;
+        }
+        .group-header th {
+            background: var(--surface-alt);
+            padding: 8px 15px;
+            border-bottom: 1px solid var(--border);
+        }
+        .group-header button {
+            background: none;
+            border: none;
+            padding: 0;
+            font: inherit;
+            font-weight: 600;
+            color: var(--accent);
+            cursor: pointer;
+        }
+        .pager {
+            display: flex;
+            justify-content: center;
+            align-items: center;
+            gap: 15px;
+            margin-top: 15px;
+            color: var(--text-muted);
+            font-size: 14px;
+        }
+        .pager[hidden] {
+            display: none;
+        }
+        .pager button {
+            background: var(--surface-alt);
+            color: var(--text);
+            border: 1px solid var(--border);
+            border-radius: 4px;
+            padding: 6px 12px;
+            cursor: pointer;
+        }
+        .pager button:disabled {
+            opacity: 0.5;
+            cursor: default;
+        }
+        .stats {
+            text-align: center;
+            color: var(--text-muted);
+            font-size: 14px;
+            margin-bottom: 20px;
+        }
+        .legend {
+            display: flex;
+            justify-content: center;
+            gap: 20px;
+        }
+        .legend-item {
+            display: flex;
+            align-items: center;
+            gap: 8px;
+            color: var(--text-muted);
+        }
+        .legend-color {
+            width: 16px;
+            height: 16px;
+            border-radius: 3px;
+        }
+        .legend-color.request {
+            background: var(--accent);
+        }
+        .legend-color.response {
+            background: var(--response-accent);
+        }
+        @media print {
+            .index-page .search,
+            .index-controls,
+            .pager,
+            .legend {
+                display: none;
+            }
+            .conversations-table tr {
+                break-inside: avoid;
+            }
+        }`;
+    }
+
+    getStatsCSS() {
+        return `
+        .stats-page .container {
+            max-width: 900px;
+        }
+        .stats-page h1 {
+            color: var(--accent);
+            margin: 0 0 10px 0;
+        }
+        .stats-page h2 {
+            margin-top: 35px;
+            border-bottom: 1px solid var(--border-light);
+            padding-bottom: 5px;
+        }
+        .stat-cards {
+            display: grid;
+            grid-template-columns: repeat(auto-fit, minmax(180px, 1fr));
+            gap: 12px;
+            margin-top: 20px;
+        }
+        .stat-card {
+            background: var(--surface-alt);
+            border-radius: 8px;
+            padding: 12px 15px;
+        }
+        .stat-value {
+            font-size: 20px;
+            font-weight: bold;
+        }
+        .stat-label,
+        .stats-note,
+        .chart-empty {
+            color: var(--text-muted);
+            font-size: 14px;
+        }
+        .chart {
+            margin: 15px 0;
+            overflow-x: auto;
+        }
+        .chart figcaption {
+            color: var(--text-muted);
+            font-size: 14px;
+            margin-bottom: 5px;
+        }
+        .chart.columns svg,
+        .chart.bars svg {
+            width: 100%;
+            height: auto;
+        }
+        .chart text {
+            fill: var(--text-muted);
+            font-size: 10px;
+        }
+        .chart.bars text {
+            font-size: 12px;
+        }
+        .chart a text {
+            fill: var(--accent);
+        }
+        .chart .axis {
+            stroke: var(--border);
+        }
+        .chart .bar,
+        .chart .answers {
+            fill: var(--response-accent);
+        }
+        .chart .reasoning {
+            fill: var(--reasoning-accent);
+        }
+        .heat-0 { fill: var(--surface-alt); }
+        .heat-1 { fill: var(--accent); fill-opacity: 0.25; }
+        .heat-2 { fill: var(--accent); fill-opacity: 0.5; }
+        .heat-3 { fill: var(--accent); fill-opacity: 0.75; }
+        .heat-4 { fill: var(--accent); }
+        .heat-legend,
+        .chart-legend {
+            display: flex;
+            align-items: center;
+            gap: 6px;
+            color: var(--text-faint);
+            font-size: 12px;
+        }
+        .legend-swatch {
+            display: inline-block;
+            width: 12px;
+            height: 12px;
+            border-radius: 2px;
+        }
+        .legend-swatch.answers {
+            background: var(--response-accent);
+        }
+        .legend-swatch.reasoning {
+            background: var(--reasoning-accent);
+        }
+        @media print {
+            .stats-page h2,
+            .chart {
+                break-inside: avoid;
+            }
+        }`;
+    }
+
+    getDiffCSS() {
+        return `
+        .diff-page h1 {
+            color: var(--accent);
+            margin: 0 0 10px 0;
+        }
+        .diff-page h2 {
+            margin-top: 35px;
+            border-bottom: 1px solid var(--border-light);
+            padding-bottom: 5px;
+        }
+        .diff-list {
+            padding-left: 20px;
+        }
+        .diff-list li {
+            margin: 4px 0;
+        }
+        .diff-title {
+            font-weight: 500;
+        }
+        .diff-meta {
+            color: var(--text-muted);
+            font-size: 14px;
+        }
+        .diff-conversation {
+            margin: 15px 0;
+            padding: 10px 15px;
+            border: 1px solid var(--border-light);
+            border-radius: 8px;
+        }
+        .diff-conversation > summary {
+            cursor: pointer;
+            margin-bottom: 10px;
+        }
+        .diff-page ins {
+            background: var(--response-bg);
+            color: var(--response-accent);
+            text-decoration: none;
+            outline: 1px solid var(--response-accent);
+        }
+        .diff-page del {
+            background: var(--request-bg);
+            color: var(--error);
+        }
+        .diff-text {
+            white-space: pre-wrap;
+            word-break: break-word;
+        }
+        .chat-message.diff-removed .message-content {
+            opacity: 0.6;
+            text-decoration: line-through;
+        }
+        .diff-status {
+            margin-left: 6px;
+            padding: 1px 6px;
+            border-radius: 3px;
+            font-size: 11px;
+            font-weight: bold;
+            text-transform: uppercase;
+            vertical-align: middle;
+            color: var(--accent-contrast);
+        }
+        .diff-status.diff-added {
+            background: var(--response-accent);
+        }
+        .diff-status.diff-changed {
+            background: var(--unknown-accent);
+        }
+        .diff-status.diff-removed {
+            background: var(--error);
+        }
+        @media print {
+            .diff-conversation {
+                break-inside: avoid-page;
+            }
+        }`;
+    }
+}
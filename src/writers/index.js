@@ -0,0 +1,51 @@
+import path from 'path';
+import { pathToFileURL } from 'url';
+import Writer from './writer.js';
+import HtmlWriter from './html.js';
+import MarkdownWriter from './markdown.js';
+import TextWriter from './text.js';
+import EpubWriter from './epub.js';
+
+// Keyed by lowercased format name, as --format is matched case-insensitively
+const writers = new Map();
+
+export function registerWriter(WriterClass) {
+    // Checked by shape rather than instanceof, so writers may import Writer from their own copy
+    if (typeof WriterClass !== 'function'
+        || typeof WriterClass.prototype.renderConversation !== 'function'
+        || typeof WriterClass.prototype.renderIndex !== 'function') {
+        throw new Error('A writer must be a class implementing renderConversation() and renderIndex()');
+    }
+    if (!WriterClass.formatName || !WriterClass.extension) {
+        throw new Error(`Writer ${WriterClass.name} must define static formatName and extension`);
+    }
+    writers.set(WriterClass.formatName.toLowerCase(), WriterClass);
+    return WriterClass.formatName;
+}
+
+export function getWriter(formatName) {
+    return writers.get(String(formatName).toLowerCase());
+}
+
+export function listWriters() {
+    return [...writers.keys()];
+}
+
+export async function loadWriterModule(modulePath) {
+    // Local writer modules default-export a Writer subclass
+    const url = pathToFileURL(path.resolve(modulePath)).href;
+    let module;
+    try {
+        module = await import(url);
+    } catch (error) {
+        throw new Error(`Could not load writer module ${modulePath}: ${error.message}`);
+    }
+    return registerWriter(module.default);
+}
+
+registerWriter(HtmlWriter);
+registerWriter(MarkdownWriter);
+registerWriter(TextWriter);
+registerWriter(EpubWriter);
+
+export { Writer };
@@ -0,0 +1,77 @@
+import Writer from './writer.js';
+import { safeString, formatTimestamp, isWebUrl } from '../utils.js';
+
+export default class MarkdownWriter extends Writer {
+    static formatName = 'md';
+    static extension = 'md';
+
+    renderConversation(conversation) {
+        const { messages } = conversation;
+        const title = this.getPageTitle(conversation);
+        
+        // JSON strings are valid double-quoted YAML scalars
+        let markdown = `---
+id: ${JSON.stringify(conversation.id)}
+provider: ${JSON.stringify(conversation.provider || 'deepseek')}
+title: ${JSON.stringify(title)}
+created: ${JSON.stringify(conversation.created)}
+updated: ${JSON.stringify(conversation.updated)}
+messages: ${messages.length}${conversation.archived ? '\narchived: true' : ''}
+---
+
+# ${title}
+`;
+
+        for (const { fragment, message, messageNumber, attachments } of this.collectFragments(messages)) {
+            const content = safeString(fragment.content);
+            const sources = fragment.type === 'SEARCH' ? this.getSearchSources(fragment) : [];
+            if (!content && sources.length === 0 && attachments.length === 0) continue;
+            
+            markdown += `
+## ${this.getFragmentLabel(fragment.type, messageNumber)}
+
+_${formatTimestamp(message.inserted_at)}_
+`;
+            // Message text is written exactly as exported
+            if (content) {
+                markdown += `\n${content}\n`;
+            }
+            if (sources.length > 0) {
+                markdown += '\n' + sources.map(source => isWebUrl(source.url) ? `- [${source.title}](${source.url})` : `- ${source.title}`).join('\n') + '\n';
+            }
+            if (attachments.length > 0) {
+                const names = attachments.map(file => file.name.replace(/[[\]]/g, '\\$&'));
+                markdown += `\nAttachments: ${attachments.map((file, i) => file.href ? `[${names[i]}](${file.href})` : names[i]).join(', ')}\n`;
+            }
+        }
+
+        return markdown;
+    }
+
+    renderIndex(conversations, { stats, profile }) {
+        const owner = this.describeProfile(profile);
+        
+        // Pipes and newlines would break the table row
+        const cell = (value) => safeString(value).replace(/\|/g, '\\|').replace(/\s+/g, ' ');
+        
+        let markdown = `# DeepSeek Conversations
+
+Sorted by date (newest first) • ${conversations.length} conversations
+${owner ? `\nExport of ${owner}\n` : ''}
+| # | Date | Provider | Title | Messages |
+|---|------|----------|-------|----------|
+`;
+        for (const conv of conversations) {
+            const title = cell(conv.title || `Conversation ${conv.number}`).replace(/[[\]]/g, '\\$&');
+            const fileName = encodeURI(this.getFileName(conv));
+            
+            markdown += `| ${conv.number} | ${formatTimestamp(conv.date)} | ${this.describeProvider(conv.provider)} | [${title}](${fileName})${conv.archived ? ' *(archived)*' : ''} | ${conv.messageCount} |\n`;
+        }
+        
+        markdown += `
+Generated: ${new Date().toLocaleString()} • Total messages: ${stats.totalMessages}
+`;
+
+        return markdown;
+    }
+}
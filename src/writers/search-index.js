@@ -0,0 +1,177 @@
+import fs from 'fs';
+import path from 'path';
+import { once } from 'events';
+import { safeString } from '../utils.js';
+
+export const SEARCH_INDEX_FILE = 'search-index.js';
+export const SEARCH_TEXT_DIR = 'search';
+
+// Words, and single Han or kana characters as those scripts do not separate
+// words with spaces. The page script tokenizes queries with the same pattern.
+export const TOKEN_PATTERN = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}]|(?:(?![\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}])[\p{L}\p{N}])+/gu;
+export const MAX_TOKEN_LENGTH = 32;
+// Postings pack the message index and the token's count in it (up to 15) into one number
+export const MAX_TOKEN_COUNT = 15;
+// Snippets are cut from the start of a message's stored text
+const SNIPPET_TEXT_LIMIT = 2000;
+
+export function tokenize(text) {
+    return (text.toLowerCase().match(TOKEN_PATTERN) || []).map(token => token.slice(0, MAX_TOKEN_LENGTH));
+}
+
+// Every request and response on every branch (not just the default one) as
+// [conversation number, anchor, role, unix seconds, text]
+export function* searchRecords(conversation, getMessageAnchor) {
+    const stack = [...conversation.tree];
+
+    while (stack.length > 0) {
+        const node = stack.pop();
+        stack.push(...node.children);
+
+        const message = node.message;
+        const fragments = message && Array.isArray(message.fragments) ? message.fragments : [];
+        const time = Date.parse(message?.inserted_at);
+
+        for (const fragment of fragments) {
+            const role = fragment?.type === 'REQUEST' ? 'q' : fragment?.type === 'RESPONSE' ? 'a' : null;
+            const text = safeString(fragment?.content);
+            if (!role || !text) continue;
+
+            yield [
+                conversation.number,
+                getMessageAnchor(node.id),
+                role,
+                Number.isNaN(time) ? 0 : Math.floor(time / 1000),
+                text
+            ];
+        }
+    }
+}
+
+export function getSearchTextFileName(conversation) {
+    return `${SEARCH_TEXT_DIR}/${conversation.baseName}.js`;
+}
+
+// Conversation number -> [title, file, date, provider, snippet text file]
+export function conversationTable(conversations, getFileName) {
+    const table = {};
+    for (const conv of conversations) {
+        table[conv.number] = [
+            conv.title || `Conversation ${conv.number}`,
+            getFileName(conv),
+            conv.date,
+            conv.provider || 'deepseek',
+            getSearchTextFileName(conv)
+        ];
+    }
+    return table;
+}
+
+// The text of one conversation's records, in record order. The page script
+// loads it with a <script> tag only when one of them is shown as a result.
+export function searchTextScript(number, records) {
+    const texts = records.map(record => record[4].slice(0, SNIPPET_TEXT_LIMIT));
+    return `(window.SEARCH_TEXT = window.SEARCH_TEXT || {})[${number}] = ${JSON.stringify(texts)};\n`;
+}
+
+// Token -> postings for every record added. A posting is message index * 16
+// + the token's count in that message, and each is stored as the difference
+// from the one before it, which keeps the numbers short in large exports.
+export class SearchTerms {
+    constructor() {
+        this.count = 0;
+        this.postings = new Map();
+        this.last = new Map();
+    }
+
+    add(text) {
+        const index = this.count++;
+        const counts = new Map();
+        for (const token of tokenize(text)) {
+            counts.set(token, (counts.get(token) || 0) + 1);
+        }
+        for (const [token, count] of counts) {
+            let list = this.postings.get(token);
+            if (!list) {
+                list = [];
+                this.postings.set(token, list);
+            }
+            const posting = index * (MAX_TOKEN_COUNT + 1) + Math.min(count, MAX_TOKEN_COUNT);
+            list.push(posting - (this.last.get(token) || 0));
+            this.last.set(token, posting);
+        }
+    }
+
+    *entries() {
+        // Serialized one token at a time, as the whole object can be too large for one string
+        for (const [token, list] of this.postings) {
+            yield `${JSON.stringify(token)}:${JSON.stringify(list)}`;
+        }
+    }
+
+    toJSON() {
+        return Object.fromEntries(this.postings);
+    }
+}
+
+// The whole index as one script, for the server, which holds the export in memory anyway
+export function searchIndexScript(records, table) {
+    const terms = new SearchTerms();
+    const messages = records.map(record => {
+        terms.add(record[4]);
+        return record.slice(0, 4);
+    });
+    return `window.SEARCH_MESSAGES = ${JSON.stringify(messages)};\nwindow.SEARCH_TERMS = ${JSON.stringify(terms)};\nwindow.SEARCH_CONVERSATIONS = ${JSON.stringify(table)};\n`;
+}
+
+// Streams the index into search-index.js while conversations are processed:
+// message metadata as it comes, the text only as token postings, and each
+// conversation's snippet text into its own file under search/. Both are
+// scripts (not JSON) because pages opened from file:// cannot fetch() local files.
+export default class SearchIndexBuilder {
+    constructor(outputDir, { getFileName, getMessageAnchor }) {
+        this.outputDir = outputDir;
+        this.file = path.join(outputDir, SEARCH_INDEX_FILE);
+        this.textDir = path.join(outputDir, SEARCH_TEXT_DIR);
+        this.getFileName = getFileName;
+        this.getMessageAnchor = getMessageAnchor;
+        this.stream = null;
+        this.terms = new SearchTerms();
+    }
+
+    async open() {
+        // Snippet files of conversations no longer in the export go with the rest
+        await fs.promises.rm(this.textDir, { recursive: true, force: true });
+        await fs.promises.mkdir(this.textDir, { recursive: true });
+        this.stream = fs.createWriteStream(this.file);
+        await this.write('window.SEARCH_MESSAGES = [');
+    }
+
+    async write(chunk) {
+        if (!this.stream.write(chunk)) {
+            await once(this.stream, 'drain');
+        }
+    }
+
+    async add(conversation) {
+        const records = [...searchRecords(conversation, this.getMessageAnchor)];
+        for (const record of records) {
+            await this.write(`${this.terms.count > 0 ? ',' : ''}\n${JSON.stringify(record.slice(0, 4))}`);
+            this.terms.add(record[4]);
+        }
+        await fs.promises.writeFile(path.join(this.outputDir, getSearchTextFileName(conversation)), searchTextScript(conversation.number, records));
+    }
+
+    async finish(conversations) {
+        await this.write('\n];\nwindow.SEARCH_TERMS = {');
+        let first = true;
+        for (const entry of this.terms.entries()) {
+            await this.write(`${first ? '' : ','}\n${entry}`);
+            first = false;
+        }
+        const table = conversationTable(conversations, this.getFileName);
+        await this.write(`\n};\nwindow.SEARCH_CONVERSATIONS = ${JSON.stringify(table)};\n`);
+        this.stream.end();
+        await once(this.stream, 'finish');
+    }
+}
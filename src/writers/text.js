@@ -0,0 +1,64 @@
+import Writer from './writer.js';
+import { safeString, formatTimestamp } from '../utils.js';
+
+export default class TextWriter extends Writer {
+    static formatName = 'txt';
+    static extension = 'txt';
+
+    renderConversation(conversation) {
+        const { messages } = conversation;
+        const title = this.getPageTitle(conversation);
+        
+        let text = `${title}
+${'='.repeat(title.length)}
+ID: ${conversation.id || 'unknown-id'}
+Source: ${this.describeProvider(conversation.provider)}${conversation.archived ? ` (${this.describeArchived(conversation)})` : ''}
+Created: ${formatTimestamp(conversation.created)}
+Updated: ${formatTimestamp(conversation.updated)}
+Messages: ${messages.length}
+`;
+
+        for (const { fragment, message, messageNumber, attachments } of this.collectFragments(messages)) {
+            const content = safeString(fragment.content);
+            const sources = fragment.type === 'SEARCH' ? this.getSearchSources(fragment) : [];
+            if (!content && sources.length === 0 && attachments.length === 0) continue;
+            
+            text += `
+${'-'.repeat(50)}
+[${this.getFragmentLabel(fragment.type, messageNumber)}] ${formatTimestamp(message.inserted_at)}
+
+`;
+            if (content) {
+                text += `${content}\n`;
+            }
+            if (sources.length > 0) {
+                text += sources.map(source => `* ${source.title}${source.url && source.url !== source.title ? ` <${source.url}>` : ''}`).join('\n') + '\n';
+            }
+            if (attachments.length > 0) {
+                text += `Attachments: ${attachments.map(file => file.path ? `${file.name} <${file.path}>` : file.name).join(', ')}\n`;
+            }
+        }
+
+        return text;
+    }
+
+    renderIndex(conversations, { stats, profile }) {
+        const owner = this.describeProfile(profile);
+        
+        let text = `DeepSeek Conversations
+Sorted by date (newest first) • ${conversations.length} conversations
+${owner ? `Export of ${owner}\n` : ''}
+`;
+        for (const conv of conversations) {
+            text += `${conv.number.toString().padStart(4)}. ${formatTimestamp(conv.date)}  [${this.describeProvider(conv.provider)}] ${conv.title || `Conversation ${conv.number}`} (${conv.messageCount} messages${conv.archived ? `, ${this.describeArchived(conv)}` : ''})
+      ${this.getFileName(conv)}
+`;
+        }
+        
+        text += `
+Generated: ${new Date().toLocaleString()} • Total messages: ${stats.totalMessages}
+`;
+
+        return text;
+    }
+}
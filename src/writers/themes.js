@@ -0,0 +1,122 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+export const STYLESHEET_FILE = 'style.css';
+export const THEME_FILE = 'theme.css';
+export const THEME_STORAGE_KEY = 'deepseek-formatter-theme';
+
+// Every colour used by the HTML pages, as CSS custom properties (--name)
+export const THEMES = {
+    light: {
+        'page-bg': '#f5f5f5',
+        'surface': '#ffffff',
+        'surface-alt': '#f8f9fa',
+        'text': '#222222',
+        'text-muted': '#666666',
+        'text-faint': '#888888',
+        'border': '#dddddd',
+        'border-light': '#eeeeee',
+        'hover': '#f9f9f9',
+        'shadow': 'rgba(0, 0, 0, 0.1)',
+        'accent': '#ff4444',
+        'accent-hover': '#e03e3e',
+        'accent-contrast': '#ffffff',
+        'request-bg': '#fff5f5',
+        'response-bg': '#f0fff4',
+        'response-accent': '#28a745',
+        'reasoning-bg': '#f4f6fb',
+        'reasoning-accent': '#8a94a6',
+        'reasoning-text': '#555555',
+        'search-bg': '#f3f8ff',
+        'link-alt': '#3b82f6',
+        'unknown-bg': '#fffbea',
+        'unknown-accent': '#f0ad4e',
+        'inline-code-bg': '#f8f9fa',
+        'code-bg': '#1e1e1e',
+        'code-text': '#d4d4d4',
+        'code-toolbar-bg': '#2d2d2d',
+        'mark-bg': '#ffe58a',
+        'error': '#c0392b'
+    },
+    dark: {
+        'page-bg': '#121212',
+        'surface': '#1c1c1e',
+        'surface-alt': '#26262a',
+        'text': '#e4e4e4',
+        'text-muted': '#a8a8a8',
+        'text-faint': '#8a8a8a',
+        'border': '#3a3a3e',
+        'border-light': '#2e2e32',
+        'hover': '#242428',
+        'shadow': 'rgba(0, 0, 0, 0.5)',
+        'accent': '#ff6b6b',
+        'accent-hover': '#ff8787',
+        'accent-contrast': '#ffffff',
+        'request-bg': '#2a1c1e',
+        'response-bg': '#172619',
+        'response-accent': '#3fb950',
+        'reasoning-bg': '#1d2130',
+        'reasoning-accent': '#8b95ab',
+        'reasoning-text': '#b4bac6',
+        'search-bg': '#16213a',
+        'link-alt': '#60a5fa',
+        'unknown-bg': '#2b2614',
+        'unknown-accent': '#d99a3e',
+        'inline-code-bg': '#2a2a2e',
+        'code-bg': '#101012',
+        'code-text': '#d4d4d4',
+        'code-toolbar-bg': '#232326',
+        'mark-bg': '#7a6200',
+        'error': '#ff7b72'
+    }
+};
+
+function declarations(variables, indent) {
+    return Object.entries(variables)
+        .map(([name, value]) => `${indent}--${name}: ${value};`)
+        .join('\n');
+}
+
+// The dark values apply when the system prefers dark and the reader has not
+// picked light, or when the reader picked dark with the toggle (data-theme).
+// Printing always uses the light values.
+export function buildThemeCSS({ light = {}, dark = {} }) {
+    const blocks = [];
+    if (Object.keys(light).length > 0) {
+        blocks.push(`:root {\n    color-scheme: light;\n${declarations(light, '    ')}\n}`);
+    }
+    if (Object.keys(dark).length > 0) {
+        blocks.push(`@media (prefers-color-scheme: dark) {\n    :root:not([data-theme="light"]) {\n        color-scheme: dark;\n${declarations(dark, '        ')}\n    }\n}`);
+        blocks.push(`:root[data-theme="dark"] {\n    color-scheme: dark;\n${declarations(dark, '    ')}\n}`);
+    }
+    if (Object.keys(light).length > 0) {
+        // Paper is white whatever theme is on screen
+        blocks.push(`@media print {\n    :root:not([data-theme="light"]), :root[data-theme] {\n        color-scheme: light;\n${declarations(light, '        ')}\n    }\n}`);
+    }
+    return blocks.join('\n');
+}
+
+// A user theme is either plain CSS, loaded after the built-in stylesheet, or a
+// JSON file of variables: {"light": {...}, "dark": {...}}, or one flat object
+// for both
+export async function loadThemeFile(themeFile) {
+    let content;
+    try {
+        content = await fs.readFile(themeFile, 'utf8');
+    } catch (error) {
+        throw new Error(`Could not read theme file ${themeFile}: ${error.message}`);
+    }
+
+    if (path.extname(themeFile).toLowerCase() !== '.json') {
+        return content;
+    }
+
+    let theme;
+    try {
+        theme = JSON.parse(content);
+    } catch (error) {
+        throw new Error(`Invalid theme file ${themeFile}: ${error.message}`);
+    }
+    const isSplit = theme && (typeof theme.light === 'object' || typeof theme.dark === 'object');
+    return buildThemeCSS(isSplit ? theme : { light: theme, dark: theme }) + '\n';
+}
@@ -0,0 +1,164 @@
+import { safeString } from '../utils.js';
+import { getProviderLabel } from '../adapters/index.js';
+import { logToConsole } from '../logger.js';
+
+// Base class for output writers. A writer turns normalized conversations
+// (see DeepSeekFormatter.normalizeConversation) into file contents; the
+// formatter owns reading the export and writing files to disk. Indexes only
+// receive conversation metadata (see summarizeConversation), not messages.
+// Writers that need extra assets built from every conversation implement the
+// begin / addConversation / finish hooks and write those assets themselves.
+export default class Writer {
+    // Name used with --format, and the extension of every file the writer produces
+    static formatName = '';
+    static extension = '';
+
+    constructor(options = {}) {
+        this.options = options;
+        this.includeReasoning = options.includeReasoning !== false;
+        this.onLog = options.onLog || logToConsole;
+    }
+
+    log(level, message) {
+        this.onLog(level, message);
+    }
+
+    get formatName() {
+        return this.constructor.formatName;
+    }
+
+    get extension() {
+        return this.constructor.extension;
+    }
+
+    get writesConversationFiles() {
+        // Bundle writers return false and build their single output in finish()
+        return true;
+    }
+
+    getFileName(conversation) {
+        return `${conversation.baseName}.${this.extension}`;
+    }
+
+    getIndexFileName() {
+        return `index.${this.extension}`;
+    }
+
+    renderConversation(conversation) {
+        throw new Error(`${this.constructor.name} does not implement renderConversation()`);
+    }
+
+    renderIndex(conversations, { stats, profile }) {
+        throw new Error(`${this.constructor.name} does not implement renderIndex()`);
+    }
+
+    getStatsFileName() {
+        return `stats.${this.extension}`;
+    }
+
+    renderStats(report, conversations) {
+        // Optional page for the archive statistics (see ArchiveStats); null skips it
+        return null;
+    }
+
+    async begin({ outputDir }) {
+        // Called once before the first conversation
+    }
+
+    async addConversation(conversation) {
+        // Called for every conversation, including ones unchanged since the last run
+    }
+
+    async finish(conversations, { stats, profile }) {
+        // Called once after the index has been written
+    }
+
+    getMessageAnchor(nodeId) {
+        return `msg-${nodeId}`;
+    }
+
+    getPageTitle(conversation) {
+        // Index numbers change whenever a newer conversation is added, and pages
+        // are only rewritten when their conversation changes, so pages use the id
+        if (conversation.title) return conversation.title;
+        return `Conversation ${conversation.id ? conversation.id.slice(0, 8) : conversation.fileNumber}`;
+    }
+
+    describeProfile(profile) {
+        // Account owner from the export archive's user profile, if there was one
+        if (!profile) return '';
+        if (profile.name && profile.email) return `${profile.name} <${profile.email}>`;
+        return profile.name || profile.email;
+    }
+
+    describeProvider(provider) {
+        // Display name of the assistant a conversation was exported from
+        return getProviderLabel(provider || 'deepseek');
+    }
+
+    describeArchived(conversation) {
+        // Merged in from an older export that the newest one no longer has (see ExportMerger)
+        return conversation.archived ? 'only in an older export' : '';
+    }
+
+    collectFragments(messages) {
+        // Flatten messages into fragments, numbered as "Request N" / "Response N".
+        // A message's attachments come with its first fragment.
+        const entries = [];
+        let messageNumber = 1;
+
+        for (const message of messages) {
+            const fragments = message && Array.isArray(message.fragments) ? message.fragments : [];
+            let attachments = this.getAttachments(message);
+            for (const fragment of fragments) {
+                if (!fragment || !fragment.type) continue;
+                if (fragment.type === 'THINK' && !this.includeReasoning) continue;
+
+                entries.push({ fragment, message, messageNumber, attachments });
+                attachments = [];
+                if (fragment.type === 'REQUEST') messageNumber++;
+            }
+        }
+
+        return entries;
+    }
+
+    getAttachments(message) {
+        // Files uploaded with a message; `path` and `href` are set when the formatter copied
+        // the upload from the export archive (see DeepSeekFormatter.copyAttachments)
+        const files = message && Array.isArray(message.files) ? message.files : [];
+        return files
+            .filter(file => file && (file.file_name || file.path))
+            .map(file => {
+                const filePath = safeString(file.path);
+                return {
+                    name: safeString(file.file_name) || filePath.split('/').pop(),
+                    path: filePath || null,
+                    // Also escapes the parentheses that would end a Markdown link
+                    href: filePath
+                        ? filePath.split('/').map(part => encodeURIComponent(part).replace(/\(/g, '%28').replace(/\)/g, '%29')).join('/')
+                        : null
+                };
+            });
+    }
+
+    getFragmentLabel(type, messageNumber) {
+        const labels = {
+            REQUEST: 'Request',
+            RESPONSE: 'Response',
+            THINK: 'Reasoning',
+            SEARCH: 'Search results'
+        };
+        return `${labels[type] || `Unknown fragment (${type})`} ${messageNumber}`;
+    }
+
+    getSearchSources(fragment) {
+        const results = Array.isArray(fragment.results) ? fragment.results : [];
+        return results
+            .filter(result => result && (result.url || result.title))
+            .map(result => ({
+                title: safeString(result.title || result.site_name) || safeString(result.url),
+                url: safeString(result.url)
+            }));
+    }
+}
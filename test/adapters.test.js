@@ -0,0 +1,88 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { adaptConversation } from '../src/adapters/index.js';
+import { createMapping, addNode, preferBranch } from '../src/adapters/mapping.js';
+import DeepSeekFormatter from '../src/formatter.js';
+import { createConversation } from '../bench/generate-fixture.js';
+
+// Golden files: every record of fixtures/adapters/<provider>.json is converted
+// and the results compared with <provider>.normalized.json. Run with
+// UPDATE_FIXTURES=1 to rewrite the expected output, then review the diff.
+const fixtureDir = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures', 'adapters');
+const update = Boolean(process.env.UPDATE_FIXTURES);
+
+const inputs = (await fs.readdir(fixtureDir)).filter(file => !file.endsWith('.normalized.json')).sort();
+
+for (const file of inputs) {
+    const name = path.basename(file, '.json');
+
+    test(`adapters: ${name}`, async () => {
+        const records = JSON.parse(await fs.readFile(path.join(fixtureDir, file), 'utf8'));
+        const actual = records.map(record => adaptConversation(record));
+        const expectedFile = path.join(fixtureDir, `${name}.normalized.json`);
+
+        if (update) {
+            await fs.writeFile(expectedFile, `${JSON.stringify(actual, null, 4)}\n`);
+        }
+        const expected = JSON.parse(await fs.readFile(expectedFile, 'utf8'));
+        assert.deepEqual(actual, expected);
+        // Each fixture holds its own provider's records, plus non-objects read as DeepSeek
+        for (const { provider } of actual) {
+            assert.ok(provider === name || provider === 'deepseek', `${file} detected as ${provider}`);
+        }
+    });
+}
+
+test('preferBranch moves the path to the current message last at every fork', () => {
+    const mapping = createMapping();
+    addNode(mapping, 'a', 'root', null);
+    addNode(mapping, 'b', 'root', null);
+    addNode(mapping, 'a1', 'a', null);
+    addNode(mapping, 'a2', 'a', null);
+    addNode(mapping, 'orphan', 'missing', null);
+
+    preferBranch(mapping, 'a1');
+    assert.deepEqual(mapping.root.children, ['b', 'orphan', 'a']);
+    assert.deepEqual(mapping.a.children, ['a2', 'a1']);
+    assert.equal(mapping.orphan.parent, 'root');
+
+    // An unknown leaf changes nothing, and a parent cycle ends the walk
+    preferBranch(mapping, 'missing');
+    assert.deepEqual(mapping.a.children, ['a2', 'a1']);
+    const cyclic = {
+        x: { id: 'x', parent: 'y', children: ['y'] },
+        y: { id: 'y', parent: 'x', children: ['z', 'x'] }
+    };
+    assert.equal(preferBranch(cyclic, 'x'), cyclic);
+});
+
+test('formatAll skips a record its adapter cannot convert and counts it as an error', async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'adapters-test-'));
+    try {
+        const inputFile = path.join(dir, 'conversations.json');
+        await fs.writeFile(inputFile, JSON.stringify([
+            createConversation(0, 2),
+            { uuid: 'broken', name: 'Broken', chat_messages: [null] },
+            createConversation(1, 2)
+        ]));
+
+        const logs = [];
+        const result = await new DeepSeekFormatter({
+            inputFile,
+            outputDir: path.join(dir, 'out'),
+            onLog: (level, message) => logs.push({ level, message })
+        }).formatAll();
+
+        assert.deepEqual(result.conversations.map(summary => summary.id).sort(), ['bench-0', 'bench-1']);
+        assert.equal(result.stats.errors, 1);
+        const errors = logs.filter(log => log.level === 'error');
+        assert.equal(errors.length, 1);
+        assert.match(errors[0].message, /^Error converting conversation 1: Cannot read properties of null/);
+    } finally {
+        await fs.rm(dir, { recursive: true, force: true });
+    }
+});
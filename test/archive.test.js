@@ -0,0 +1,105 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import { createWriteStream } from 'fs';
+import os from 'os';
+import path from 'path';
+import { pipeline } from 'stream/promises';
+import yazl from 'yazl';
+import DeepSeekFormatter from '../src/formatter.js';
+import { ignoreLog } from '../src/logger.js';
+import { createConversation } from '../bench/generate-fixture.js';
+
+async function writeZip(file, entries) {
+    const zip = new yazl.ZipFile();
+    for (const [name, content] of Object.entries(entries)) {
+        zip.addBuffer(Buffer.from(content), name);
+    }
+    zip.end();
+    await pipeline(zip.outputStream, createWriteStream(file));
+}
+
+async function formatArchive(options = {}, prepare = async () => {}) {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'archive-test-'));
+    const withFile = createConversation(0, 2);
+    withFile.mapping[1].message.files = [{ id: 'file-a', file_name: 'report (final).pdf' }];
+    const withoutFile = createConversation(1, 2);
+    withoutFile.mapping[1].message.files = [{ id: 'file-b', file_name: 'notes.txt' }];
+
+    const inputFile = path.join(dir, 'export.zip');
+    await writeZip(inputFile, {
+        'export/conversations.json': JSON.stringify([withFile, withoutFile]),
+        'export/user.json': JSON.stringify({ name: 'Ada' }),
+        'export/files/file-a/report (final).pdf': 'pdf',
+        'export/files/file-b/notes.txt': 'notes',
+        'export/files/file-c/unused.png': 'png'
+    });
+
+    const outputDir = path.join(dir, 'out');
+    await prepare(outputDir);
+    const result = await new DeepSeekFormatter({ inputFile, outputDir, formats: ['html', 'md'], onLog: ignoreLog, ...options }).formatAll();
+    const read = file => fs.readFile(path.join(outputDir, file), 'utf8');
+    const list = async () => (await fs.readdir(path.join(outputDir, 'attachments'), { recursive: true, withFileTypes: true }))
+        .filter(entry => entry.isFile()).map(entry => entry.name).sort();
+    return { dir, result, read, list };
+}
+
+test('attachments are linked from the messages that uploaded them', async () => {
+    const { dir, result, read, list } = await formatArchive();
+    try {
+        assert.deepEqual(await list(), ['notes.txt', 'report (final).pdf']);
+        assert.deepEqual(JSON.parse(await read('summary.json')).attachments, ['files/file-a/report (final).pdf', 'files/file-b/notes.txt']);
+        assert.match(await read('index.html'), /Export of Ada/);
+
+        const page = result.conversations.find(conversation => conversation.id === 'bench-0').baseName;
+        assert.match(await read(`${page}.html`), /<a href="attachments\/files\/file-a\/report%20%28final%29\.pdf" target="_blank">report \(final\)\.pdf<\/a>/);
+        assert.match(await read(`${page}.md`), /^Attachments: \[report \(final\)\.pdf\]\(attachments\/files\/file-a\/report%20%28final%29\.pdf\)$/m);
+    } finally {
+        await fs.rm(dir, { recursive: true, force: true });
+    }
+});
+
+test('attachments of filtered-out conversations are not copied', async () => {
+    const { dir, result, read, list } = await formatArchive({ filters: { ids: ['bench-0'] } });
+    try {
+        assert.equal(result.stats.filteredOut, 1);
+        assert.deepEqual(await list(), ['report (final).pdf']);
+        assert.deepEqual(JSON.parse(await read('summary.json')).attachments, ['files/file-a/report (final).pdf']);
+    } finally {
+        await fs.rm(dir, { recursive: true, force: true });
+    }
+});
+
+test('redacted output has no attachments and hides the account owner', async () => {
+    const { dir, read } = await formatArchive({ redaction: { enabled: true } });
+    try {
+        await assert.rejects(fs.access(path.join(dir, 'out', 'attachments')));
+        assert.deepEqual(JSON.parse(await read('summary.json')).attachments, []);
+
+        const index = await read('index.html');
+        assert.doesNotMatch(index, /Ada/);
+        assert.match(index, /\[REDACTED_NAME\]/);
+    } finally {
+        await fs.rm(dir, { recursive: true, force: true });
+    }
+});
+
+test('an attachment that cannot be copied is skipped with a warning', async () => {
+    const logs = [];
+    // A file where the upload's directory should go makes copying it fail
+    const { dir, result, read, list } = await formatArchive({ onLog: (level, message) => logs.push({ level, message }) }, async (outputDir) => {
+        await fs.mkdir(path.join(outputDir, 'attachments', 'files'), { recursive: true });
+        await fs.writeFile(path.join(outputDir, 'attachments', 'files', 'file-b'), '');
+    });
+    try {
+        assert.equal(result.stats.errors, 0);
+        assert.deepEqual(await list(), ['file-b', 'report (final).pdf']);
+        assert.deepEqual(JSON.parse(await read('summary.json')).attachments, ['files/file-a/report (final).pdf']);
+        assert.ok(logs.some(log => log.level === 'warn' && log.message.startsWith('Warning: Could not copy attachment export/files/file-b/notes.txt')));
+
+        const page = result.conversations.find(conversation => conversation.id === 'bench-1').baseName;
+        assert.match(await read(`${page}.md`), /^Attachments: notes\.txt$/m);
+    } finally {
+        await fs.rm(dir, { recursive: true, force: true });
+    }
+});
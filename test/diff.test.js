@@ -0,0 +1,42 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import DeepSeekFormatter from '../src/formatter.js';
+import { ignoreLog } from '../src/logger.js';
+import { diffExports, diffWords } from '../src/diff.js';
+import { createConversation } from '../bench/generate-fixture.js';
+
+function normalize(conversation) {
+    const formatter = new DeepSeekFormatter({ onLog: ignoreLog });
+    return formatter.normalizeConversation(conversation, formatter.summarizeConversation(conversation, 0));
+}
+
+test('diffWords marks removed and added words', () => {
+    assert.deepEqual(diffWords('the quick fox', 'the slow fox'), [
+        { type: 'same', text: 'the ' },
+        { type: 'removed', text: 'quick' },
+        { type: 'added', text: 'slow' },
+        { type: 'same', text: ' fox' }
+    ]);
+});
+
+test('messages are numbered by request and listed in tree order', () => {
+    const before = createConversation(0, 4);
+    const after = structuredClone(before);
+    after.mapping[2].children = ['3', '5'];
+    after.mapping[5] = { id: '5', parent: '2', children: [], message: { fragments: [{ type: 'REQUEST', content: 'Edited question' }] } };
+    after.mapping[4].message.fragments[0].content = 'A shorter answer';
+
+    const [diff] = diffExports([normalize(before)], [normalize(after)]).changed;
+    assert.deepEqual(diff.messages.map(m => [m.nodeId, m.messageNumber, m.status]), [['4', 3, 'changed'], ['5', 2, 'added']]);
+    assert.deepEqual(diff.counts, { added: 1, changed: 1, removed: 0, unchanged: 3 });
+});
+
+test('very long conversations are compared without overflowing the stack', () => {
+    const before = createConversation(0, 12000);
+    const after = structuredClone(before);
+    after.mapping[12000].message.fragments[0].content = 'Edited';
+
+    const [diff] = diffExports([normalize(before)], [normalize(after)]).changed;
+    assert.deepEqual(diff.messages.map(m => [m.nodeId, m.messageNumber, m.status]), [['12000', 6001, 'changed']]);
+    assert.equal(diff.counts.unchanged, 11999);
+});
@@ -0,0 +1,82 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { JSDOM } from 'jsdom';
+import ExportValidator from '../src/validator.js';
+import { buildBookmarklet, SOURCE_FILE } from '../exportMessagesFromJsDom/build-bookmarklet.js';
+
+// Saved chat pages (fixtures/deepseek-dom/<name>.html) run through the DOM
+// extractor in jsdom. <name>.response.md is the expected markdown of the first
+// response; run with UPDATE_FIXTURES=1 to rewrite it after an intended change.
+const fixtureDir = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures', 'deepseek-dom');
+const CHAT_URL = 'https://chat.deepseek.com/a/chat/s/7f3c2a10-5b1e-4d2f-9a6b-0c8e4f1d2b3a';
+const source = await fs.readFile(SOURCE_FILE, 'utf8');
+
+async function loadPage(name, script = source) {
+    const html = await fs.readFile(path.join(fixtureDir, `${name}.html`), 'utf8');
+    // Page scripts are not run; only the extractor is
+    const dom = new JSDOM(html, { url: CHAT_URL, runScripts: 'outside-only' });
+    dom.window.DEEPSEEK_EXPORT_NO_RUN = true;
+    dom.window.eval(script);
+    return dom.window;
+}
+
+function extract(window) {
+    // Copied out of the page's realm so deepEqual compares plain values
+    return JSON.parse(JSON.stringify(window.DeepSeekDomExport.extractConversation(window.document, window.location)));
+}
+
+test('extractConversation reads the visible branch as a chain of messages', async () => {
+    const window = await loadPage('chat');
+    const conversation = extract(window);
+
+    assert.equal(conversation.id, '7f3c2a10-5b1e-4d2f-9a6b-0c8e4f1d2b3a');
+    assert.equal(conversation.title, 'Sorting objects by key');
+    assert.deepEqual(Object.keys(conversation.mapping).sort(), ['1', '2', '3', '4', 'root']);
+    assert.deepEqual(conversation.mapping.root.children, ['1']);
+    assert.deepEqual(conversation.mapping[3].children, ['4']);
+    assert.equal(conversation.mapping[4].parent, '3');
+
+    // Exported files must pass the formatter's own checks
+    const problems = new ExportValidator().validate(conversation, 0);
+    assert.deepEqual(problems, []);
+});
+
+test('user text becomes REQUEST, reasoning THINK and the answer RESPONSE', async () => {
+    const window = await loadPage('chat');
+    const { mapping } = extract(window);
+    const types = id => mapping[id].message.fragments.map(fragment => fragment.type);
+
+    assert.deepEqual([types(1), types(2), types(3), types(4)], [['REQUEST'], ['THINK', 'RESPONSE'], ['REQUEST'], ['RESPONSE']]);
+    // Typed text is kept as typed, without markdown escaping
+    assert.equal(mapping[1].message.fragments[0].content, 'How do I sort an array of objects by a *key* in JavaScript?\nI tried sort() but the order looks random.');
+    assert.equal(mapping[2].message.fragments[0].content, 'The user wants to sort objects. `sort()` without a comparator compares strings, which explains the "random" order.');
+});
+
+test('htmlToMarkdown turns a rendered response back into its markdown', async () => {
+    const window = await loadPage('chat');
+    const blocks = window.document.querySelectorAll('.ds-message > .ds-markdown');
+    const actual = `${window.DeepSeekDomExport.htmlToMarkdown(blocks[0])}\n`;
+    const expectedFile = path.join(fixtureDir, 'chat.response.md');
+
+    if (process.env.UPDATE_FIXTURES) {
+        await fs.writeFile(expectedFile, actual);
+    }
+    assert.equal(actual, await fs.readFile(expectedFile, 'utf8'));
+});
+
+test('a page without messages is an error', async () => {
+    const window = await loadPage('empty');
+    assert.throws(() => window.DeepSeekDomExport.extractConversation(window.document, window.location), /No messages found/);
+});
+
+test('the bookmarklet runs the same extractor', async () => {
+    const bookmarklet = buildBookmarklet(source);
+    assert.match(bookmarklet, /^javascript:\(function%20\(\)%20%7B/);
+
+    const window = await loadPage('chat', decodeURIComponent(bookmarklet.slice('javascript:'.length)));
+    const conversation = extract(window);
+    assert.equal(Object.keys(conversation.mapping).length, 5);
+});
@@ -0,0 +1,140 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import DeepSeekFormatter from '../src/formatter.js';
+import { ignoreLog } from '../src/logger.js';
+import { createConversation, writeFixture } from '../bench/generate-fixture.js';
+
+// Deeper than the default call stack allows for one frame per message
+const LONG_CONVERSATION = 12000;
+
+test('buildMessageTree keeps forks and marks the last child as default', () => {
+    const formatter = new DeepSeekFormatter({ onLog: ignoreLog });
+    const mapping = {
+        root: { id: 'root', parent: null, children: ['1'], message: null },
+        1: { id: '1', parent: 'root', children: ['2', '3', 'missing'], message: { fragments: [] } },
+        2: { id: '2', parent: '1', children: [], message: { fragments: [] } },
+        3: { id: '3', parent: '1', children: ['4', '1'], message: { fragments: [] } },
+        4: { id: '4', parent: '3', children: [], message: { fragments: [] } }
+    };
+
+    const tree = formatter.buildMessageTree(mapping);
+    const shape = nodes => nodes.map(node => [node.id, node.isDefault, shape(node.children)]);
+    assert.deepEqual(shape(tree), [['1', true, [['2', false, []], ['3', true, [['4', true, []]]]]]]);
+    assert.equal(formatter.countBranches(tree), 2);
+});
+
+test('buildMessageTree and countBranches handle very long conversations', () => {
+    const formatter = new DeepSeekFormatter({ onLog: ignoreLog });
+    const tree = formatter.buildMessageTree(createConversation(0, LONG_CONVERSATION).mapping);
+
+    let depth = 0;
+    for (let nodes = tree; nodes.length > 0; nodes = nodes[0].children) depth++;
+    assert.equal(depth, LONG_CONVERSATION);
+    assert.equal(formatter.countBranches(tree), 1);
+});
+
+test('formatAll writes a conversation of more than 10k messages', async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'formatter-test-'));
+    try {
+        const inputFile = path.join(dir, 'conversations.json');
+        await writeFixture(inputFile, { conversations: 1, messagesPerConversation: LONG_CONVERSATION });
+
+        const formatter = new DeepSeekFormatter({
+            inputFile,
+            outputDir: path.join(dir, 'out'),
+            formats: ['html', 'md'],
+            onLog: ignoreLog
+        });
+        const result = await formatter.formatAll();
+
+        assert.equal(result.stats.errors, 0);
+        assert.deepEqual(result.changes.added, ['bench-0']);
+        assert.equal(result.conversations[0].messageCount, LONG_CONVERSATION);
+        assert.equal(result.conversations[0].branchCount, 1);
+    } finally {
+        await fs.rm(dir, { recursive: true, force: true });
+    }
+});
+
+test('formatAll renders a conversation that forks at every message', async () => {
+    // Each fork nests its branches one level deeper in the page
+    const forks = LONG_CONVERSATION / 2;
+    const conversation = createConversation(0, 0);
+    for (let i = 0; i < forks; i++) {
+        const parent = i === 0 ? 'root' : `c${i - 1}`;
+        const message = (type, content) => ({ inserted_at: '2023-01-01T00:00:00Z', fragments: [{ type, content }] });
+        conversation.mapping[parent].children = [`alt${i}`, `c${i}`];
+        conversation.mapping[`alt${i}`] = { id: `alt${i}`, parent, children: [], message: message('REQUEST', `Alternative ${i}`) };
+        conversation.mapping[`c${i}`] = { id: `c${i}`, parent, children: [], message: message('REQUEST', `Question ${i}`) };
+    }
+
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'formatter-test-'));
+    try {
+        const inputFile = path.join(dir, 'conversations.json');
+        const outputDir = path.join(dir, 'out');
+        await fs.writeFile(inputFile, JSON.stringify([conversation]));
+
+        const result = await new DeepSeekFormatter({ inputFile, outputDir, onLog: ignoreLog }).formatAll();
+        assert.equal(result.stats.errors, 0);
+        assert.equal(result.conversations[0].branchCount, forks + 1);
+
+        const page = await fs.readFile(path.join(outputDir, `${result.conversations[0].baseName}.html`), 'utf8');
+        assert.doesNotMatch(page, /Error processing conversation/);
+        assert.equal(page.split('<div class="branch-fork">').length - 1, forks);
+        assert.ok(page.includes(`Question ${forks - 1}`));
+    } finally {
+        await fs.rm(dir, { recursive: true, force: true });
+    }
+});
+
+test('a filtered rerun keeps the files of the conversations it leaves out', async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'formatter-test-'));
+    try {
+        const inputFile = path.join(dir, 'conversations.json');
+        const outputDir = path.join(dir, 'out');
+        await writeFixture(inputFile, { conversations: 3, messagesPerConversation: 2 });
+        const first = await new DeepSeekFormatter({ inputFile, outputDir, onLog: ignoreLog }).formatAll();
+
+        const result = await new DeepSeekFormatter({
+            inputFile,
+            outputDir,
+            filters: { ids: ['bench-1'] },
+            prune: true,
+            onLog: ignoreLog
+        }).formatAll();
+        assert.deepEqual(result.changes.removed, []);
+        for (const summary of first.conversations) {
+            await fs.access(path.join(outputDir, `${summary.baseName}.html`));
+        }
+
+        const manifest = JSON.parse(await fs.readFile(path.join(outputDir, 'manifest.json'), 'utf8'));
+        assert.deepEqual(Object.keys(manifest.conversations).sort(), ['bench-0', 'bench-1', 'bench-2']);
+    } finally {
+        await fs.rm(dir, { recursive: true, force: true });
+    }
+});
+
+test('adding a newer conversation leaves the pages of older ones untouched', async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'formatter-test-'));
+    try {
+        const inputFile = path.join(dir, 'conversations.json');
+        const outputDir = path.join(dir, 'out');
+        await writeFixture(inputFile, { conversations: 3, messagesPerConversation: 2 });
+        const first = await new DeepSeekFormatter({ inputFile, outputDir, onLog: ignoreLog }).formatAll();
+        const page = `${first.conversations.find(summary => summary.id === 'bench-0').baseName}.html`;
+        const before = await fs.readFile(path.join(outputDir, page), 'utf8');
+
+        await writeFixture(inputFile, { conversations: 4, messagesPerConversation: 2 });
+        const result = await new DeepSeekFormatter({ inputFile, outputDir, onLog: ignoreLog }).formatAll();
+        assert.deepEqual(result.changes.added, ['bench-3']);
+        assert.ok(result.changes.unchanged.includes('bench-0'));
+        assert.equal(result.conversations.find(summary => summary.id === 'bench-0').number, 4);
+        assert.equal(await fs.readFile(path.join(outputDir, page), 'utf8'), before);
+        assert.doesNotMatch(before, /#00\d/);
+    } finally {
+        await fs.rm(dir, { recursive: true, force: true });
+    }
+});
@@ -0,0 +1,54 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { JSDOM, VirtualConsole } from 'jsdom';
+import { renderConversation } from '../src/render.js';
+
+function message(type, content) {
+    return { inserted_at: '2024-01-01T00:00:00Z', fragments: [{ type, content }] };
+}
+
+// A question answered twice; the first answer, on the collapsed branch, has a
+// node id with a "%" that is not a valid URL escape
+const { content } = renderConversation({
+    id: 'script',
+    title: 'Page script',
+    inserted_at: '2024-01-01T00:00:00Z',
+    updated_at: '2024-01-01T00:00:00Z',
+    mapping: {
+        root: { id: 'root', parent: null, children: ['1'], message: null },
+        1: { id: '1', parent: 'root', children: ['50%', '3'], message: message('REQUEST', 'First question') },
+        '50%': { id: '50%', parent: '1', children: [], message: message('RESPONSE', 'First answer') },
+        3: { id: '3', parent: '1', children: ['4'], message: message('RESPONSE', 'Second answer') },
+        4: { id: '4', parent: '3', children: [], message: message('REQUEST', 'Follow-up') }
+    }
+}, { format: 'html' });
+
+function openPage(hash) {
+    const errors = [];
+    const virtualConsole = new VirtualConsole();
+    virtualConsole.on('jsdomError', error => errors.push(error.message));
+
+    const dom = new JSDOM(content, {
+        url: `https://example.com/page.html${hash}`,
+        runScripts: 'dangerously',
+        virtualConsole,
+        beforeParse(window) {
+            // Layout APIs jsdom does not implement
+            window.matchMedia = () => ({ matches: false });
+            window.HTMLElement.prototype.scrollIntoView = function () {};
+        }
+    });
+    return { window: dom.window, errors };
+}
+
+test('a link to a message on a collapsed branch opens the branch', () => {
+    const { window, errors } = openPage('#msg-50%25');
+    assert.equal(window.document.getElementById('msg-50%').closest('details').open, true);
+    assert.deepEqual(errors, []);
+});
+
+test('a malformed escape in the address is taken as written', () => {
+    const { window, errors } = openPage('#msg-50%');
+    assert.equal(window.document.getElementById('msg-50%').closest('details').open, true);
+    assert.deepEqual(errors, []);
+});
@@ -0,0 +1,15 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRequire } from 'module';
+import Manifest from '../src/manifest.js';
+
+const { version } = createRequire(import.meta.url)('../package.json');
+
+test('the formatter version and rendering options are part of the hash', () => {
+    const conversation = { id: 'a', title: 'Title', mapping: {} };
+    const manifest = new Manifest('out', { includeReasoning: true });
+
+    assert.deepEqual(manifest.options, { version, includeReasoning: true });
+    assert.equal(manifest.hashConversation(conversation), new Manifest('out', { includeReasoning: true }).hashConversation(conversation));
+    assert.notEqual(manifest.hashConversation(conversation), new Manifest('out', { includeReasoning: false }).hashConversation(conversation));
+});
@@ -0,0 +1,31 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import HtmlWriter from '../src/writers/html.js';
+
+// Golden files: each fixtures/markdown/<name>.md is rendered and compared byte
+// for byte with <name>.html. Run with UPDATE_FIXTURES=1 to rewrite the expected
+// output after an intended change, then review the diff.
+const fixtureDir = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures', 'markdown');
+const update = Boolean(process.env.UPDATE_FIXTURES);
+
+const inputs = (await fs.readdir(fixtureDir)).filter(file => file.endsWith('.md')).sort();
+const writer = new HtmlWriter();
+
+for (const file of inputs) {
+    const name = path.basename(file, '.md');
+
+    test(`markdown: ${name}`, async () => {
+        const input = await fs.readFile(path.join(fixtureDir, file), 'utf8');
+        const actual = writer.formatContent(input);
+        const expectedFile = path.join(fixtureDir, `${name}.html`);
+
+        if (update) {
+            await fs.writeFile(expectedFile, actual);
+        }
+        const expected = await fs.readFile(expectedFile, 'utf8');
+        assert.equal(actual, expected);
+    });
+}
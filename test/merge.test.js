@@ -0,0 +1,118 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import ExportMerger from '../src/merge.js';
+
+function conversation(id, updated, messages) {
+    // messages: [node id, parent id, text]
+    const mapping = { root: { id: 'root', parent: null, children: [], message: null } };
+    for (const [nodeId, parent, text] of messages) {
+        mapping[nodeId] = { id: nodeId, parent, children: [], message: { fragments: [{ type: 'REQUEST', content: text }] } };
+        mapping[parent].children.push(nodeId);
+    }
+    return { id, title: `Conversation ${id}`, inserted_at: '2024-01-01T00:00:00Z', updated_at: updated, mapping };
+}
+
+// Three snapshots of one account, given newest first to check they are ordered by date:
+// "edited" has its answer regenerated in February, "deleted" is gone by March,
+// and "added" first appears in February
+const snapshots = {
+    'march.json': [
+        conversation('edited', '2024-03-01T00:00:00Z', [['1', 'root', 'Question'], ['2b', '1', 'New answer'], ['3', '2b', 'Follow-up']]),
+        conversation('added', '2024-02-01T00:00:00Z', [['1', 'root', 'Hello']])
+    ],
+    'january.json': [
+        conversation('edited', '2024-01-01T00:00:00Z', [['1', 'root', 'Question'], ['2', '1', 'Old answer']]),
+        conversation('deleted', '2024-01-01T00:00:00Z', [['1', 'root', 'Secret']])
+    ],
+    'february.json': [
+        conversation('edited', '2024-02-01T00:00:00Z', [['1', 'root', 'Question'], ['2b', '1', 'New answer']]),
+        conversation('deleted', '2024-01-01T00:00:00Z', [['1', 'root', 'Secret']]),
+        conversation('added', '2024-02-01T00:00:00Z', [['1', 'root', 'Hello']])
+    ]
+};
+
+async function* readExport(file) {
+    for (const [index, record] of snapshots[file].entries()) {
+        // A copy each time, as the formatter reads a fresh one from disk
+        yield { index, provider: 'deepseek', conversation: structuredClone(record) };
+    }
+}
+
+async function merge() {
+    const merger = new ExportMerger(Object.keys(snapshots), readExport);
+    await merger.scan();
+    const merged = new Map();
+    for await (const entry of merger.read()) {
+        merged.set(entry.conversation.id, entry);
+    }
+    return { merger, merged };
+}
+
+test('exports are ordered by snapshot date and each conversation is read from its newest version', async () => {
+    const { merger, merged } = await merge();
+    assert.equal(merger.getLatestFile(), 'march.json');
+    assert.deepEqual(merger.order.map(exportIndex => merger.files[exportIndex]), ['january.json', 'february.json', 'march.json']);
+
+    assert.deepEqual([...merged.keys()].sort(), ['added', 'deleted', 'edited']);
+    assert.equal(merged.get('edited').index, '0:0');
+    assert.equal(merged.get('added').index, '0:1');
+    // Equally recent versions are read from the later snapshot
+    assert.equal(merged.get('deleted').index, '2:1');
+
+    assert.equal(merged.get('deleted').archived, true);
+    assert.equal(merged.get('edited').archived, false);
+    assert.equal(merged.get('added').archived, false);
+});
+
+test('messages only older exports have are restored ahead of the current branch', async () => {
+    const { merged } = await merge();
+    const { mapping } = merged.get('edited').conversation;
+
+    assert.deepEqual(mapping['1'].children, ['2', '2b']);
+    assert.equal(mapping['2'].message.fragments[0].content, 'Old answer');
+    assert.deepEqual(mapping['2b'].children, ['3']);
+    assert.deepEqual(Object.keys(mapping).sort(), ['1', '2', '2b', '3', 'root']);
+    // Conversations with nothing to restore are passed through as read
+    assert.deepEqual(Object.keys(merged.get('added').conversation.mapping).sort(), ['1', 'root']);
+});
+
+test('restoreNodes hooks restored subtrees under their parents without duplicating children', () => {
+    const merger = new ExportMerger([], readExport);
+    const current = conversation('c', '2024-03-01T00:00:00Z', [['1', 'root', 'Question'], ['2b', '1', 'New answer']]);
+    const restored = merger.restoreNodes(current, [
+        { nodeId: '2', node: { id: '2', parent: '1', children: ['2-1'], message: null } },
+        { nodeId: '2-1', node: { id: '2-1', parent: '2', children: [], message: null } },
+        { nodeId: 'lost', node: { id: 'lost', parent: 'missing', children: [], message: null } }
+    ]);
+
+    assert.deepEqual(restored.mapping['1'].children, ['2', '2b']);
+    assert.deepEqual(restored.mapping['2'].children, ['2-1']);
+    // A node whose parent is gone from every version stays out of the tree
+    assert.ok(!restored.mapping.root.children.includes('lost'));
+    // The conversation that was read is left as it was
+    assert.deepEqual(current.mapping['1'].children, ['2b']);
+    assert.equal(merger.restoreNodes(current, []), current);
+});
+
+test('the report lists what each export added, updated and removed', async () => {
+    const { merger } = await merge();
+    const report = merger.getReport();
+
+    assert.equal(report.totalConversations, 3);
+    assert.equal(report.archivedConversations, 1);
+    assert.equal(report.restoredMessages, 1);
+
+    const [january, february, march] = report.exports;
+    assert.deepEqual(report.exports.map(entry => entry.file), ['january.json', 'february.json', 'march.json']);
+    assert.equal(january.snapshot, '2024-01-01T00:00:00.000Z');
+    assert.deepEqual(
+        report.exports.map(({ added, updated, unchanged, removed, restoredMessages }) => ({ added, updated, unchanged, removed, restoredMessages })),
+        [
+            { added: ['edited', 'deleted'], updated: [], unchanged: 0, removed: [], restoredMessages: 1 },
+            { added: ['added'], updated: ['edited'], unchanged: 1, removed: [], restoredMessages: 0 },
+            { added: [], updated: ['edited'], unchanged: 1, removed: ['deleted'], restoredMessages: 0 }
+        ]
+    );
+    assert.equal(february.conversations, 3);
+    assert.equal(march.conversations, 2);
+});
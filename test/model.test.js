@@ -0,0 +1,40 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import DeepSeekFormatter from '../src/formatter.js';
+import { ignoreLog } from '../src/logger.js';
+import { toConversationModel } from '../src/model.js';
+import { createConversation } from '../bench/generate-fixture.js';
+
+function toModel(conversation) {
+    const formatter = new DeepSeekFormatter({ onLog: ignoreLog });
+    const summary = formatter.summarizeConversation(conversation, 0);
+    return toConversationModel(formatter.normalizeConversation(conversation, summary));
+}
+
+test('the default path follows the last version at each fork', () => {
+    const message = (type, content) => ({ fragments: [{ type, content }] });
+    const model = toModel({
+        id: 'fork',
+        title: 'Fork',
+        mapping: {
+            root: { id: 'root', parent: null, children: ['1'], message: null },
+            1: { id: '1', parent: 'root', children: ['2', '3'], message: message('REQUEST', 'Question') },
+            2: { id: '2', parent: '1', children: ['4'], message: message('RESPONSE', 'First answer') },
+            3: { id: '3', parent: '1', children: [], message: message('RESPONSE', 'Regenerated answer') },
+            4: { id: '4', parent: '2', children: [], message: message('REQUEST', 'Follow-up') }
+        }
+    });
+
+    assert.deepEqual(model.messages.map(m => [m.id, m.parentId, m.role]), [['1', 'root', 'user'], ['3', '1', 'assistant']]);
+    assert.deepEqual(model.branches[0].children.map(branch => [branch.id, branch.isDefault]), [['2', false], ['3', true]]);
+    assert.equal(model.branches[0].children[0].children[0].message.parentId, '2');
+    assert.equal(model.branchCount, 2);
+});
+
+test('very long conversations convert without overflowing the stack', () => {
+    const model = toModel(createConversation(0, 12000));
+
+    assert.equal(model.messageCount, 12000);
+    assert.equal(model.messages[0].role, 'user');
+    assert.equal(model.messages[11999].parentId, '11999');
+});
@@ -0,0 +1,48 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import Redactor from '../src/redaction.js';
+
+test('search results and attachment names are redacted with the message text', () => {
+    const redactor = new Redactor({ words: ['Project Falcon'] });
+    const { conversation, counts } = redactor.redactConversation({
+        title: 'Mail ada@example.com',
+        mapping: {
+            1: {
+                message: {
+                    files: [{ file_name: 'Project Falcon.pdf' }],
+                    fragments: [
+                        { type: 'REQUEST', content: 'Write to ada@example.com' },
+                        {
+                            type: 'SEARCH',
+                            results: [{
+                                title: 'Project Falcon roadmap',
+                                url: 'https://example.com/?mail=ada@example.com',
+                                site_name: 'Project Falcon wiki',
+                                snippet: 'Call +1 415 555 0100'
+                            }]
+                        }
+                    ]
+                }
+            }
+        }
+    });
+
+    const { files, fragments } = conversation.mapping[1].message;
+    assert.equal(conversation.title, 'Mail [REDACTED_EMAIL_1]');
+    assert.equal(fragments[0].content, 'Write to [REDACTED_EMAIL_1]');
+    assert.deepEqual(fragments[1].results[0], {
+        title: '[REDACTED_TERM_1] roadmap',
+        url: 'https://example.com/?mail=[REDACTED_EMAIL_1]',
+        site_name: '[REDACTED_TERM_1] wiki',
+        snippet: 'Call [REDACTED_PHONE_1]'
+    });
+    assert.equal(files[0].file_name, '[REDACTED_TERM_1].pdf');
+    assert.deepEqual(counts, { term: 3, email: 3, phone: 1 });
+});
+
+test('the profile name and email are replaced', () => {
+    const redactor = new Redactor();
+    assert.deepEqual(redactor.redactProfile({ name: 'Ada', email: 'ada@example.com' }), { name: '[REDACTED_NAME]', email: '[REDACTED_EMAIL]' });
+    assert.deepEqual(redactor.redactProfile({ name: 'Ada', email: '' }), { name: '[REDACTED_NAME]', email: '' });
+    assert.equal(redactor.redactProfile(null), null);
+});
@@ -0,0 +1,95 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { JSDOM, VirtualConsole } from 'jsdom';
+import DeepSeekFormatter from '../src/formatter.js';
+import { tokenize, SEARCH_INDEX_FILE, SEARCH_TEXT_DIR } from '../src/writers/search-index.js';
+import { ignoreLog } from '../src/logger.js';
+import { createConversation } from '../bench/generate-fixture.js';
+
+test('tokenize splits words, and Han and kana into single characters', () => {
+    assert.deepEqual(tokenize('TypeError: x.map is not a function'), ['typeerror', 'x', 'map', 'is', 'not', 'a', 'function']);
+    assert.deepEqual(tokenize('排序算法 sort()と'), ['排', '序', '算', '法', 'sort', 'と']);
+    assert.deepEqual(tokenize('a'.repeat(40)), ['a'.repeat(32)]);
+});
+
+async function formatExport(conversations) {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'search-index-test-'));
+    const inputFile = path.join(dir, 'conversations.json');
+    const outputDir = path.join(dir, 'out');
+    await fs.writeFile(inputFile, JSON.stringify(conversations));
+    await new DeepSeekFormatter({ inputFile, outputDir, onLog: ignoreLog }).formatAll();
+    return { dir, inputFile, outputDir };
+}
+
+test('the index holds token postings, with the message text split into lazily loaded files', async () => {
+    const conversations = Array.from({ length: 20 }, (_, i) => createConversation(i, 40));
+    const { dir, inputFile, outputDir } = await formatExport(conversations);
+    try {
+        const { size: inputSize } = await fs.stat(inputFile);
+        const index = await fs.readFile(path.join(outputDir, SEARCH_INDEX_FILE), 'utf8');
+        assert.ok(index.length < inputSize / 10, `index is ${index.length} bytes for a ${inputSize} byte export`);
+        assert.doesNotMatch(index, /Lorem ipsum/);
+        assert.equal((await fs.readdir(path.join(outputDir, SEARCH_TEXT_DIR))).length, 20);
+    } finally {
+        await fs.rm(dir, { recursive: true, force: true });
+    }
+});
+
+test('the index page searches offline and links to the matching message', async () => {
+    const first = createConversation(0, 4);
+    first.mapping[3].message.fragments[0].content = 'Why does TypeError: items.map is not a function happen?';
+    const second = { ...createConversation(1, 2), id: 'c#2%' };
+    second.mapping[1].message.fragments[0].content = '如何排序列表';
+    const { dir, outputDir } = await formatExport([first, second]);
+
+    const errors = [];
+    const virtualConsole = new VirtualConsole();
+    virtualConsole.on('jsdomError', error => errors.push(error.message));
+    const dom = await JSDOM.fromFile(path.join(outputDir, 'index.html'), {
+        runScripts: 'dangerously',
+        resources: 'usable',
+        virtualConsole,
+        beforeParse(window) {
+            window.matchMedia = () => ({ matches: false });
+        }
+    });
+    const { document } = dom.window;
+    await new Promise(resolve => dom.window.addEventListener('load', resolve));
+
+    const search = async (text, role = 'all') => {
+        document.getElementById('search-role').value = role;
+        const query = document.getElementById('search-query');
+        const results = document.getElementById('search-results');
+        results.innerHTML = '';
+        query.value = text;
+        query.dispatchEvent(new dom.window.Event('input'));
+        // The input is debounced, then the snippet text loads with a script tag
+        for (let i = 0; i < 100 && results.children.length === 0; i++) {
+            await new Promise(resolve => setTimeout(resolve, 20));
+        }
+        return [...results.querySelectorAll('li')].map(item => ({
+            href: item.querySelector('a').getAttribute('href'),
+            snippet: item.querySelector('.search-snippet').innerHTML
+        }));
+    };
+
+    try {
+        const [hit] = await search('typeerr MAP');
+        assert.equal(hit.href, '2023-01-01-bench-0.html#msg-3');
+        assert.match(hit.snippet, /<mark>TypeErr<\/mark>or: items\.<mark>map<\/mark> is not/);
+        assert.equal(document.getElementById('search-status').textContent, '1 matching message');
+
+        const [cjk] = await search('排序');
+        assert.equal(cjk.href, '2023-01-01-c%232%25.html#msg-1');
+        assert.match(cjk.snippet, /如何<mark>排<\/mark><mark>序<\/mark>列表/);
+
+        assert.deepEqual(await search('typeerror', 'a'), []);
+        assert.deepEqual(errors, []);
+    } finally {
+        dom.window.close();
+        await fs.rm(dir, { recursive: true, force: true });
+    }
+});
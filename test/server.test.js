@@ -0,0 +1,76 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import DeepSeekFormatter from '../src/formatter.js';
+import ExportServer from '../src/server.js';
+import { ignoreLog } from '../src/logger.js';
+import { createConversation, writeFixture } from '../bench/generate-fixture.js';
+
+test('API routes report errors as JSON and pages as HTML', async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'server-test-'));
+    const inputFile = path.join(dir, 'conversations.json');
+    await writeFixture(inputFile, { conversations: 2, messagesPerConversation: 2 });
+
+    const formatter = new DeepSeekFormatter({ inputFile, outputDir: path.join(dir, 'out'), onLog: ignoreLog });
+    const server = new ExportServer(formatter, { port: 0, watch: false });
+    await server.start();
+    const base = `http://127.0.0.1:${server.server.address().port}`;
+    try {
+        let response = await fetch(`${base}/api/conversations?since=notadate`);
+        assert.equal(response.status, 400);
+        assert.match(response.headers.get('content-type'), /^application\/json/);
+        assert.equal(typeof (await response.json()).error, 'string');
+
+        response = await fetch(`${base}/api/search`);
+        assert.equal(response.status, 400);
+        assert.deepEqual(await response.json(), { error: 'Missing search query (?q=)' });
+
+        response = await fetch(`${base}/missing.html`);
+        assert.equal(response.status, 404);
+        assert.match(response.headers.get('content-type'), /^text\/html/);
+    } finally {
+        await server.stop();
+        await fs.rm(dir, { recursive: true, force: true });
+    }
+});
+
+test('search filters on the roles it reports and links to pages whatever their file name', async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'server-test-'));
+    const inputFile = path.join(dir, 'conversations.json');
+    const conversation = { ...createConversation(0, 2), id: 'c#2%' };
+    await fs.writeFile(inputFile, JSON.stringify([conversation]));
+
+    const formatter = new DeepSeekFormatter({ inputFile, outputDir: path.join(dir, 'out'), onLog: ignoreLog });
+    const server = new ExportServer(formatter, { port: 0, watch: false });
+    await server.start();
+    const base = `http://127.0.0.1:${server.server.address().port}`;
+    try {
+        const search = async (query) => (await fetch(`${base}/api/search?${query}`)).json();
+
+        const requests = await search('q=conversation&role=request');
+        assert.equal(requests.total, 1);
+        assert.deepEqual(requests.results.map(result => result.role), ['request']);
+        assert.equal((await search('q=lorem&role=response')).results[0].role, 'response');
+
+        const response = await fetch(`${base}/api/search?q=lorem&role=a`);
+        assert.equal(response.status, 400);
+        assert.match((await response.json()).error, /Unknown role "a"/);
+
+        const { url } = requests.results[0];
+        assert.equal(url, '/2023-01-01-c%232%25.html#msg-1');
+        const page = await fetch(`${base}${url}`);
+        assert.equal(page.status, 200);
+        assert.match(await page.text(), /ID: c#2%<br>/);
+
+        // The index page's search loads snippet text per conversation
+        assert.match(await (await fetch(`${base}/search-index.js`)).text(), /window\.SEARCH_TERMS = /);
+        const text = await fetch(`${base}/search/2023-01-01-c%232%25.js`);
+        assert.equal(text.status, 200);
+        assert.match(await text.text(), /^\(window\.SEARCH_TEXT = window\.SEARCH_TEXT \|\| \{\}\)\[1\] = \["Question 1/);
+    } finally {
+        await server.stop();
+        await fs.rm(dir, { recursive: true, force: true });
+    }
+});
@@ -0,0 +1,36 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import ExportValidator from '../src/validator.js';
+import { validateExport } from '../src/api.js';
+import { createConversation, writeFixture } from '../bench/generate-fixture.js';
+
+test('cycles and nodes shared by two parents are reported', () => {
+    const conversation = createConversation(0, 3);
+    conversation.mapping[3].children = ['2'];
+    conversation.mapping.root.children.push('3');
+
+    const problems = new ExportValidator().validate(conversation, 0);
+    assert.deepEqual(problems.map(problem => [problem.severity, problem.message]), [
+        ['warning', 'child "2" names "1" as its parent'],
+        ['warning', 'child "3" names "2" as its parent'],
+        ['error', 'cycle: "2" is an ancestor of "3"'],
+        ['warning', '"3" is also a child of "2" and is shown only once']
+    ]);
+});
+
+test('a valid conversation of more than 10k messages has no problems', async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'validator-test-'));
+    try {
+        const inputFile = path.join(dir, 'conversations.json');
+        await writeFixture(inputFile, { conversations: 1, messagesPerConversation: 12000 });
+
+        const report = await validateExport(inputFile, { strict: true });
+        assert.equal(report.valid, true);
+        assert.deepEqual(report.problems, []);
+    } finally {
+        await fs.rm(dir, { recursive: true, force: true });
+    }
+});
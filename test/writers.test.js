@@ -0,0 +1,83 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { renderConversation } from '../src/render.js';
+import DeepSeekFormatter from '../src/formatter.js';
+import EpubWriter from '../src/writers/epub.js';
+import { ignoreLog } from '../src/logger.js';
+
+const conversation = {
+    id: 'search-links',
+    title: 'Search links',
+    inserted_at: '2024-01-01T00:00:00Z',
+    updated_at: '2024-01-01T00:00:00Z',
+    mapping: {
+        root: { id: 'root', parent: null, children: ['1'], message: null },
+        1: {
+            id: '1',
+            parent: 'root',
+            children: [],
+            message: {
+                inserted_at: '2024-01-01T00:00:00Z',
+                fragments: [{
+                    type: 'SEARCH',
+                    content: '',
+                    results: [
+                        { title: 'Safe', url: 'https://example.com/page' },
+                        { title: 'Script', url: 'javascript:alert(1)' },
+                        { title: 'Data', url: 'data:text/html,<b>x</b>' }
+                    ]
+                }]
+            }
+        }
+    }
+};
+
+test('html links only http(s) search sources', () => {
+    const { content } = renderConversation(conversation, { format: 'html' });
+    assert.match(content, /<a href="https:\/\/example\.com\/page" target="_blank" rel="noopener noreferrer">Safe<\/a>/);
+    assert.doesNotMatch(content, /href="(javascript|data):/);
+    assert.match(content, /Script/);
+});
+
+test('epub links only http(s) search sources', () => {
+    // EPUB chapters are not available through render.js, as the format bundles every conversation
+    const formatter = new DeepSeekFormatter({ onLog: ignoreLog });
+    const normalized = formatter.normalizeConversation(conversation, formatter.summarizeConversation(conversation, 0));
+    const content = new EpubWriter({ onLog: ignoreLog }).renderConversation(normalized);
+    assert.match(content, /<a href="https:\/\/example\.com\/page">Safe<\/a>/);
+    assert.match(content, /<li>Script<\/li><li>Data<\/li>/);
+});
+
+test('markdown links only http(s) search sources', () => {
+    const { content } = renderConversation(conversation, { format: 'md' });
+    assert.match(content, /^- \[Safe\]\(https:\/\/example\.com\/page\)$/m);
+    assert.match(content, /^- Script$/m);
+    assert.match(content, /^- Data$/m);
+});
+
+test('conversation pages are headed with the id, escaped, not the index number', () => {
+    const { content } = renderConversation({ ...conversation, id: 'id-<b>"x"</b>' }, { format: 'html' });
+    assert.match(content, /<span class="conversation-number">Conversation id-&lt;b&gt;&quot;x<\/span>/);
+    assert.match(content, /ID: id-&lt;b&gt;&quot;x&quot;&lt;\/b&gt;<br>/);
+    assert.doesNotMatch(content, /#001/);
+
+    const untitled = { ...conversation, title: '' };
+    assert.match(renderConversation(untitled, { format: 'html' }).content, /<h1 class="title">Conversation search-l<\/h1>/);
+    assert.match(renderConversation(untitled, { format: 'md' }).content, /^# Conversation search-l$/m);
+});
+
+test('writers are found whatever the case of their format name', async () => {
+    const { registerWriter, getWriter, listWriters, Writer } = await import('../src/render.js');
+    class PdfWriter extends Writer {
+        static formatName = 'PDF';
+        static extension = 'pdf';
+        renderConversation() { return ''; }
+        renderIndex() { return ''; }
+    }
+
+    assert.equal(registerWriter(PdfWriter), 'PDF');
+    assert.equal(getWriter('pdf'), PdfWriter);
+    assert.equal(getWriter('Pdf'), PdfWriter);
+    assert.equal(getWriter('HTML').formatName, 'html');
+    assert.ok(listWriters().includes('pdf'));
+});
@@ -0,0 +1,286 @@
+// Type declarations for the library entry point (src/api.js)
+
+export type Provider = 'deepseek' | 'chatgpt' | 'claude' | 'gemini';
+
+/** Known fragment types; exports may contain others, which are passed through. */
+export type FragmentType = 'REQUEST' | 'RESPONSE' | 'THINK' | 'SEARCH' | (string & {});
+
+export type Role = 'user' | 'assistant';
+
+export type LogLevel = 'debug' | 'info' | 'success' | 'warn' | 'error';
+
+export interface SearchResult {
+    url: string | null;
+    title: string | null;
+}
+
+export interface Fragment {
+    type: FragmentType;
+    content: string;
+    /** Present on SEARCH fragments. */
+    results?: SearchResult[];
+}
+
+export interface Message {
+    /** Node id in the export's mapping. */
+    id: string;
+    /** "root" for the first message of a conversation. */
+    parentId: string;
+    /** "user" for messages with a REQUEST fragment, otherwise "assistant". */
+    role: Role;
+    model: string | null;
+    /** ISO 8601 timestamp in UTC, or null when the export has none or it cannot be parsed. */
+    createdAt: string | null;
+    files: unknown[];
+    fragments: Fragment[];
+}
+
+/** One node of the message tree. Regenerated responses and edited prompts are siblings. */
+export interface Branch {
+    id: string;
+    /** The version the app showed; the default path follows these from the root. */
+    isDefault: boolean;
+    message: Message | null;
+    children: Branch[];
+}
+
+/** A raw conversation in the DeepSeek export shape (see EXPORT_SCHEMA). */
+export interface ExportConversation {
+    id: string;
+    title: string | null;
+    inserted_at: string;
+    updated_at: string;
+    mapping: Record<string, {
+        id: string;
+        parent: string | null;
+        children: string[];
+        message: {
+            files?: unknown[];
+            model?: string | null;
+            inserted_at?: string | null;
+            fragments: Array<{ type: string; content?: string | null; results?: unknown[] }>;
+        } | null;
+    }>;
+    [key: string]: unknown;
+}
+
+export interface Conversation {
+    id: string;
+    title: string;
+    provider: Provider;
+    /** 1 for the most recent conversation (loadExport), null when streamed (readExport). */
+    number: number | null;
+    createdAt: string | null;
+    updatedAt: string | null;
+    messageCount: number;
+    branchCount: number;
+    /** Merged in from an older export that the most recent one no longer has. */
+    archived: boolean;
+    /** The default branch, oldest message first. */
+    messages: Message[];
+    /** Every branch, starting from the children of the root node. */
+    branches: Branch[];
+    /** The conversation as read, after provider conversion and redaction. */
+    source: ExportConversation;
+}
+
+export interface FilterOptions {
+    since?: string;
+    until?: string;
+    /** Regular expression, case-insensitive. */
+    title?: string;
+    /** Regular expression matched against every message, case-insensitive. */
+    match?: string;
+    ids?: string[];
+    providers?: Provider[];
+    minMessages?: number;
+}
+
+export interface RedactionOptions {
+    /** Attachments are not copied when redacting; their contents cannot be redacted. */
+    enabled?: boolean;
+    /** JSON file with extra patterns and words; implies enabled. */
+    configFile?: string;
+}
+
+export interface WriteProgress {
+    phase: 'write';
+    current: number;
+    total: number;
+    status: 'added' | 'updated' | 'unchanged' | 'error';
+    id: string;
+    number: number;
+    title: string;
+    date: string;
+    error: string | null;
+}
+
+export interface ValidateProgress {
+    phase: 'validate';
+    current: number;
+    total: null;
+}
+
+export type Progress = WriteProgress | ValidateProgress;
+
+export interface ReadOptions {
+    /** Keep THINK fragments (default true). */
+    includeReasoning?: boolean;
+    filters?: FilterOptions;
+    redaction?: RedactionOptions;
+    onLog?: (level: LogLevel, message: string) => void;
+    onProgress?: (progress: Progress) => void;
+}
+
+export interface FormatOptions extends ReadOptions {
+    outputDir?: string;
+    /** Output formats, e.g. ["html", "md"] (default ["html"]). */
+    formats?: string[];
+    /** Local writer modules to load. */
+    writerModules?: string[];
+    /** CSS or JSON theme file for HTML output. */
+    theme?: string;
+    force?: boolean;
+    prune?: boolean;
+    verbose?: boolean;
+}
+
+export interface ConversationSummary {
+    number: number;
+    fileNumber: string;
+    baseName: string;
+    id: string;
+    provider: Provider;
+    title: string;
+    created: string;
+    updated: string;
+    date: string;
+    messageCount: number;
+    branchCount: number;
+    characters: number;
+    firstRequest: string;
+    lastResponse: string;
+    archived: boolean;
+}
+
+export interface FormatResult {
+    outputDir: string;
+    stats: {
+        totalConversations: number;
+        totalMessages: number;
+        processedFiles: number;
+        errors: number;
+        filteredOut: number;
+        redactions?: number;
+    };
+    /** Conversation ids (or file base names for conversations without one). */
+    changes: {
+        added: string[];
+        updated: string[];
+        unchanged: string[];
+        removed: string[];
+    };
+    conversations: ConversationSummary[];
+}
+
+export interface ValidationProblem {
+    severity: 'error' | 'warning';
+    /** JSON path inside the export, e.g. $[3].mapping["12"].children[0] */
+    path: string;
+    message: string;
+    conversationId: string | null;
+    provider: Provider | null;
+}
+
+export interface ValidationReport {
+    file: string;
+    strict: boolean;
+    /** No errors, and in strict mode no warnings either. */
+    valid: boolean;
+    conversations: number;
+    errors: number;
+    warnings: number;
+    problems: ValidationProblem[];
+}
+
+export type DiffStatus = 'added' | 'removed' | 'changed' | 'same';
+
+export interface DiffPart {
+    type: 'same' | 'added' | 'removed';
+    text: string;
+}
+
+export interface FragmentDiff {
+    type: FragmentType;
+    status: DiffStatus;
+    /** Text of added, removed and unchanged fragments; web search sources are appended one per line. */
+    content?: string;
+    /** Word-level changes of edited fragments. */
+    parts?: DiffPart[];
+}
+
+export interface MessageDiff {
+    nodeId: string;
+    /** Numbered like the conversation page numbers it. */
+    messageNumber: number;
+    time: string;
+    status: 'added' | 'removed' | 'changed';
+    fragments: FragmentDiff[];
+}
+
+/** A conversation summary with its message tree, as the writers receive it. */
+export type NormalizedConversation = ConversationSummary & { messages: unknown[]; tree: unknown[]; raw: ExportConversation };
+
+export interface ConversationDiff {
+    before: NormalizedConversation;
+    after: NormalizedConversation;
+    renamed: boolean;
+    messages: MessageDiff[];
+    counts: { added: number; changed: number; removed: number; unchanged: number };
+}
+
+export interface DiffResult {
+    before: { file: string; conversations: number };
+    after: { file: string; conversations: number };
+    added: NormalizedConversation[];
+    removed: NormalizedConversation[];
+    renamed: Array<{ before: NormalizedConversation; after: NormalizedConversation }>;
+    /** Conversations with new, edited or removed messages. */
+    changed: ConversationDiff[];
+    unchanged: number;
+}
+
+/**
+ * Streams conversations from a conversations.json file or export ZIP, in file order.
+ * Several exports of one account are merged by conversation id (validateExport takes one).
+ */
+export function readExport(input: string | string[], options?: ReadOptions): AsyncGenerator<Conversation, void, undefined>;
+
+/** Reads every selected conversation, newest first and numbered like the generated index. */
+export function loadExport(input: string | string[], options?: ReadOptions): Promise<Conversation[]>;
+
+/** Checks an export against EXPORT_SCHEMA and the message tree rules. Throws only on unreadable input. */
+export function validateExport(input: string, options?: ReadOptions & { strict?: boolean }): Promise<ValidationReport>;
+
+/** Compares an earlier export with a later one; conversations and messages are matched by id. */
+export function compareExports(before: string | string[], after: string | string[], options?: ReadOptions): Promise<DiffResult>;
+
+/** Writes the formatted output like the CLI does. */
+export function formatExport(input: string | string[], options?: FormatOptions): Promise<FormatResult>;
+
+export const EXPORT_SCHEMA: Record<string, unknown>;
+
+export function listProviders(): Provider[];
+export function getProviderLabel(provider: string): string;
+
+/** The CLI's coloured console output, for use as onLog. */
+export function logToConsole(level: LogLevel, message: string): void;
+
+export class DeepSeekFormatter {
+    constructor(options?: FormatOptions & { inputFile?: string | string[] });
+    formatAll(): Promise<FormatResult>;
+    validateAll(options?: { strict?: boolean }): Promise<ValidationReport>;
+    compareWith(previousFile: string | string[]): Promise<DiffResult>;
+    /** Writes diff.html to the output directory. */
+    diffAll(previousFile: string | string[]): Promise<DiffResult>;
+}
@@ -0,0 +1,57 @@
+// Type declarations for the renderer entry point (src/render.js)
+
+import type { Conversation, ExportConversation, LogLevel } from './index.js';
+
+export interface RenderOptions {
+    /** A writer's format name, e.g. "html", "md" or "txt" (default "html"). */
+    format?: string;
+    /** Keep THINK fragments (default true). */
+    includeReasoning?: boolean;
+    /** Theme file; HTML pages then also link theme.css. */
+    theme?: string;
+    onLog?: (level: LogLevel, message: string) => void;
+}
+
+export interface RenderedFile {
+    /** Where the page expects to live; indexes link to conversations by these names. */
+    fileName: string;
+    content: string;
+}
+
+/** A conversation from loadExport/readExport, or a raw record from any supported export. */
+export type RenderInput = Conversation | ExportConversation | Record<string, unknown>;
+
+export function renderConversation(conversation: RenderInput, options?: RenderOptions): RenderedFile;
+
+export function renderIndex(conversations: RenderInput[], options?: RenderOptions & {
+    /** Account owner shown on the index. */
+    profile?: { name?: string; email?: string } | null;
+}): RenderedFile;
+
+/** The shared stylesheet HTML pages link as style.css. */
+export function renderStylesheet(): string;
+
+export interface WriterOptions {
+    includeReasoning?: boolean;
+    theme?: string | null;
+    onLog?: (level: LogLevel, message: string) => void;
+}
+
+/** Base class for output writers; see src/writers/writer.js. */
+export class Writer {
+    static formatName: string;
+    static extension: string;
+    constructor(options?: WriterOptions);
+    readonly formatName: string;
+    readonly extension: string;
+    readonly writesConversationFiles: boolean;
+    getFileName(conversation: object): string;
+    getIndexFileName(): string | null;
+    renderConversation(conversation: object): string;
+    renderIndex(conversations: object[], context: { stats: { totalMessages: number }; profile: object | null }): string;
+}
+
+export function registerWriter(writer: typeof Writer): string;
+/** Format names are matched case-insensitively, as --format lowercases them. */
+export function getWriter(formatName: string): typeof Writer | undefined;
+export function listWriters(): string[];